@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+const { main } = require("../src/cli");
+
+main(process.argv.slice(2)).then(
+    (exitCode) => {
+        process.exitCode = exitCode;
+    },
+    (error) => {
+        console.error(error.stack || error.message);
+        process.exitCode = 1;
+    },
+);
@@ -0,0 +1,250 @@
+const { parseArgs } = require("util");
+const { CONFIG_ERROR_CODE } = require("./config");
+const { startJob, waitForJob } = require("./services/jobManager");
+const { API_ERROR_CODE, CIRCUIT_OPEN_CODE } = require("./services/sfHttpClient");
+const { getDialect, hasDialect, listDialects } = require("./utils/dialects");
+const logger = require("./utils/logger");
+
+/**
+ * Command-line interface: runs a sync once, without the HTTP server
+ *
+ *   sf-sync sync --start 2024-01-01 --end 2024-01-31 --dialect postgres --department CTEL --output ./out
+ *
+ * Log lines go to stderr; stdout carries only the summary (text, or JSON with --json).
+ * The run is recorded in the sync history like API runs (GET /api/syncs), except --dry-run counts, which
+ * are neither recorded nor notified.
+ */
+
+/**
+ * Process exit codes
+ * - config: invalid configuration or command-line arguments
+ * - api: SuccessFactors request failed (after retries, or circuit breaker open)
+ * - validation: records failed validation in strict mode
+ * - failed: any other failure (apply failures, cancellation, unexpected errors)
+ */
+const EXIT_CODES = { success: 0, failed: 1, config: 2, api: 3, validation: 4 };
+
+/**
+ * Modules that load the entity field mappings when required: { syncEntity, parseSyncOptions, listEntities,
+ * getFormat }. Loaded by main(), so a missing or invalid mapping exits with the config code
+ */
+let modules = null;
+
+/**
+ * Load the modules that depend on the entity field mappings
+ * @returns {string|null} - Error message, or null if they loaded
+ */
+function loadModules() {
+    try {
+        modules = {
+            ...require("./services/syncService"),
+            ...require("./entities"),
+            ...require("./utils/formats"),
+        };
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Build the usage text
+ * @returns {string} - Usage
+ */
+const getUsage = () => `Usage: sf-sync sync [options]
+
+Run one sync and print its summary.
+
+Options:
+  --entity <name>         Entity to sync: ${modules.listEntities().join(", ")} (default: position)
+  --start <date>          Start date, yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss
+  --end <date>            End date, yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss
+  --mode <mode>           range or incremental (default: range)
+  --write-mode <mode>     insert, upsert or update (default: WRITE_MODE)
+  --dialect <list>        SQL dialects, comma separated or repeated: ${listDialects().join(", ")}
+  --department <list>     Department prefixes to include, comma separated or repeated
+  --history               Every effective-dated version into the type 2 history table (oracle, postgres)
+  --from-date <date>      History: first effective date, yyyy-MM-dd (default: 1900-01-01)
+  --to-date <date>        History: last effective date, yyyy-MM-dd (default: 9999-12-31)
+  --as-of-date <date>     Versions effective on this date, yyyy-MM-dd (default: today)
+  --output <dir>          Directory for the generated files (default: OUTPUT_FILE's directory)
+  --dry-run               Fetch and count only; write no file, snapshot, watermark or database
+  --json                  Print the summary as JSON
+  -h, --help              Show this help
+
+Exit codes:
+  ${EXIT_CODES.success}  sync completed
+  ${EXIT_CODES.failed}  sync failed (apply failures, cancellation, unexpected error)
+  ${EXIT_CODES.config}  invalid configuration or arguments
+  ${EXIT_CODES.api}  SuccessFactors API error
+  ${EXIT_CODES.validation}  records failed strict validation
+`;
+
+const SYNC_ARGS = {
+    entity: { type: "string" },
+    start: { type: "string" },
+    end: { type: "string" },
+    mode: { type: "string" },
+    "write-mode": { type: "string" },
+    dialect: { type: "string", multiple: true },
+    department: { type: "string", multiple: true },
+    history: { type: "boolean", default: false },
+    "from-date": { type: "string" },
+    "to-date": { type: "string" },
+    "as-of-date": { type: "string" },
+    output: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Map a failed job's error code to an exit code
+ * @param {string|null} errorCode - Error code of the job
+ * @returns {number} - Exit code
+ */
+function getFailureExitCode(errorCode) {
+    if (errorCode === CONFIG_ERROR_CODE) return EXIT_CODES.config;
+    if (errorCode === API_ERROR_CODE || errorCode === CIRCUIT_OPEN_CODE) return EXIT_CODES.api;
+    if (errorCode === "VALIDATION_FAILED") return EXIT_CODES.validation;
+    return EXIT_CODES.failed;
+}
+
+/**
+ * Convert sync command arguments to sync request parameters
+ * @param {Object} values - Parsed arguments
+ * @returns {Object} - Parameters for parseSyncOptions
+ */
+function toSyncParams(values) {
+    const params = {
+        entity: values.entity,
+        startDate: values.start,
+        endDate: values.end,
+        mode: values.mode,
+        writeMode: values["write-mode"],
+        dialects: values.dialect ? values.dialect.join(",") : undefined,
+        departmentFilter: values.department ? values.department.join(",") : undefined,
+        history: values.history,
+        fromDate: values["from-date"],
+        toDate: values["to-date"],
+        asOfDate: values["as-of-date"],
+        countOnly: values["dry-run"],
+    };
+    return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Format a finished sync as human-readable text
+ * @param {Object} job - Finished job view
+ * @returns {string} - Summary
+ */
+function formatSummary(job) {
+    const { result } = job;
+    if (!result) {
+        return `Sync ${job.status}${job.errorCode ? ` (${job.errorCode})` : ""}: ${job.error}\nRun id: ${job.id}\n`;
+    }
+
+    const range = `${result.startDate || "N/A"} to ${result.endDate || "N/A"}`;
+    const lines = [
+        `Sync ${job.status}: ${result.entity}${result.history ? " history" : ""} (${result.mode}, ${range})`,
+        `  Run id:                 ${result.runId}`,
+        `  Records fetched:        ${result.totalFetched}`,
+        `  Records matching:       ${result.totalFiltered}`,
+    ];
+    if (result.validation) {
+        lines.push(`  Records rejected:       ${result.validation.rejected}`);
+    }
+    if (result.deactivated) {
+        lines.push(`  Records deactivated:    ${result.deactivated.total}`);
+    }
+    if (result.countOnly) {
+        lines.push("  Dry run:                nothing written");
+    } else {
+        lines.push(`  SQL statements:         ${result.sqlStatementsGenerated}`);
+    }
+    for (const [name, file] of Object.entries(result.outputFiles)) {
+        lines.push(
+            `  ${`${hasDialect(name) ? getDialect(name).label : modules.getFormat(name).label} file:`.padEnd(24)}${file}`,
+        );
+    }
+    if (result.validation && result.validation.rejectsFile) {
+        lines.push(`  Rejects file:           ${result.validation.rejectsFile}`);
+    }
+    if (result.apply) {
+        lines.push(`  Apply failures:         ${result.apply.failures.length}`);
+    }
+    lines.push(`  Duration:               ${result.duration}`);
+    return `${lines.join("\n")}\n`;
+}
+
+/**
+ * sync command: run one sync job and print its summary
+ * @param {Array<string>} args - Command arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function runSyncCommand(args) {
+    let values;
+    try {
+        ({ values } = parseArgs({ args, options: SYNC_ARGS, strict: true }));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${getUsage()}`);
+        return EXIT_CODES.config;
+    }
+    if (values.help) {
+        process.stdout.write(getUsage());
+        return EXIT_CODES.success;
+    }
+
+    const { options, error } = modules.parseSyncOptions(toSyncParams(values));
+    if (error) {
+        process.stderr.write(`${error}\n`);
+        return EXIT_CODES.config;
+    }
+
+    const { entity, startDate, endDate, ...syncOptions } = options;
+    const started = startJob({ ...options, source: "cli" }, (jobHandle) =>
+        modules.syncEntity(entity, startDate, endDate, { ...syncOptions, outputDir: values.output, job: jobHandle }),
+    );
+    const job = await waitForJob(started.id);
+
+    const exitCode = job.status === "completed" ? EXIT_CODES.success : getFailureExitCode(job.errorCode);
+    if (values.json) {
+        const { id, status, error: jobError, errorCode, result } = job;
+        const summary = { success: exitCode === 0, exitCode, runId: id, status, error: jobError, errorCode, result };
+        process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+    } else {
+        process.stdout.write(formatSummary(job));
+    }
+    return exitCode;
+}
+
+/**
+ * Run the command line
+ * @param {Array<string>} argv - Arguments after the executable, e.g. ['sync', '--start', '2024-01-01']
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv) {
+    const [command, ...args] = argv;
+    logger.useStderr();
+
+    const loadError = loadModules();
+    if (loadError) {
+        process.stderr.write(`Configuration error: ${loadError}\n`);
+        return EXIT_CODES.config;
+    }
+
+    if (command === "sync") {
+        return runSyncCommand(args);
+    }
+    if (!command || command === "help" || command === "--help" || command === "-h") {
+        process.stdout.write(getUsage());
+        return command ? EXIT_CODES.success : EXIT_CODES.config;
+    }
+    process.stderr.write(`Unknown command: ${command}\n\n${getUsage()}`);
+    return EXIT_CODES.config;
+}
+
+module.exports = {
+    EXIT_CODES,
+    main,
+};
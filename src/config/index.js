@@ -1,92 +1,286 @@
+const path = require("path");
 require("dotenv").config();
 
 const config = {
     // SuccessFactors API Configuration
     sf: {
         baseUrl: process.env.SF_BASE_URL || "https://api10.successfactors.com/odata/v2",
+        authMode: process.env.SF_AUTH_MODE || "basic", // basic | oauth
         username: process.env.SF_USERNAME,
         password: process.env.SF_PASSWORD,
+        oauth: {
+            clientId: process.env.SF_CLIENT_ID, // API key of the registered OAuth client
+            companyId: process.env.SF_COMPANY_ID,
+            userId: process.env.SF_USER_ID, // Technical user the assertion is issued for
+            samlAssertion: process.env.SF_SAML_ASSERTION, // Pre-signed base64 assertion, or:
+            privateKey: process.env.SF_PRIVATE_KEY, // Private key to sign assertions with
+            privateKeyFile: process.env.SF_PRIVATE_KEY_FILE,
+            assertionSource: process.env.SF_ASSERTION_SOURCE || "local", // local | idp (sends the key to /oauth/idp)
+            tokenUrl: process.env.SF_TOKEN_URL || "", // Defaults to /oauth/token on the API host
+            refreshMarginSeconds: parseInt(process.env.SF_TOKEN_REFRESH_MARGIN, 10) || 300,
+        },
     },
 
     // Sync Configuration
     sync: {
         pageSize: parseInt(process.env.PAGE_SIZE, 10) || 1000,
         outputFile: process.env.OUTPUT_FILE || "output/positions.sql",
-        departmentFilter: process.env.DEPARTMENT_FILTER || "",
+        departmentFilter: process.env.DEPARTMENT_FILTER || "", // comma separated prefixes
+        departmentExclude: process.env.DEPARTMENT_EXCLUDE || "", // comma separated prefixes
+        filterPushdown: process.env.FILTER_PUSHDOWN || "auto", // auto | server | client
+        pagingMode: process.env.PAGING_MODE || "auto", // auto | snapshot | offset
+        pageConcurrency: parseInt(process.env.PAGE_CONCURRENCY, 10) || 1, // parallel page requests (offset paging)
+        writeMode: process.env.WRITE_MODE || "insert", // insert | upsert | update
+        incrementalOverlapMinutes: parseInt(process.env.INCREMENTAL_OVERLAP_MINUTES, 10) || 10,
+        dialects: (process.env.SQL_DIALECTS || "oracle,postgres")
+            .split(",")
+            .map((d) => d.trim())
+            .filter(Boolean),
+        formats: (process.env.OUTPUT_FORMATS || "sql")
+            .split(",")
+            .map((f) => f.trim())
+            .filter(Boolean),
+        csvBom: process.env.CSV_BOM === "true", // UTF-8 BOM so Excel shows Vietnamese text correctly
+    },
+
+    // Soft delete of inactive, end-dated and out-of-filter records
+    softDelete: {
+        enabled: process.env.SOFT_DELETE === "true",
+        activeColumn: process.env.SOFT_DELETE_ACTIVE_COLUMN || "is_active",
+        deactivatedAtColumn: process.env.SOFT_DELETE_TIMESTAMP_COLUMN || "deactivated_at",
+    },
+
+    // Validity columns of the type 2 history tables written by history syncs (every effective-dated version)
+    scd2: {
+        validFromColumn: process.env.SCD2_VALID_FROM_COLUMN || "valid_from", // the version's effective start date
+        validToColumn: process.env.SCD2_VALID_TO_COLUMN || "valid_to", // next version's start, NULL for the latest
+        currentColumn: process.env.SCD2_CURRENT_COLUMN || "is_current", // true for the latest version
+    },
+
+    // Data-quality validation (rules in the mapping files, see src/entities/validationRules.js)
+    validation: {
+        enabled: process.env.VALIDATION_ENABLED !== "false",
+        strict: process.env.VALIDATION_STRICT === "true", // abort the sync if any record fails
+        rejectsFormat: process.env.REJECTS_FORMAT || "json", // json | csv
+    },
+
+    // Typed field mappings (<dir>/<entity>.yaml|.yml|.json); a given MAPPINGS_DIR is relative to the working
+    // directory, the default is the package's own mappings directory
+    mappings: {
+        dir: process.env.MAPPINGS_DIR
+            ? path.resolve(process.env.MAPPINGS_DIR)
+            : path.join(__dirname, "..", "..", "mappings"),
+    },
+
+    // Snapshots of synced records and change reports
+    snapshots: {
+        enabled: process.env.CHANGE_REPORTS_ENABLED === "true", // loads and rewrites the whole snapshot every run
+        dir: process.env.SNAPSHOT_DIR || "data/snapshots",
+        reportsDir: process.env.REPORTS_DIR || "data/reports",
+        retention: parseInt(process.env.SNAPSHOT_RETENTION, 10) || 10, // snapshots kept per entity
+    },
+
+    // Persisted sync state (incremental watermark)
+    state: {
+        file: process.env.STATE_FILE || "data/sync-state.json",
+    },
+
+    // Sync run history (GET /api/syncs) and retention of generated files
+    history: {
+        file: process.env.HISTORY_FILE || "data/sync-history.json",
+        retentionDays: parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 90,
+        maxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 1000,
+        // Output files of older runs are deleted
+        outputRetentionDays: parseInt(process.env.OUTPUT_RETENTION_DAYS, 10) || 30,
+    },
+
+    // Sync job configuration
+    jobs: {
+        lockMode: process.env.SYNC_LOCK_MODE || "reject", // reject | queue
+        queueLimit: parseInt(process.env.SYNC_QUEUE_LIMIT, 10) || 10,
+        historyLimit: parseInt(process.env.JOB_HISTORY_LIMIT, 10) || 100,
+    },
+
+    // Built-in scheduler configuration
+    scheduler: {
+        enabled: process.env.SCHEDULER_ENABLED !== "false",
+        file: process.env.SCHEDULES_FILE || "", // JSON array of schedules, see schedules.example.json
+        timezone: process.env.SCHEDULER_TIMEZONE || undefined,
+    },
+
+    // Target database configuration (used when applying statements directly)
+    db: {
+        applyTarget: process.env.DB_APPLY_TARGET || "postgres", // postgres | oracle
+        statementTimeout: parseInt(process.env.DB_STATEMENT_TIMEOUT, 10) || 30000,
+        postgres: {
+            connectionString: process.env.PG_CONNECTION_STRING,
+        },
+        oracle: {
+            user: process.env.ORACLE_USER,
+            password: process.env.ORACLE_PASSWORD,
+            connectString: process.env.ORACLE_CONNECT_STRING,
+        },
+    },
+
+    // Sync notifications (see src/services/notifiers)
+    notifications: {
+        events: (process.env.NOTIFY_EVENTS || "failure,anomaly")
+            .split(",")
+            .map((s) => s.trim())
+            .filter(Boolean), // success | failure | anomaly
+        retryAttempts: parseInt(process.env.NOTIFY_RETRY_ATTEMPTS, 10) || 3,
+        retryDelay: parseInt(process.env.NOTIFY_RETRY_DELAY, 10) || 2000, // doubled on every retry
+        timeout: parseInt(process.env.NOTIFY_TIMEOUT, 10) || 10000,
+        // Record count anomalies: outside fixed bounds, or far from the average of recent runs
+        anomaly: {
+            minRecords: parseInt(process.env.NOTIFY_MIN_RECORDS, 10) || null,
+            maxRecords: parseInt(process.env.NOTIFY_MAX_RECORDS, 10) || null,
+            deviationPercent: parseInt(process.env.NOTIFY_COUNT_DEVIATION_PERCENT, 10) || 50,
+            baselineRuns: parseInt(process.env.NOTIFY_COUNT_BASELINE_RUNS, 10) || 5,
+        },
+        webhook: {
+            url: process.env.NOTIFY_WEBHOOK_URL || "",
+            secret: process.env.NOTIFY_WEBHOOK_SECRET || "", // HMAC-SHA256 key for the X-Signature-256 header
+        },
+        chat: {
+            url: process.env.NOTIFY_CHAT_WEBHOOK_URL || "", // Slack or Microsoft Teams incoming webhook
+        },
+        email: {
+            host: process.env.SMTP_HOST || "",
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === "true", // TLS from the start (port 465)
+            user: process.env.SMTP_USER || "",
+            password: process.env.SMTP_PASSWORD || "",
+            from: process.env.NOTIFY_EMAIL_FROM || "",
+            to: (process.env.NOTIFY_EMAIL_TO || "")
+                .split(",")
+                .map((s) => s.trim())
+                .filter(Boolean),
+        },
+    },
+
+    // Readiness check (GET /health)
+    health: {
+        checkSuccessFactors: process.env.HEALTH_CHECK_SF === "true", // query SuccessFactors on every check
+    },
+
+    // API authentication (see src/services/auth); /health and /metrics stay open
+    auth: {
+        // On unless AUTH_ENABLED=false; the server refuses to start without API keys or JWT verification then
+        enabled: process.env.AUTH_ENABLED !== "false",
+        apiKeysFile: process.env.API_KEYS_FILE || "", // JSON array of keys, see api-keys.example.json
+        jwt: {
+            secret: process.env.JWT_SECRET || "", // HS256/384/512
+            jwksFile: process.env.JWT_JWKS_FILE || "", // public keys for RS*, PS* and ES* tokens
+            issuer: process.env.JWT_ISSUER || "",
+            audience: process.env.JWT_AUDIENCE || "",
+            clientClaim: process.env.JWT_CLIENT_CLAIM || "sub",
+            rolesClaim: process.env.JWT_ROLES_CLAIM || "roles",
+            clockToleranceSeconds: parseInt(process.env.JWT_CLOCK_TOLERANCE, 10) || 30,
+        },
+    },
+
+    // API request limits per client
+    rateLimit: {
+        enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW, 10) || 60000,
+        max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 120, // any /api request
+        syncMax: parseInt(process.env.RATE_LIMIT_SYNC_MAX, 10) || 10, // sync triggers
+    },
+
+    // Audit trail of API actions (who triggered which sync with which parameters)
+    audit: {
+        enabled: process.env.AUDIT_ENABLED !== "false",
+        file: process.env.AUDIT_LOG_FILE || "data/audit.log", // rotated daily
+        maxFiles: parseInt(process.env.AUDIT_MAX_FILES, 10) || 90, // rotated files kept
+    },
+
+    // Logging
+    logging: {
+        // error | warn | info | debug (DEBUG=true still turns on debug)
+        level: process.env.LOG_LEVEL || (process.env.DEBUG === "true" ? "debug" : "info"),
+        format: process.env.LOG_FORMAT || "text", // text | json (one JSON object per line)
+        file: process.env.LOG_FILE || "", // also write to this file
+        rotate: process.env.LOG_ROTATE || "size", // size | daily
+        maxSize: parseInt(process.env.LOG_MAX_SIZE, 10) || 10 * 1024 * 1024, // bytes, for size rotation
+        maxFiles: parseInt(process.env.LOG_MAX_FILES, 10) || 5, // rotated files kept
     },
 
     // API Request Configuration
     request: {
         timeout: parseInt(process.env.REQUEST_TIMEOUT, 10) || 60000, // 60 seconds default
-        retryAttempts: 3,
-        retryDelay: 1000, // 1 second initial delay
-    },
-
-    // Fields to select from SuccessFactors API
-    selectFields: [
-        "code",
-        "effectiveStartDate",
-        "cust_subCode",
-        "cust_subDepartment",
-        "lastModifiedDateTime",
-        "jobCode",
-        "jobTitle",
-        "payRange",
-        "cust_subDepartment2",
-        "costCenter",
-        "externalName_localized",
-        "effectiveStatus",
-        "externalName_vi_VN",
-        "effectiveEndDate",
-        "payGrade",
-        "cust_compensationpackage",
-        "department",
-        "cust_max",
-        "jobLevel",
-        "cust_min",
-        "externalName_en_US",
-    ].join(","),
-
-    // JSON field to DB column mapping
-    fieldMapping: {
-        code: "code",
-        effectiveStartDate: "effective_start_date",
-        cust_subCode: "cust_sub_code",
-        cust_subDepartment: "cust_sub_department",
-        lastModifiedDateTime: "last_modified_date_time",
-        jobCode: "job_code",
-        jobTitle: "job_title",
-        payRange: "pay_range",
-        cust_subDepartment2: "cust_sub_department2",
-        costCenter: "cost_center",
-        externalName_localized: "external_name_localized",
-        effectiveStatus: "effective_status",
-        externalName_vi_VN: "external_name_vi",
-        effectiveEndDate: "effective_end_date",
-        payGrade: "pay_grade",
-        cust_compensationpackage: "Compensation_Package",
-        department: "department",
-        cust_max: "cust_max",
-        jobLevel: "job_level",
-        cust_min: "cust_min",
-        externalName_en_US: "externalName_en",
+        retryAttempts: parseInt(process.env.REQUEST_RETRY_ATTEMPTS, 10) || 3,
+        retryDelay: parseInt(process.env.REQUEST_RETRY_DELAY, 10) || 1000, // 1 second initial delay
+        retryMaxDelay: parseInt(process.env.REQUEST_RETRY_MAX_DELAY, 10) || 60000, // cap for backoff and Retry-After
+        retryStatuses: (process.env.REQUEST_RETRY_STATUSES || "429,500,502,503,504")
+            .split(",")
+            .map((s) => parseInt(s, 10))
+            .filter(Boolean),
+    },
+
+    // Circuit breaker for the SuccessFactors API
+    circuitBreaker: {
+        failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 5, // consecutive failures
+        resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT, 10) || 60000, // before a trial request
     },
 };
 
+/**
+ * Error code set on configuration errors
+ */
+const CONFIG_ERROR_CODE = "CONFIG_INVALID";
+
+/**
+ * Sync events that can trigger notifications
+ */
+const NOTIFY_EVENTS = ["success", "failure", "anomaly"];
+
 // Validate required configuration
 function validateConfig() {
     const errors = [];
 
-    if (!config.sf.username) {
-        errors.push("SF_USERNAME is required");
+    if (config.sf.authMode === "basic") {
+        if (!config.sf.username) {
+            errors.push("SF_USERNAME is required");
+        }
+        if (!config.sf.password) {
+            errors.push("SF_PASSWORD is required");
+        }
+    } else if (config.sf.authMode === "oauth") {
+        const { oauth } = config.sf;
+        if (!oauth.clientId) {
+            errors.push("SF_CLIENT_ID is required for OAuth");
+        }
+        if (!oauth.companyId) {
+            errors.push("SF_COMPANY_ID is required for OAuth");
+        }
+        if (!oauth.samlAssertion && !oauth.privateKey && !oauth.privateKeyFile) {
+            errors.push("SF_SAML_ASSERTION, SF_PRIVATE_KEY or SF_PRIVATE_KEY_FILE is required for OAuth");
+        }
+        if (!oauth.samlAssertion && !oauth.userId) {
+            errors.push("SF_USER_ID is required to generate a SAML assertion from the private key");
+        }
+        if (!["local", "idp"].includes(oauth.assertionSource)) {
+            errors.push(`Invalid SF_ASSERTION_SOURCE: ${oauth.assertionSource}. Use local or idp`);
+        }
+    } else {
+        errors.push(`Invalid SF_AUTH_MODE: ${config.sf.authMode}. Use basic or oauth`);
+    }
+
+    const { notifications } = config;
+    const invalidEvents = notifications.events.filter((event) => !NOTIFY_EVENTS.includes(event));
+    if (invalidEvents.length > 0) {
+        errors.push(`Invalid NOTIFY_EVENTS: ${invalidEvents.join(", ")}. Use ${NOTIFY_EVENTS.join(", ")}`);
     }
-    if (!config.sf.password) {
-        errors.push("SF_PASSWORD is required");
+    if (notifications.email.host && (!notifications.email.from || notifications.email.to.length === 0)) {
+        errors.push("NOTIFY_EMAIL_FROM and NOTIFY_EMAIL_TO are required when SMTP_HOST is set");
     }
 
     if (errors.length > 0) {
-        throw new Error(`Configuration errors:\n${errors.join("\n")}`);
+        const error = new Error(`Configuration errors:\n${errors.join("\n")}`);
+        error.code = CONFIG_ERROR_CODE;
+        throw error;
     }
 }
 
-module.exports = { config, validateConfig };
+module.exports = { config, validateConfig, CONFIG_ERROR_CODE, NOTIFY_EVENTS };
@@ -0,0 +1,15 @@
+/**
+ * FOCostCenter (foundation object)
+ */
+module.exports = {
+    name: "costCenter",
+    label: "Cost Center",
+    entitySet: "FOCostCenter",
+    table: "job_sf_cost_center",
+    keyColumns: ["external_code", "start_date"],
+    departmentField: null,
+    statusColumn: "status",
+    endDateColumn: "end_date",
+    effectiveStartColumn: "start_date",
+    fileName: "cost_centers",
+};
@@ -0,0 +1,16 @@
+/**
+ * FODepartment (foundation object)
+ */
+module.exports = {
+    name: "department",
+    label: "Department",
+    entitySet: "FODepartment",
+    table: "job_sf_department",
+    keyColumns: ["external_code", "start_date"],
+    // Department codes carry the same prefix as Position.department
+    departmentField: "externalCode",
+    statusColumn: "status",
+    endDateColumn: "end_date",
+    effectiveStartColumn: "start_date",
+    fileName: "departments",
+};
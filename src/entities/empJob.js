@@ -0,0 +1,12 @@
+/**
+ * EmpJob (employee job information, keyed by user, start date and sequence number)
+ */
+module.exports = {
+    name: "empJob",
+    label: "Employee Job",
+    entitySet: "EmpJob",
+    table: "job_sf_emp_job",
+    keyColumns: ["user_id", "start_date", "seq_number"],
+    departmentField: "department",
+    fileName: "emp_jobs",
+};
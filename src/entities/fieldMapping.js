@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { config } = require("../config");
+
+/**
+ * Typed field mappings, loaded from <MAPPINGS_DIR>/<entity>.yaml|.yml|.json
+ *
+ * File layout:
+ * fields:
+ *   - sf: code                 # SuccessFactors field, used in $select
+ *     column: code             # DB column / export column
+ *     type: string             # string | number | date | boolean
+ *     length: 128              # optional, string columns (DDL and the truncate transform)
+ *     nullable: false          # optional, defaults to true
+ *     transform: trim          # optional, a transform name or a list of them (see TRANSFORMS)
+ * rules:                       # optional data-quality rules, see validationRules.js
+ */
+
+/**
+ * Supported field types
+ */
+const FIELD_TYPES = ["string", "number", "date", "boolean"];
+
+/**
+ * Value transforms applied to string values in the order listed, before formatting
+ */
+const TRANSFORMS = {
+    trim: (value) => value.trim(),
+    upper: (value) => value.toUpperCase(),
+    lower: (value) => value.toLowerCase(),
+    emptyToNull: (value) => (value === "" ? null : value),
+    truncate: (value, field) => (field.length ? value.slice(0, field.length) : value),
+};
+
+/**
+ * Mapping file extensions, in lookup order
+ */
+const MAPPING_EXTENSIONS = [".yaml", ".yml", ".json"];
+
+/**
+ * Find the mapping file of an entity
+ * @param {string} name - Entity name
+ * @returns {string} - Mapping file path
+ */
+function findMappingFile(name) {
+    for (const extension of MAPPING_EXTENSIONS) {
+        const file = path.join(config.mappings.dir, `${name}${extension}`);
+        if (fs.existsSync(file)) {
+            return file;
+        }
+    }
+    throw new Error(`No field mapping found for entity '${name}' in ${config.mappings.dir}`);
+}
+
+/**
+ * Validate and normalize the field list of a mapping file
+ * @param {Array<Object>} fields - Field definitions as written in the file
+ * @param {string} source - Mapping file, for error messages
+ * @returns {Array<Object>} - Fields { sf, column, type, length, nullable, transforms }
+ */
+function normalizeFields(fields, source) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+        throw new Error(`${source}: 'fields' must be a non-empty list`);
+    }
+
+    const columns = new Set();
+    return fields.map((field, index) => {
+        const where = `${source}: field ${index + 1}${field && field.sf ? ` (${field.sf})` : ""}`;
+        if (!field || !field.sf || !field.column) {
+            throw new Error(`${where} needs 'sf' and 'column'`);
+        }
+        if (columns.has(field.column)) {
+            throw new Error(`${where}: duplicate column '${field.column}'`);
+        }
+        columns.add(field.column);
+
+        const type = field.type || "string";
+        if (!FIELD_TYPES.includes(type)) {
+            throw new Error(`${where}: invalid type '${type}'. Use one of: ${FIELD_TYPES.join(", ")}`);
+        }
+        if (field.length !== undefined && !(Number.isInteger(field.length) && field.length > 0)) {
+            throw new Error(`${where}: length must be a positive whole number`);
+        }
+
+        const transforms = field.transform ? [].concat(field.transform) : [];
+        const unknown = transforms.filter((name) => !TRANSFORMS[name]);
+        if (unknown.length > 0) {
+            throw new Error(
+                `${where}: unknown transform '${unknown.join(", ")}'. ` +
+                    `Use one of: ${Object.keys(TRANSFORMS).join(", ")}`,
+            );
+        }
+
+        return {
+            sf: field.sf,
+            column: field.column,
+            type,
+            length: field.length || null,
+            nullable: field.nullable !== false,
+            transforms,
+        };
+    });
+}
+
+/**
+ * Load the mapping file of an entity
+ * @param {string} name - Entity name
+ * @returns {Object} - { fields: normalized fields, rules: rules as written (validated later), source: file path }
+ */
+function loadFieldMapping(name) {
+    const file = findMappingFile(name);
+    const content = fs.readFileSync(file, "utf8");
+    const mapping = (file.endsWith(".json") ? JSON.parse(content) : YAML.parse(content)) || {};
+    return { fields: normalizeFields(mapping.fields, file), rules: mapping.rules, source: file };
+}
+
+/**
+ * Apply a field's transforms to a raw API value
+ * @param {any} value - Value from the API
+ * @param {Object} field - Field definition
+ * @returns {any} - Transformed value
+ */
+function applyTransforms(value, field) {
+    let result = value;
+    for (const name of field.transforms) {
+        if (typeof result !== "string") break;
+        result = TRANSFORMS[name](result, field);
+    }
+    return result;
+}
+
+/**
+ * Convert a value to a number
+ * @param {any} value - Value from the API
+ * @returns {number|null} - Finite number, or null if not numeric
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Convert a value to a boolean
+ * @param {any} value - Value from the API (true/false, 'true'/'false', 'Y'/'N', 1/0)
+ * @returns {boolean|null} - Boolean, or null if not recognised
+ */
+function toBoolean(value) {
+    if (value === true || value === false) return value;
+    const text = String(value).trim().toLowerCase();
+    if (["true", "y", "yes", "1"].includes(text)) return true;
+    if (["false", "n", "no", "0"].includes(text)) return false;
+    return null;
+}
+
+module.exports = {
+    FIELD_TYPES,
+    TRANSFORMS,
+    normalizeFields,
+    loadFieldMapping,
+    applyTransforms,
+    toNumber,
+    toBoolean,
+};
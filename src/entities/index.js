@@ -0,0 +1,190 @@
+const { loadFieldMapping, normalizeFields } = require("./fieldMapping");
+const { normalizeRules } = require("./validationRules");
+
+/**
+ * SuccessFactors entity registry
+ *
+ * An entity definition is an object with:
+ * - name: registry key, used in /api/sync/:entity, watermarks and output file names
+ * - label: human readable name
+ * - entitySet: OData entity set, e.g. 'Position'
+ * - fields: typed field definitions (optional, loaded from the entity's mapping file, see fieldMapping.js)
+ * - rules: data-quality rules (optional, loaded from the mapping file with the fields, see validationRules.js)
+ * - keyColumns: DB columns that identify a row
+ * - table: target table name
+ * - lastModifiedField / lastModifiedColumn: optional, default 'lastModifiedDateTime' / 'last_modified_date_time'
+ * - departmentField: SF field matched against the department prefix filter, or null to skip the filter
+ * - statusColumn: DB column holding the record status, or null if the entity has none
+ * - inactiveValues: status values meaning inactive (default ['I'])
+ * - endDateColumn: DB column holding the effective end date, or null; a past end date also means inactive
+ * - fileName: base name of generated files
+ * - effectiveStartColumn: DB column holding the effective start date of an effective-dated entity, or null;
+ *   enables history syncs of every version (see getHistoryEntity)
+ * - historyTable: type 2 history table of those syncs (default '<table>_history')
+ */
+const entities = new Map();
+
+/**
+ * History views of the effective-dated entities, by entity name
+ */
+const historyEntities = new Map();
+
+/**
+ * Register an entity definition, filling in defaults
+ * Derived from the fields:
+ * - selectFields: fields for $select
+ * - fieldMapping: SF field -> DB column mapping
+ * - fieldsByColumn: DB column -> field definition
+ * - dateColumns: DB columns holding /Date(...)/ values
+ * @param {Object} entity - Entity definition
+ */
+function registerEntity(entity) {
+    for (const key of ["name", "entitySet", "keyColumns", "table"]) {
+        if (!entity[key]) {
+            throw new Error(`Entity is missing required property: ${key}`);
+        }
+    }
+
+    const mapping = entity.fields
+        ? {
+              fields: normalizeFields(entity.fields, `Entity '${entity.name}'`),
+              rules: entity.rules,
+              source: `Entity '${entity.name}'`,
+          }
+        : loadFieldMapping(entity.name);
+    const { fields } = mapping;
+    const definition = {
+        label: entity.entitySet,
+        lastModifiedField: "lastModifiedDateTime",
+        lastModifiedColumn: "last_modified_date_time",
+        departmentField: null,
+        statusColumn: null,
+        inactiveValues: ["I"],
+        endDateColumn: null,
+        effectiveStartColumn: null,
+        fileName: entity.name,
+        ...entity,
+        fields,
+        selectFields: fields.map((field) => field.sf),
+        fieldMapping: Object.fromEntries(fields.map((field) => [field.sf, field.column])),
+        fieldsByColumn: Object.fromEntries(fields.map((field) => [field.column, field])),
+        dateColumns: fields.filter((field) => field.type === "date").map((field) => field.column),
+        rules: normalizeRules(mapping.rules, fields, entity.keyColumns, mapping.source),
+    };
+
+    const columns = Object.values(definition.fieldMapping);
+    const requiredColumns = [...definition.keyColumns, definition.lastModifiedColumn];
+    if (definition.statusColumn) {
+        requiredColumns.push(definition.statusColumn);
+    }
+    if (definition.endDateColumn) {
+        requiredColumns.push(definition.endDateColumn);
+    }
+    if (definition.effectiveStartColumn) {
+        requiredColumns.push(definition.effectiveStartColumn);
+    }
+    for (const column of requiredColumns) {
+        if (!columns.includes(column)) {
+            throw new Error(`Entity '${definition.name}': column '${column}' is not in its field mapping`);
+        }
+    }
+
+    entities.set(definition.name, definition);
+    historyEntities.delete(definition.name);
+    if (definition.effectiveStartColumn) {
+        historyEntities.set(definition.name, buildHistoryEntity(definition, mapping));
+    }
+}
+
+/**
+ * Derive the history view of an effective-dated entity: every version is a row of the history table,
+ * identified by the entity's business key plus the effective start date
+ * @param {Object} definition - Registered entity definition
+ * @param {Object} mapping - Its field mapping, for the rules
+ * @returns {Object} - Entity definition with history: true and businessKeyColumns
+ */
+function buildHistoryEntity(definition, mapping) {
+    const startColumn = definition.effectiveStartColumn;
+    const keyColumns = definition.keyColumns.includes(startColumn)
+        ? definition.keyColumns
+        : [...definition.keyColumns, startColumn];
+    return {
+        ...definition,
+        name: `${definition.name}History`,
+        label: `${definition.label} history`,
+        table: definition.historyTable || `${definition.table}_history`,
+        keyColumns,
+        businessKeyColumns: keyColumns.filter((column) => column !== startColumn),
+        fileName: `${definition.fileName}_history`,
+        rules: normalizeRules(mapping.rules, definition.fields, keyColumns, mapping.source),
+        history: true,
+    };
+}
+
+/**
+ * Get a registered entity definition
+ * @param {string} name - Entity name
+ * @returns {Object} - Entity definition
+ */
+function getEntity(name) {
+    const entity = entities.get(name);
+    if (!entity) {
+        throw new Error(`Unknown entity: ${name}. Use one of: ${listEntities().join(", ")}`);
+    }
+    return entity;
+}
+
+/**
+ * Check whether an entity is registered
+ * @param {string} name - Entity name
+ * @returns {boolean} - True if registered
+ */
+function hasEntity(name) {
+    return entities.has(name);
+}
+
+/**
+ * Get the history view of an effective-dated entity (see buildHistoryEntity)
+ * @param {string} name - Entity name
+ * @returns {Object} - History entity definition
+ */
+function getHistoryEntity(name) {
+    const entity = getEntity(name);
+    if (!historyEntities.has(name)) {
+        throw new Error(
+            `Entity '${entity.name}' is not effective-dated, history is available for: ${listHistoryEntities().join(", ")}`,
+        );
+    }
+    return historyEntities.get(name);
+}
+
+/**
+ * List the entities with a history view
+ * @returns {Array<string>} - Entity names
+ */
+function listHistoryEntities() {
+    return [...historyEntities.keys()];
+}
+
+/**
+ * List registered entity names
+ * @returns {Array<string>} - Entity names
+ */
+function listEntities() {
+    return [...entities.keys()];
+}
+
+registerEntity(require("./position"));
+registerEntity(require("./department"));
+registerEntity(require("./jobCode"));
+registerEntity(require("./costCenter"));
+registerEntity(require("./empJob"));
+
+module.exports = {
+    registerEntity,
+    getEntity,
+    hasEntity,
+    listEntities,
+    getHistoryEntity,
+    listHistoryEntities,
+};
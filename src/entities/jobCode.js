@@ -0,0 +1,15 @@
+/**
+ * FOJobCode (foundation object)
+ */
+module.exports = {
+    name: "jobCode",
+    label: "Job Code",
+    entitySet: "FOJobCode",
+    table: "job_sf_job_code",
+    keyColumns: ["external_code", "start_date"],
+    departmentField: null,
+    statusColumn: "status",
+    endDateColumn: "end_date",
+    effectiveStartColumn: "start_date",
+    fileName: "job_codes",
+};
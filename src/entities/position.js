@@ -0,0 +1,19 @@
+const path = require("path");
+const { config } = require("../config");
+
+/**
+ * Position (effective-dated: the current view is keyed by code, history syncs key versions by code and start date)
+ */
+module.exports = {
+    name: "position",
+    label: "Position",
+    entitySet: "Position",
+    table: "job_sf_position",
+    keyColumns: ["code"],
+    departmentField: "department",
+    statusColumn: "effective_status",
+    endDateColumn: "effective_end_date",
+    effectiveStartColumn: "effective_start_date",
+    // Keeps OUTPUT_FILE working for the original position export
+    fileName: path.basename(config.sync.outputFile, ".sql"),
+};
@@ -0,0 +1,216 @@
+/**
+ * Data-quality rules, checked on each record before SQL generation
+ *
+ * Every entity gets implicit rules from its field mapping:
+ * - required:<column> for key columns and fields with nullable: false
+ * - maxLength:<column> for string fields with a length
+ *
+ * More rules are listed under 'rules' in the entity's mapping file:
+ * rules:
+ *   - type: compare            # left <operator> right, skipped when either side is empty
+ *     left: cust_min
+ *     operator: "<="           # <, <=, >, >=, ==, !=
+ *     right: cust_max
+ *   - type: pattern            # value must match a regular expression
+ *     column: code
+ *     pattern: "^[A-Z0-9_]+$"
+ *   - type: allowedValues      # value must be one of a list
+ *     column: effective_status
+ *     values: [A, I]
+ *   - type: required           # or maxLength (with max), like the implicit rules
+ *     column: job_title
+ * Each rule may have a name (default: <type>:<column>, or compare:<left><operator><right>), used in rejects
+ * files and per-rule counts.
+ *
+ * Rules are checked against export rows (see formats/base.js): transformed, typed values keyed by column.
+ */
+
+/**
+ * Comparison operators of compare rules
+ */
+const COMPARE_OPERATORS = {
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b,
+    "==": (a, b) => a === b,
+    "!=": (a, b) => a !== b,
+};
+
+/**
+ * Whether a value is empty (null, undefined or an empty string)
+ * @param {any} value - Value
+ * @returns {boolean} - True if empty
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === "";
+}
+
+/**
+ * Make two values comparable: numbers when both are numeric, otherwise strings
+ * (dates in export rows are 'YYYY-MM-DD HH:MI:SS.mmm' and sort as strings)
+ * @param {any} left - Left value
+ * @param {any} right - Right value
+ * @returns {Array<any>} - [left, right]
+ */
+function toComparable(left, right) {
+    const numbers = [Number(left), Number(right)];
+    if (numbers.every(Number.isFinite) && String(left).trim() !== "" && String(right).trim() !== "") {
+        return numbers;
+    }
+    return [String(left), String(right)];
+}
+
+/**
+ * Rule types: the columns they reference and a check returning an error message, or null if the row passes
+ */
+const RULE_TYPES = {
+    required: {
+        columns: (rule) => [rule.column],
+        check: (rule, row) => (isEmpty(row[rule.column]) ? `${rule.column} is required` : null),
+    },
+    maxLength: {
+        columns: (rule) => [rule.column],
+        check: (rule, row) => {
+            const value = row[rule.column];
+            return !isEmpty(value) && String(value).length > rule.max
+                ? `${rule.column} is ${String(value).length} characters long, max ${rule.max}`
+                : null;
+        },
+    },
+    compare: {
+        columns: (rule) => [rule.left, rule.right],
+        check: (rule, row) => {
+            const left = row[rule.left];
+            const right = row[rule.right];
+            if (isEmpty(left) || isEmpty(right)) return null;
+            return COMPARE_OPERATORS[rule.operator](...toComparable(left, right))
+                ? null
+                : `${rule.left} (${left}) must be ${rule.operator} ${rule.right} (${right})`;
+        },
+    },
+    pattern: {
+        columns: (rule) => [rule.column],
+        check: (rule, row) => {
+            const value = row[rule.column];
+            return !isEmpty(value) && !rule.regex.test(String(value))
+                ? `${rule.column} (${value}) does not match ${rule.pattern}`
+                : null;
+        },
+    },
+    allowedValues: {
+        columns: (rule) => [rule.column],
+        check: (rule, row) => {
+            const value = row[rule.column];
+            return !isEmpty(value) && !rule.values.includes(value)
+                ? `${rule.column} (${value}) is not one of: ${rule.values.join(", ")}`
+                : null;
+        },
+    },
+};
+
+/**
+ * Build the implicit rules of an entity from its fields
+ * @param {Array<Object>} fields - Normalized fields
+ * @param {Array<string>} keyColumns - Key columns
+ * @returns {Array<Object>} - Rules
+ */
+function buildImplicitRules(fields, keyColumns) {
+    const rules = [];
+    for (const field of fields) {
+        if (!field.nullable || keyColumns.includes(field.column)) {
+            rules.push({ name: `required:${field.column}`, type: "required", column: field.column });
+        }
+    }
+    for (const field of fields) {
+        if (field.type === "string" && field.length) {
+            rules.push({
+                name: `maxLength:${field.column}`,
+                type: "maxLength",
+                column: field.column,
+                max: field.length,
+            });
+        }
+    }
+    return rules;
+}
+
+/**
+ * Validate and normalize the rules of an entity, adding the implicit ones
+ * @param {Array<Object>} rules - Rules as written in the mapping file (optional)
+ * @param {Array<Object>} fields - Normalized fields
+ * @param {Array<string>} keyColumns - Key columns
+ * @param {string} source - Mapping file or entity, for error messages
+ * @returns {Array<Object>} - Rules { name, type, ... }, implicit rules first
+ */
+function normalizeRules(rules, fields, keyColumns, source) {
+    if (rules !== undefined && rules !== null && !Array.isArray(rules)) {
+        throw new Error(`${source}: 'rules' must be a list`);
+    }
+
+    const columns = fields.map((field) => field.column);
+    const normalized = buildImplicitRules(fields, keyColumns);
+    (rules || []).forEach((rule, index) => {
+        const where = `${source}: rule ${index + 1}${rule && rule.name ? ` (${rule.name})` : ""}`;
+        if (!rule || !RULE_TYPES[rule.type]) {
+            throw new Error(`${where}: invalid type. Use one of: ${Object.keys(RULE_TYPES).join(", ")}`);
+        }
+        const unknown = RULE_TYPES[rule.type].columns(rule).filter((column) => !columns.includes(column));
+        if (unknown.length > 0) {
+            throw new Error(`${where}: unknown column '${unknown.join(", ")}'`);
+        }
+        if (rule.type === "compare" && !COMPARE_OPERATORS[rule.operator]) {
+            throw new Error(`${where}: invalid operator. Use one of: ${Object.keys(COMPARE_OPERATORS).join(", ")}`);
+        }
+        if (rule.type === "maxLength" && !(Number.isInteger(rule.max) && rule.max > 0)) {
+            throw new Error(`${where}: max must be a positive whole number`);
+        }
+        if (rule.type === "allowedValues" && !(Array.isArray(rule.values) && rule.values.length > 0)) {
+            throw new Error(`${where}: values must be a non-empty list`);
+        }
+
+        const name =
+            rule.name ||
+            (rule.type === "compare"
+                ? `compare:${rule.left}${rule.operator}${rule.right}`
+                : `${rule.type}:${rule.column}`);
+        if (normalized.some((existing) => existing.name === name)) {
+            throw new Error(`${where}: duplicate rule name '${name}'`);
+        }
+
+        const extra = {};
+        if (rule.type === "pattern") {
+            try {
+                extra.regex = new RegExp(rule.pattern);
+            } catch (error) {
+                throw new Error(`${where}: invalid pattern: ${error.message}`);
+            }
+        }
+        normalized.push({ ...rule, ...extra, name });
+    });
+    return normalized;
+}
+
+/**
+ * Check an export row against rules
+ * @param {Object} row - Export row keyed by column
+ * @param {Array<Object>} rules - Normalized rules
+ * @returns {Array<Object>} - Failures [{ rule, message }], empty if the row is valid
+ */
+function checkRules(row, rules) {
+    const failures = [];
+    for (const rule of rules) {
+        const message = RULE_TYPES[rule.type].check(rule, row);
+        if (message) {
+            failures.push({ rule: rule.name, message });
+        }
+    }
+    return failures;
+}
+
+module.exports = {
+    RULE_TYPES,
+    COMPARE_OPERATORS,
+    normalizeRules,
+    checkRules,
+};
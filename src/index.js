@@ -1,243 +1,526 @@
+const crypto = require("crypto");
 const express = require("express");
-const fs = require("fs");
 const path = require("path");
 const { config, validateConfig } = require("./config");
-const { fetchPositions, filterByDepartment } = require("./services/sfApiService");
-const { generateInsertIfNotExists, generateSqlHeader, generateSqlFooter } = require("./utils/sqlGenerator");
+const { syncEntity, parseSyncOptions } = require("./services/syncService");
+const { hasDialect, listDialects } = require("./utils/dialects");
+const { generateDdlScript } = require("./utils/ddlGenerator");
+const { isValidDate, parseList, parseBoolean } = require("./utils/params");
+const { getEntity, hasEntity, listEntities, getHistoryEntity, listHistoryEntities } = require("./entities");
+const { getWatermark, resetWatermark } = require("./services/stateStore");
+const { loadScheduleDefinitions, startScheduler, listSchedules } = require("./services/scheduler");
+const { startJob, waitForJob, getJob, listJobs, cancelJob } = require("./services/jobManager");
+const { getChangeReportFile } = require("./services/changeTracker");
+const { METRICS_CONTENT_TYPE, setCircuitState, renderMetrics } = require("./services/metrics");
+const { checkReadiness } = require("./services/healthCheck");
+const { applyRetention, listRuns, getRun, getRunFile } = require("./services/historyStore");
+const { getCircuitState } = require("./services/sfHttpClient");
+const { authenticate, requireRole, validateAuthConfig } = require("./services/auth");
+const { createRateLimiter } = require("./services/rateLimiter");
+const { recordAudit } = require("./services/auditLog");
 const logger = require("./utils/logger");
 
 const app = express();
 app.use(express.json());
 
+/**
+ * Correlation id of each API request (X-Correlation-Id header, or a new one), echoed in the response
+ * and attached to every log line of the request and of the sync job it starts
+ */
+app.use((req, res, next) => {
+    const header = req.get("X-Correlation-Id");
+    const correlationId = header && /^[\w.-]{1,100}$/.test(header) ? header : crypto.randomUUID();
+    res.set("X-Correlation-Id", correlationId);
+    logger.runWithContext({ correlationId }, next);
+});
+
+/**
+ * API authentication and per-client request limits; /health and /metrics stay open
+ */
+app.use("/api", authenticate, createRateLimiter("api", config.rateLimit.max));
+const limitSyncs = createRateLimiter("sync", config.rateLimit.syncMax);
+const canRead = requireRole("viewer");
+const canOperate = requireRole("operator");
+const canAdminister = requireRole("admin");
+
 const PORT = process.env.PORT || 3000;
 
 /**
- * Ensure output directory exists
- * @param {string} filePath - Output file path
+ * Handle a sync API call
+ * Starts a sync job and returns its id right away, or waits for the result when `wait` is set.
+ * Every call is recorded in the audit log with the caller and the parameters.
+ * @param {Object} params - Request parameters (body or query)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
  */
-function ensureOutputDirectory(filePath) {
-    const dir = path.dirname(filePath);
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-        logger.info(`Created output directory: ${dir}`);
+async function handleSyncRequest(params, req, res) {
+    try {
+        const { options, error } = parseSyncOptions(params);
+        if (error) {
+            recordAudit(req, "sync.trigger", { outcome: "rejected", params, error });
+            return res.status(400).json({ success: false, error });
+        }
+
+        const { entity, startDate, endDate, ...syncOptions } = options;
+        logger.info(
+            `API called with entity: ${entity}, mode: ${syncOptions.mode}, startDate: ${startDate}, endDate: ${endDate}, writeMode: ${syncOptions.writeMode}, ` +
+                `dialects: ${syncOptions.dialects.join(",")}` +
+                (syncOptions.apply
+                    ? `, apply: ${syncOptions.applyTarget}${syncOptions.dryRun ? " (dry run)" : ""}`
+                    : ""),
+        );
+
+        const job = startJob({ ...options, triggeredBy: req.auth.client }, (jobHandle) =>
+            syncEntity(entity, startDate, endDate, { ...syncOptions, job: jobHandle }),
+        );
+        recordAudit(req, "sync.trigger", { jobId: job.id, status: job.status, params: options });
+
+        if (!parseBoolean(params.wait)) {
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`,
+            });
+        }
+
+        const finished = await waitForJob(job.id);
+        if (finished.status === "completed" || (finished.status === "failed" && finished.result)) {
+            return res.status(finished.status === "completed" ? 200 : 500).json({ ...finished.result, jobId: job.id });
+        }
+        res.status(finished.status === "cancelled" ? 409 : 500).json({
+            success: false,
+            jobId: job.id,
+            error: finished.error,
+        });
+    } catch (error) {
+        if (error.code === "SYNC_LOCKED") {
+            logger.warn(`Sync rejected: ${error.message}`);
+            recordAudit(req, "sync.trigger", { outcome: "rejected", params, error: error.message });
+            return res.status(409).json({ success: false, error: error.message, runningJobId: error.runningJobId });
+        }
+        logger.error(`Sync failed: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+        });
     }
 }
 
 /**
- * Validate date format (yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss)
- * @param {string} dateStr - Date string to validate
- * @returns {boolean} - True if valid
+ * Date-range strategies for scheduled syncs
+ */
+const SCHEDULE_DATE_RANGES = ["incremental", "lastDays", "default"];
+
+/**
+ * Convert a schedule's sync profile into sync request parameters
+ * @param {Object} profile - Sync profile from the schedule definition
+ * @returns {Object} - Parameters for parseSyncOptions
  */
-function isValidDate(dateStr) {
-    if (!dateStr) return true; // Optional
-    const dateRegex = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2})?$/;
-    if (!dateRegex.test(dateStr)) return false;
-    const date = new Date(dateStr);
-    return !isNaN(date.getTime());
+function buildScheduleParams(profile = {}) {
+    const { dateRange = "default", days = 1, ...params } = profile;
+
+    if (!SCHEDULE_DATE_RANGES.includes(dateRange)) {
+        throw new Error(`Invalid schedule dateRange: ${dateRange}. Use one of: ${SCHEDULE_DATE_RANGES.join(", ")}`);
+    }
+
+    if (dateRange === "incremental") {
+        return { ...params, mode: "incremental" };
+    }
+    if (dateRange === "lastDays") {
+        const start = new Date();
+        start.setDate(start.getDate() - days);
+        return { ...params, mode: "range", startDate: start.toISOString().slice(0, 10) };
+    }
+    return { ...params, mode: "range" };
 }
 
 /**
- * Sync positions with date range
- * @param {string} startDate - Start date filter
- * @param {string} endDate - End date filter
- * @returns {Object} - Sync result
- */
-async function syncPositions(startDate, endDate) {
-    const startTime = Date.now();
-    logger.info("Starting SF Position sync...");
-    logger.info(`Date range: ${startDate || "N/A"} to ${endDate || "N/A"}`);
-    logger.info(`Department filter: ${config.sync.departmentFilter}*`);
-    logger.info(`Page size: ${config.sync.pageSize}`);
-
-    // Validate configuration
-    validateConfig();
-
-    // Ensure output directory exists
-    ensureOutputDirectory(config.sync.outputFile);
-
-    const allFilteredPositions = []; // Store all filtered positions
-    let page = 1;
-    let skip = 0;
-    let totalFetched = 0;
-    let totalFiltered = 0;
-    let hasMoreData = true;
-
-    // Pagination loop
-    while (hasMoreData) {
-        // Fetch positions from API with date range
-        const positions = await fetchPositions(config.sync.pageSize, skip, startDate, endDate);
-        const fetchedCount = positions.length;
-        totalFetched += fetchedCount;
-
-        // Filter by department
-        const filteredPositions = filterByDepartment(positions, config.sync.departmentFilter);
-        const filteredCount = filteredPositions.length;
-        totalFiltered += filteredCount;
-
-        // Store filtered positions
-        allFilteredPositions.push(...filteredPositions);
-
-        // Log progress
-        logger.progress(page, fetchedCount, filteredCount, totalFiltered);
-
-        // Check if more data available
-        if (fetchedCount < config.sync.pageSize) {
-            hasMoreData = false;
-            logger.info("Reached end of data");
-        } else {
-            page++;
-            skip += config.sync.pageSize;
-        }
+ * Run a scheduled sync as a job and wait for it to finish
+ * @param {Object} definition - Schedule definition
+ * @returns {Promise<Object>} - Finished job view
+ */
+async function runScheduledSync(definition) {
+    const { options, error } = parseSyncOptions(buildScheduleParams(definition.profile));
+    if (error) {
+        throw new Error(`Schedule '${definition.name}': ${error}`);
     }
 
-    // Generate SQL for both database types
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const baseFileName = config.sync.outputFile.replace(".sql", `_${timestamp}`);
-
-    logger.info(`Generating SQL for ${allFilteredPositions.length} records for both Oracle and PostgreSQL...`);
-
-    // Generate Oracle SQL statements
-    const oracleStatements = [];
-    const postgresStatements = [];
-
-    for (const position of allFilteredPositions) {
-        oracleStatements.push(generateInsertIfNotExists(position, "oracle"));
-        postgresStatements.push(generateInsertIfNotExists(position, "postgres"));
-    }
-
-    // Write Oracle SQL file
-    const oracleFile = `${baseFileName}_oracle.sql`;
-    const oracleSqlContent =
-        generateSqlHeader(startDate, endDate, "oracle") +
-        oracleStatements.join("\n\n") +
-        generateSqlFooter(oracleStatements.length);
-    fs.writeFileSync(oracleFile, oracleSqlContent, "utf8");
-
-    // Write PostgreSQL SQL file
-    const postgresFile = `${baseFileName}_postgres.sql`;
-    const postgresSqlContent =
-        generateSqlHeader(startDate, endDate, "postgres") +
-        postgresStatements.join("\n\n") +
-        generateSqlFooter(postgresStatements.length);
-    fs.writeFileSync(postgresFile, postgresSqlContent, "utf8");
-
-    // Summary
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    logger.info("========================================");
-    logger.info("Sync completed successfully!");
-    logger.info(`Total records fetched from API: ${totalFetched}`);
-    logger.info(`Total records matching filter: ${totalFiltered}`);
-    logger.info(`SQL statements generated: ${allFilteredPositions.length}`);
-    logger.info(`Oracle SQL file: ${oracleFile}`);
-    logger.info(`PostgreSQL SQL file: ${postgresFile}`);
-    logger.info(`Duration: ${duration}s`);
-    logger.info("========================================");
-
-    return {
-        success: true,
-        totalFetched,
-        totalFiltered,
-        sqlStatementsGenerated: allFilteredPositions.length,
-        oracleFile,
-        postgresFile,
-        duration: `${duration}s`,
-    };
+    const { entity, startDate, endDate, ...syncOptions } = options;
+    const job = startJob({ ...options, schedule: definition.name }, (jobHandle) =>
+        syncEntity(entity, startDate, endDate, { ...syncOptions, job: jobHandle }),
+    );
+    return waitForJob(job.id);
 }
 
 /**
  * API Endpoint: POST /api/sync
- * Body: { startDate: "yyyy-MM-dd", endDate: "yyyy-MM-dd" }
+ * Body: { startDate: "yyyy-MM-dd", endDate: "yyyy-MM-dd", mode: "range" | "incremental", writeMode: "insert" | "upsert" | "update",
+ *         dialects: ["oracle", "postgres", "mysql", "sqlserver", "sqlite"], formats: ["sql", "csv", "ndjson", "xlsx"], csvBom: true,
+ *         departmentFilter: "CTEL,ABC", excludeDepartments: "CTEL9", filterPushdown: "auto" | "server" | "client",
+ *         fieldFilters: { effectiveStatus: "A", costCenter: ["CC1", "CC2"] }, filter: "jobLevel eq 'L3'",
+ *         pagingMode: "auto" | "snapshot" | "offset", pageConcurrency: 4, softDelete: true,
+ *         validate: true, strict: false, rejectsFormat: "json" | "csv",
+ *         apply: true, applyTarget: "postgres" | "oracle", dryRun: true, trackChanges: true, countOnly: false,
+ *         wait: false }
+ * Returns 202 with a job id unless `wait` is true
  */
-app.post("/api/sync", async (req, res) => {
-    try {
-        const { startDate, endDate } = req.body;
+app.post("/api/sync", canOperate, limitSyncs, (req, res) => handleSyncRequest(req.body, req, res));
 
-        // Validate dates
-        if (!isValidDate(startDate)) {
-            return res.status(400).json({
-                success: false,
-                error: "Invalid startDate format. Use yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss",
-            });
-        }
-        if (!isValidDate(endDate)) {
-            return res.status(400).json({
-                success: false,
-                error: "Invalid endDate format. Use yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss",
-            });
-        }
+/**
+ * API Endpoint: GET /api/sync
+ * Query params: ?startDate=yyyy-MM-dd&endDate=yyyy-MM-dd&mode=range|incremental&writeMode=insert|upsert|update&dialects=oracle,postgres
+ *               &departmentFilter=CTEL,ABC&excludeDepartments=CTEL9&fieldFilters={"effectiveStatus":"A"}
+ *               &softDelete=true&validate=true&strict=false&rejectsFormat=json|csv&apply=true&applyTarget=postgres|oracle&dryRun=true&wait=false
+ * Returns 202 with a job id unless `wait` is true
+ */
+app.get("/api/sync", canOperate, limitSyncs, (req, res) => handleSyncRequest(req.query, req, res));
 
-        logger.info(`API called with startDate: ${startDate}, endDate: ${endDate}`);
+/**
+ * API Endpoint: POST /api/sync/:entity
+ * Same body as POST /api/sync, for any registered entity (position, department, jobCode, costCenter, empJob)
+ */
+app.post("/api/sync/:entity", canOperate, limitSyncs, (req, res) =>
+    handleSyncRequest({ ...req.body, entity: req.params.entity }, req, res),
+);
 
-        const result = await syncPositions(startDate, endDate);
-        res.json(result);
-    } catch (error) {
-        logger.error(`Sync failed: ${error.message}`);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-        });
+/**
+ * API Endpoint: GET /api/sync/:entity
+ * Same query params as GET /api/sync, for any registered entity
+ */
+app.get("/api/sync/:entity", canOperate, limitSyncs, (req, res) =>
+    handleSyncRequest({ ...req.query, entity: req.params.entity }, req, res),
+);
+
+/**
+ * API Endpoint: GET /api/sync/:runId/changes
+ * Query: format (optional, 'json' or 'html', default: json)
+ * Returns the change report of a run (the run id is the job id)
+ */
+app.get("/api/sync/:runId/changes", canRead, (req, res) => {
+    const format = req.query.format || "json";
+    if (!["json", "html"].includes(format)) {
+        return res.status(400).json({ success: false, error: "Invalid format. Use json or html" });
     }
+
+    const reportFile = getChangeReportFile(req.params.runId, format);
+    if (!reportFile) {
+        return res.status(404).json({ success: false, error: `No change report for run ${req.params.runId}` });
+    }
+    res.sendFile(path.resolve(reportFile));
 });
 
 /**
- * API Endpoint: GET /api/sync
- * Query params: ?startDate=yyyy-MM-dd&endDate=yyyy-MM-dd
+ * API Endpoint: GET /api/jobs
+ * Lists known sync jobs, newest first
  */
-app.get("/api/sync", async (req, res) => {
-    try {
-        const { startDate, endDate } = req.query;
+app.get("/api/jobs", canRead, (req, res) => {
+    res.json({ success: true, jobs: listJobs() });
+});
 
-        // Validate dates
-        if (!isValidDate(startDate)) {
-            return res.status(400).json({
-                success: false,
-                error: "Invalid startDate format. Use yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss",
-            });
-        }
-        if (!isValidDate(endDate)) {
-            return res.status(400).json({
-                success: false,
-                error: "Invalid endDate format. Use yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss",
-            });
-        }
+/**
+ * API Endpoint: GET /api/jobs/:id
+ * Shows job status, current page, records fetched/filtered and output files
+ */
+app.get("/api/jobs/:id", canRead, (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+    }
+    res.json({ success: true, job });
+});
 
-        logger.info(`API called with startDate: ${startDate}, endDate: ${endDate}`);
+/**
+ * API Endpoint: DELETE /api/jobs/:id
+ * Cancels a queued job, or a running job before its next page
+ */
+app.delete("/api/jobs/:id", canOperate, (req, res) => {
+    const job = cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: `Job not found: ${req.params.id}` });
+    }
+    recordAudit(req, "job.cancel", { jobId: job.id, status: job.status });
+    res.status(202).json({ success: true, job });
+});
 
-        const result = await syncPositions(startDate, endDate);
-        res.json(result);
-    } catch (error) {
-        logger.error(`Sync failed: ${error.message}`);
-        res.status(500).json({
+/**
+ * Sync run statuses recorded in the history
+ */
+const RUN_STATUSES = ["completed", "failed", "cancelled"];
+
+/**
+ * Maximum runs per page of GET /api/syncs
+ */
+const MAX_HISTORY_PAGE_SIZE = 200;
+
+/**
+ * API Endpoint: GET /api/syncs
+ * Query: status, entity, from, to (yyyy-MM-dd or ISO timestamp), page (default 1), pageSize (default 20)
+ * Lists recorded sync runs, newest first
+ */
+app.get("/api/syncs", canRead, (req, res) => {
+    const { status, entity, from, to } = req.query;
+    const page = req.query.page !== undefined ? parseInt(req.query.page, 10) : 1;
+    const pageSize = req.query.pageSize !== undefined ? parseInt(req.query.pageSize, 10) : 20;
+
+    if (status && !RUN_STATUSES.includes(status)) {
+        return res
+            .status(400)
+            .json({ success: false, error: `Invalid status. Use one of: ${RUN_STATUSES.join(", ")}` });
+    }
+    if (entity && !hasEntity(entity)) {
+        return res
+            .status(400)
+            .json({ success: false, error: `Invalid entity. Use one of: ${listEntities().join(", ")}` });
+    }
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).json({ success: false, error: "Invalid from/to. Use yyyy-MM-dd or an ISO timestamp" });
+    }
+    if (!Number.isInteger(page) || page < 1) {
+        return res.status(400).json({ success: false, error: "Invalid page. Use a positive integer" });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_HISTORY_PAGE_SIZE) {
+        return res
+            .status(400)
+            .json({ success: false, error: `Invalid pageSize. Use an integer from 1 to ${MAX_HISTORY_PAGE_SIZE}` });
+    }
+
+    // A bare end date covers the whole day
+    const toDate = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+    const { total, runs } = listRuns({ status, entity, from, to: toDate, page, pageSize });
+    res.json({ success: true, total, page, pageSize, syncs: runs });
+});
+
+/**
+ * API Endpoint: GET /api/syncs/:id
+ * Shows a recorded sync run: parameters, counts, duration, status, error and output files
+ */
+app.get("/api/syncs/:id", canRead, (req, res) => {
+    const run = getRun(req.params.id);
+    if (!run) {
+        return res.status(404).json({ success: false, error: `Sync run not found: ${req.params.id}` });
+    }
+    res.json({ success: true, sync: run });
+});
+
+/**
+ * API Endpoint: GET /api/syncs/:id/files/:name
+ * Downloads a file generated by a sync run (output or rejects file, by file name)
+ */
+app.get("/api/syncs/:id/files/:name", canRead, (req, res) => {
+    const run = getRun(req.params.id);
+    if (!run) {
+        return res.status(404).json({ success: false, error: `Sync run not found: ${req.params.id}` });
+    }
+    const file = getRunFile(run, req.params.name);
+    if (!file) {
+        return res
+            .status(404)
+            .json({ success: false, error: `File not found for run ${req.params.id}: ${req.params.name}` });
+    }
+    res.download(path.resolve(file));
+});
+
+/**
+ * Resolve the watermark name from the ?entity= and ?history= query params
+ * History syncs keep their own watermark, under the history entity's name
+ * @param {Object} req - Express request
+ * @returns {string|null} - Entity name, or null if unknown
+ */
+function getWatermarkEntity(req) {
+    const entity = req.query.entity || "position";
+    if (parseBoolean(req.query.history)) {
+        return listHistoryEntities().includes(entity) ? getHistoryEntity(entity).name : null;
+    }
+    return hasEntity(entity) ? entity : null;
+}
+
+/**
+ * API Endpoint: GET /api/watermark?entity=position[&history=true]
+ * Shows the persisted incremental watermark
+ */
+app.get("/api/watermark", canRead, (req, res) => {
+    const entity = getWatermarkEntity(req);
+    if (!entity) {
+        return res
+            .status(400)
+            .json({ success: false, error: `Invalid entity. Use one of: ${listEntities().join(", ")}` });
+    }
+    res.json({ success: true, entity, watermark: getWatermark(entity) });
+});
+
+/**
+ * API Endpoint: PUT /api/watermark?entity=position[&history=true]
+ * Body: { lastModifiedDateTime: "yyyy-MM-ddTHH:mm:ss" }
+ * Sets the watermark to an explicit value
+ */
+app.put("/api/watermark", canAdminister, (req, res) => {
+    const entity = getWatermarkEntity(req);
+    if (!entity) {
+        return res
+            .status(400)
+            .json({ success: false, error: `Invalid entity. Use one of: ${listEntities().join(", ")}` });
+    }
+    const { lastModifiedDateTime } = req.body;
+    if (!lastModifiedDateTime || !isValidDate(lastModifiedDateTime)) {
+        return res.status(400).json({
             success: false,
-            error: error.message,
+            error: "Invalid lastModifiedDateTime format. Use yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss",
         });
     }
+    // Dates without a zone are UTC, like the OData filter
+    const dateTime = lastModifiedDateTime.length === 10 ? `${lastModifiedDateTime}T00:00:00` : lastModifiedDateTime;
+    const watermark = resetWatermark(new Date(`${dateTime}Z`).toISOString(), entity);
+    recordAudit(req, "watermark.set", { entity, lastModifiedDateTime: watermark.lastModifiedDateTime });
+    res.json({ success: true, entity, watermark });
 });
 
 /**
- * Health check endpoint
+ * API Endpoint: DELETE /api/watermark?entity=position[&history=true]
+ * Clears the watermark; the next incremental sync falls back to the default date range
  */
-app.get("/health", (req, res) => {
+app.delete("/api/watermark", canAdminister, (req, res) => {
+    const entity = getWatermarkEntity(req);
+    if (!entity) {
+        return res
+            .status(400)
+            .json({ success: false, error: `Invalid entity. Use one of: ${listEntities().join(", ")}` });
+    }
+    const watermark = resetWatermark(null, entity);
+    recordAudit(req, "watermark.reset", { entity });
+    res.json({ success: true, entity, watermark });
+});
+
+/**
+ * API Endpoint: GET /api/schedules
+ * Shows each schedule with its next fire time and last result
+ */
+app.get("/api/schedules", canRead, (req, res) => {
+    res.json({ success: true, enabled: config.scheduler.enabled, schedules: listSchedules() });
+});
+
+/**
+ * API Endpoint: GET /api/ddl
+ * Query: entity (optional, default: all entities), dialects (optional, comma separated, default: SQL_DIALECTS),
+ *        softDelete (optional, add the soft delete columns, default: SOFT_DELETE),
+ *        history (optional, the type 2 history tables of effective-dated entities instead)
+ * Returns CREATE TABLE DDL generated from the field mappings as text/plain
+ */
+app.get("/api/ddl", canRead, (req, res) => {
+    const history = parseBoolean(req.query.history);
+    const available = history ? listHistoryEntities() : listEntities();
+    const entityNames = parseList(req.query.entity) || available;
+    const dialects = parseList(req.query.dialects) || config.sync.dialects;
+
+    if (!entityNames.every((name) => available.includes(name))) {
+        return res.status(400).json({ success: false, error: `Invalid entity. Use one of: ${available.join(", ")}` });
+    }
+    if (dialects.length === 0 || !dialects.every(hasDialect)) {
+        return res
+            .status(400)
+            .json({ success: false, error: `Invalid dialects. Use one or more of: ${listDialects().join(", ")}` });
+    }
+
+    const softDelete =
+        req.query.softDelete !== undefined ? parseBoolean(req.query.softDelete) : config.softDelete.enabled;
+    const entities = entityNames.map(history ? getHistoryEntity : getEntity);
+    res.type("text/plain").send(generateDdlScript(entities, dialects, { softDelete }));
+});
+
+/**
+ * Readiness check endpoint
+ * Query: sf (optional, also query SuccessFactors, default: HEALTH_CHECK_SF)
+ * Returns 200 when every check passes, 503 otherwise
+ */
+app.get("/health", async (req, res) => {
+    const successFactors = req.query.sf !== undefined ? parseBoolean(req.query.sf) : config.health.checkSuccessFactors;
+    const { ready, checks } = await checkReadiness({ successFactors });
+    res.status(ready ? 200 : 503).json({
+        status: ready ? "ok" : "unavailable",
+        timestamp: new Date().toISOString(),
+        checks,
+    });
+});
+
+/**
+ * Liveness check endpoint: the process is up and serving requests
+ */
+app.get("/health/live", (req, res) => {
     res.json({ status: "ok", timestamp: new Date().toISOString() });
 });
 
-// Validate config on startup
-try {
-    validateConfig();
-    logger.info("Configuration validated successfully");
-} catch (error) {
-    logger.error(`Configuration error: ${error.message}`);
-    process.exit(1);
+/**
+ * Prometheus metrics endpoint
+ */
+app.get("/metrics", async (req, res) => {
+    setCircuitState(getCircuitState().state);
+    res.type(METRICS_CONTENT_TYPE).send(await renderMetrics());
+});
+
+/**
+ * Validate the configuration, start the scheduler and listen on PORT
+ * Exits the process on configuration errors.
+ */
+function startServer() {
+    // Validate config on startup
+    try {
+        validateConfig();
+        validateAuthConfig();
+        logger.info("Configuration validated successfully");
+    } catch (error) {
+        logger.error(`Configuration error: ${error.message}`);
+        process.exit(1);
+    }
+
+    // Delete output files and history entries past retention
+    try {
+        applyRetention();
+    } catch (error) {
+        logger.error(`History retention failed: ${error.message}`);
+    }
+
+    // Start scheduled syncs
+    if (config.scheduler.enabled) {
+        try {
+            const definitions = loadScheduleDefinitions();
+            // Validate every profile up front so a bad schedule fails at startup, not at 2 AM
+            for (const definition of definitions) {
+                const { error } = parseSyncOptions(buildScheduleParams(definition.profile));
+                if (error) throw new Error(`Schedule '${definition.name}': ${error}`);
+            }
+            startScheduler(definitions, runScheduledSync);
+            logger.info(`Scheduler started with ${definitions.length} schedule(s)`);
+        } catch (error) {
+            logger.error(`Scheduler configuration error: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    // Start server
+    app.listen(PORT, () => {
+        logger.info(`========================================`);
+        logger.info(`SF Position Sync API started`);
+        logger.info(`Port: ${PORT}`);
+        logger.info(`Health check: http://localhost:${PORT}/health`);
+        logger.info(`Sync endpoint: POST http://localhost:${PORT}/api/sync`);
+        logger.info(
+            `  Body: { "startDate": "yyyy-MM-dd", "endDate": "yyyy-MM-dd", "writeMode": "insert|upsert|update",`,
+        );
+        logger.info(`          "dialects": ["oracle", "postgres"], "apply": false, "dryRun": false }`);
+        logger.info(`Sync endpoint: GET http://localhost:${PORT}/api/sync?startDate=yyyy-MM-dd&endDate=yyyy-MM-dd`);
+        logger.info(`Entity sync: POST|GET http://localhost:${PORT}/api/sync/:entity (${listEntities().join(", ")})`);
+        logger.info(`Incremental sync: GET http://localhost:${PORT}/api/sync?mode=incremental`);
+        logger.info(`Watermark: GET|PUT|DELETE http://localhost:${PORT}/api/watermark`);
+        logger.info(`Schedules: GET http://localhost:${PORT}/api/schedules`);
+        logger.info(`Job status: GET http://localhost:${PORT}/api/jobs/:id (DELETE to cancel)`);
+        logger.info(`Sync history: GET http://localhost:${PORT}/api/syncs (/:id, /:id/files/:name)`);
+        logger.info(`========================================`);
+    });
 }
 
-// Start server
-app.listen(PORT, () => {
-    logger.info(`========================================`);
-    logger.info(`SF Position Sync API started`);
-    logger.info(`Port: ${PORT}`);
-    logger.info(`Health check: http://localhost:${PORT}/health`);
-    logger.info(`Sync endpoint: POST http://localhost:${PORT}/api/sync`);
-    logger.info(`  Body: { "startDate": "yyyy-MM-dd", "endDate": "yyyy-MM-dd" }`);
-    logger.info(`Sync endpoint: GET http://localhost:${PORT}/api/sync?startDate=yyyy-MM-dd&endDate=yyyy-MM-dd`);
-    logger.info(`========================================`);
-});
+// Started directly (npm start); tests mount the app themselves
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, startServer };
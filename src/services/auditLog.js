@@ -0,0 +1,58 @@
+const { config } = require("../config");
+const { createRotatingFile } = require("../utils/rotatingFile");
+const logger = require("../utils/logger");
+
+/**
+ * Audit trail of API actions: one JSON object per line in AUDIT_LOG_FILE, rotated daily
+ *
+ * Entry: { timestamp, action, outcome, client, authMethod, ip, method, path, correlationId, ...details }
+ * Actions: sync.trigger, job.cancel, watermark.set, watermark.reset, auth.failed, access.denied,
+ * rate_limit.exceeded. Writing never fails the request; errors are logged.
+ */
+let auditFile = null;
+
+/**
+ * Open the audit file on first use
+ * @returns {Object|null} - Rotating file, or null if auditing is off
+ */
+function getAuditFile() {
+    if (!auditFile && config.audit.enabled) {
+        auditFile = createRotatingFile(config.audit.file, { rotate: "daily", maxFiles: config.audit.maxFiles });
+    }
+    return auditFile;
+}
+
+/**
+ * Append an audit entry for an API request
+ * @param {Object} req - Express request (req.auth is set once the caller is authenticated)
+ * @param {string} action - Action, e.g. 'sync.trigger'
+ * @param {Object} details - Extra fields: outcome ('success' by default), job id, parameters, error...
+ */
+function recordAudit(req, action, details = {}) {
+    const auth = req.auth || {};
+    const entry = {
+        timestamp: new Date().toISOString(),
+        action,
+        outcome: "success",
+        client: auth.client || null,
+        authMethod: auth.method || null,
+        ip: req.ip,
+        method: req.method,
+        path: `${req.baseUrl}${req.path}`,
+        correlationId: logger.getContext().correlationId || null,
+        ...details,
+    };
+
+    try {
+        const file = getAuditFile();
+        if (file) {
+            file.write(`${JSON.stringify(entry)}\n`);
+        }
+    } catch (error) {
+        logger.error(`Failed to write audit log: ${error.message}`);
+    }
+}
+
+module.exports = {
+    recordAudit,
+};
@@ -0,0 +1,110 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { config } = require("../../config");
+const { createAuthError, parseRoles } = require("./principal");
+const logger = require("../../utils/logger");
+
+/**
+ * Static API keys sent in the X-API-Key header
+ *
+ * API_KEYS_FILE holds a JSON array of { client, key | keyHash, roles } (see api-keys.example.json), where
+ * keyHash is the hex SHA-256 digest of the key so the file need not contain the key itself.
+ * The file is read again when it changes; if the new version is invalid the previous keys stay in use.
+ */
+let cache = null; // { mtimeMs, keys: [{ client, roles, hash }] }
+
+/**
+ * SHA-256 digest of a key
+ * @param {string} key - API key
+ * @returns {Buffer} - Digest
+ */
+function hashKey(key) {
+    return crypto.createHash("sha256").update(String(key)).digest();
+}
+
+/**
+ * Load the API keys, from the cache unless the file changed
+ * @returns {Array<Object>} - Keys { client, roles, hash }; throws on an unreadable or invalid file
+ */
+function loadApiKeys() {
+    const file = config.auth.apiKeysFile;
+    const { mtimeMs } = fs.statSync(file);
+    if (cache && cache.mtimeMs === mtimeMs) {
+        return cache.keys;
+    }
+
+    // A broken version is reported once; the previous keys are used until the file changes again
+    if (cache) cache.mtimeMs = mtimeMs;
+    const entries = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(entries)) {
+        throw new Error(`${file} must contain a JSON array of API keys`);
+    }
+    const clients = new Set();
+    const keys = entries.map((entry, index) => {
+        if (!entry.client) throw new Error(`${file}: API key ${index + 1} is missing required property: client`);
+        if (clients.has(entry.client)) throw new Error(`${file}: duplicate API key client: ${entry.client}`);
+        clients.add(entry.client);
+        if (!entry.key && !entry.keyHash) {
+            throw new Error(`${file}: API key '${entry.client}' needs a key or keyHash`);
+        }
+        if (entry.keyHash && !/^[0-9a-f]{64}$/i.test(entry.keyHash)) {
+            throw new Error(`${file}: keyHash of API key '${entry.client}' must be a hex SHA-256 digest`);
+        }
+        return {
+            client: entry.client,
+            roles: parseRoles(entry.roles, `${file}: API key '${entry.client}'`),
+            hash: entry.keyHash ? Buffer.from(entry.keyHash, "hex") : hashKey(entry.key),
+        };
+    });
+
+    cache = { mtimeMs, keys };
+    return keys;
+}
+
+module.exports = {
+    name: "apiKey",
+    label: "API key",
+
+    /**
+     * @returns {boolean} - True if an API keys file is configured
+     */
+    isConfigured() {
+        return Boolean(config.auth.apiKeysFile);
+    },
+
+    /**
+     * Load the API keys file, throwing if it is missing or invalid
+     */
+    validate() {
+        const keys = loadApiKeys();
+        logger.info(`Loaded ${keys.length} API key(s) from ${config.auth.apiKeysFile}`);
+    },
+
+    /**
+     * Identify the caller from the X-API-Key header
+     * @param {Object} req - Express request
+     * @returns {Object|null} - Principal { client, roles }, or null without the header
+     */
+    authenticate(req) {
+        const presented = req.get("X-API-Key");
+        if (!presented) {
+            return null;
+        }
+
+        let keys;
+        try {
+            keys = loadApiKeys();
+        } catch (error) {
+            if (!cache) throw error;
+            logger.error(`Failed to reload ${config.auth.apiKeysFile}, keeping the previous keys: ${error.message}`);
+            keys = cache.keys;
+        }
+
+        const digest = hashKey(presented);
+        const match = keys.find((entry) => crypto.timingSafeEqual(entry.hash, digest));
+        if (!match) {
+            throw createAuthError("Invalid API key");
+        }
+        return { client: match.client, roles: match.roles };
+    },
+};
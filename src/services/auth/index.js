@@ -0,0 +1,130 @@
+const { config } = require("../../config");
+const { recordAudit } = require("../auditLog");
+const { ROLES, AUTH_ERROR_CODE, createAuthError, hasRole } = require("./principal");
+const logger = require("../../utils/logger");
+
+/**
+ * API authentication provider registry and role checks
+ *
+ * A provider is an object with:
+ * - name: registry key, reported as the principal's auth method
+ * - isConfigured(): whether the provider's settings are present (unconfigured providers are skipped)
+ * - validate(): load and check its key files, throwing on errors; called at startup
+ * - authenticate(req): the principal { client, roles } for the request's credentials, or null if the request
+ *   carries none of this provider's credentials; throws an error with status 401 on invalid credentials
+ *
+ * Roles are described in principal.js. Authentication is on by default; with no provider configured every API
+ * request is refused. Only with AUTH_ENABLED=false does every request act as an anonymous admin.
+ */
+const providers = new Map();
+
+/**
+ * Register an authentication provider
+ * @param {Object} provider - Provider definition
+ */
+function registerAuthProvider(provider) {
+    for (const key of ["name", "isConfigured", "validate", "authenticate"]) {
+        if (!provider[key]) {
+            throw new Error(`Authentication provider is missing required property: ${key}`);
+        }
+    }
+    providers.set(provider.name, provider);
+}
+
+/**
+ * List the providers with settings present
+ * @returns {Array<Object>} - Provider definitions
+ */
+function getConfiguredProviders() {
+    return [...providers.values()].filter((provider) => provider.isConfigured());
+}
+
+/**
+ * Whether API requests must authenticate (on unless AUTH_ENABLED=false)
+ * @returns {boolean} - True if authentication is enabled
+ */
+function isAuthEnabled() {
+    return config.auth.enabled;
+}
+
+/**
+ * Check the authentication settings at startup, including the key files of every configured provider
+ * Throws on errors.
+ */
+function validateAuthConfig() {
+    if (isAuthEnabled() && getConfiguredProviders().length === 0) {
+        throw new Error(
+            "API authentication needs one of API_KEYS_FILE, JWT_SECRET or JWT_JWKS_FILE " +
+                "(set AUTH_ENABLED=false to run without authentication)",
+        );
+    }
+    for (const provider of getConfiguredProviders()) {
+        provider.validate();
+    }
+    if (!isAuthEnabled()) {
+        logger.warn("API authentication is disabled: anyone who can reach the API can trigger syncs");
+    }
+}
+
+/**
+ * Express middleware: identify the caller and attach req.auth = { client, method, roles }
+ * Answers 401 when authentication is enabled and the request has no valid credentials.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+    if (!isAuthEnabled()) {
+        req.auth = { client: null, method: "none", roles: ["admin"] };
+        return next();
+    }
+
+    try {
+        for (const provider of getConfiguredProviders()) {
+            const principal = provider.authenticate(req);
+            if (principal) {
+                req.auth = { ...principal, method: provider.name };
+                return next();
+            }
+        }
+        throw createAuthError("Authentication required: send an X-API-Key header or a Bearer token");
+    } catch (error) {
+        if (error.code !== AUTH_ERROR_CODE) {
+            return next(error);
+        }
+        logger.warn(`Rejected ${req.method} ${req.originalUrl}: ${error.message}`);
+        recordAudit(req, "auth.failed", { outcome: "denied", error: error.message });
+        res.set("WWW-Authenticate", 'Bearer realm="sf-sync", ApiKey realm="sf-sync"');
+        res.status(401).json({ success: false, error: error.message });
+    }
+}
+
+/**
+ * Express middleware factory: answer 403 unless the caller holds the role (or a higher one)
+ * @param {string} role - Required role
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+    return (req, res, next) => {
+        if (hasRole(req.auth, role)) {
+            return next();
+        }
+        logger.warn(`Denied ${req.method} ${req.originalUrl} to ${req.auth.client}: requires role ${role}`);
+        recordAudit(req, "access.denied", { outcome: "denied", requiredRole: role });
+        res.status(403).json({ success: false, error: `Forbidden: requires role ${role}` });
+    };
+}
+
+registerAuthProvider(require("./apiKey"));
+registerAuthProvider(require("./jwt"));
+
+module.exports = {
+    registerAuthProvider,
+    isAuthEnabled,
+    validateAuthConfig,
+    authenticate,
+    requireRole,
+};
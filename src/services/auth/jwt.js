@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const jwt = require("jsonwebtoken");
+const { config } = require("../../config");
+const { ROLES, createAuthError } = require("./principal");
+const logger = require("../../utils/logger");
+
+/**
+ * JWT bearer tokens (Authorization: Bearer <token>)
+ *
+ * Tokens are verified with jsonwebtoken against JWT_SECRET (HS256/384/512) or the public keys of JWT_JWKS_FILE
+ * (RS*, PS*, ES*, chosen by the token's kid). A token must carry exp; nbf, JWT_ISSUER and JWT_AUDIENCE
+ * are checked when present/configured. The client is the JWT_CLIENT_CLAIM claim (default sub) and the
+ * roles are the known roles in JWT_ROLES_CLAIM (a list, or a space separated string).
+ */
+
+/**
+ * Accepted algorithms: HMAC ones are verified against the secret, the others against a JWKS key of a matching type
+ * (a JWKS key with an alg only accepts that algorithm)
+ */
+const HMAC_ALGORITHMS = ["HS256", "HS384", "HS512"];
+const KEY_ALGORITHMS = {
+    rsa: ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512"],
+    "rsa-pss": ["PS256", "PS384", "PS512"],
+    ec: ["ES256", "ES384", "ES512"],
+};
+
+let jwksCache = null; // { mtimeMs, keys: [{ kid, alg, key }] }
+
+/**
+ * Load the public keys of the JWKS file, from the cache unless the file changed
+ * @returns {Array<Object>} - Keys { kid, alg, key }; throws on an unreadable or invalid file
+ */
+function loadJwks() {
+    const file = config.auth.jwt.jwksFile;
+    const { mtimeMs } = fs.statSync(file);
+    if (jwksCache && jwksCache.mtimeMs === mtimeMs) {
+        return jwksCache.keys;
+    }
+
+    // A broken version is reported once; the previous keys are used until the file changes again
+    if (jwksCache) jwksCache.mtimeMs = mtimeMs;
+    const jwks = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(jwks.keys)) {
+        throw new Error(`${file} must contain a JSON Web Key Set ({ "keys": [...] })`);
+    }
+    const keys = jwks.keys
+        .filter((jwk) => !jwk.use || jwk.use === "sig")
+        .map((jwk) => {
+            try {
+                return {
+                    kid: jwk.kid || null,
+                    alg: jwk.alg || null,
+                    key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+                };
+            } catch (error) {
+                throw new Error(`${file}: invalid key ${jwk.kid || ""}: ${error.message}`);
+            }
+        });
+
+    jwksCache = { mtimeMs, keys };
+    return keys;
+}
+
+/**
+ * Pick the JWKS key for a token header
+ * @param {Object} header - Token header
+ * @returns {Object} - Key { kid, alg, key }; throws an authentication error if there is none
+ */
+function findJwksKey(header) {
+    let keys;
+    try {
+        keys = loadJwks();
+    } catch (error) {
+        if (!jwksCache) throw error;
+        logger.error(`Failed to reload ${config.auth.jwt.jwksFile}, keeping the previous keys: ${error.message}`);
+        keys = jwksCache.keys;
+    }
+
+    const candidates = header.kid ? keys.filter((entry) => entry.kid === header.kid) : keys;
+    if (candidates.length !== 1) {
+        throw createAuthError(header.kid ? `Unknown token key: ${header.kid}` : "Token has no kid");
+    }
+    return candidates[0];
+}
+
+/**
+ * Pick the key and the accepted algorithms for a token header
+ * @param {Object} header - Token header
+ * @returns {Object} - { key, algorithms }; throws an authentication error if the algorithm is not accepted
+ */
+function getVerificationKey(header) {
+    if (HMAC_ALGORITHMS.includes(header.alg) && config.auth.jwt.secret) {
+        // HMAC tokens only against the shared secret, never against a public key
+        return { key: config.auth.jwt.secret, algorithms: HMAC_ALGORITHMS };
+    }
+    if (Object.values(KEY_ALGORITHMS).flat().includes(header.alg) && config.auth.jwt.jwksFile) {
+        const entry = findJwksKey(header);
+        const algorithms = entry.alg ? [entry.alg] : KEY_ALGORITHMS[entry.key.asymmetricKeyType] || [];
+        if (!algorithms.includes(header.alg)) {
+            throw createAuthError(`Token algorithm ${header.alg} does not match key ${entry.kid}`);
+        }
+        return { key: entry.key, algorithms };
+    }
+    throw createAuthError(`Unsupported token algorithm: ${header.alg}`);
+}
+
+/**
+ * Convert a jsonwebtoken verification error to an authentication error
+ * @param {Error} error - jsonwebtoken error
+ * @returns {Error} - Authentication error
+ */
+function toAuthError(error) {
+    if (error instanceof jwt.TokenExpiredError) return createAuthError("Token expired");
+    if (error instanceof jwt.NotBeforeError) return createAuthError("Token not yet valid");
+    if (error.message === "invalid signature") return createAuthError("Invalid token signature");
+    if (error.message.startsWith("jwt issuer invalid")) return createAuthError("Token issuer not accepted");
+    if (error.message.startsWith("jwt audience invalid")) return createAuthError("Token audience not accepted");
+    return createAuthError(`Invalid token: ${error.message}`);
+}
+
+/**
+ * Verify a JWT
+ * @param {string} token - Compact serialized token
+ * @returns {Object} - Verified claims; throws an authentication error if the token is not accepted
+ */
+function verifyToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.payload || typeof decoded.payload !== "object") {
+        throw createAuthError("Malformed token");
+    }
+
+    const { key, algorithms } = getVerificationKey(decoded.header);
+    const { issuer, audience, clockToleranceSeconds } = config.auth.jwt;
+    let claims;
+    try {
+        claims = jwt.verify(token, key, {
+            algorithms,
+            issuer: issuer || undefined,
+            audience: audience || undefined,
+            clockTolerance: clockToleranceSeconds,
+        });
+    } catch (error) {
+        throw toAuthError(error);
+    }
+    if (typeof claims.exp !== "number") {
+        throw createAuthError("Token has no expiry (exp)");
+    }
+    return claims;
+}
+
+/**
+ * Read the roles from the configured claim, ignoring roles this service does not know
+ * @param {Object} claims - Verified claims
+ * @returns {Array<string>} - Roles
+ */
+function getRoles(claims) {
+    const value = claims[config.auth.jwt.rolesClaim];
+    const roles = Array.isArray(value) ? value : typeof value === "string" ? value.split(" ") : [];
+    return roles.filter((role) => ROLES.includes(role));
+}
+
+module.exports = {
+    name: "jwt",
+    label: "JWT bearer token",
+
+    /**
+     * @returns {boolean} - True if a JWT secret or JWKS file is configured
+     */
+    isConfigured() {
+        return Boolean(config.auth.jwt.secret || config.auth.jwt.jwksFile);
+    },
+
+    /**
+     * Load the JWKS file, throwing if it is missing or invalid
+     */
+    validate() {
+        if (config.auth.jwt.jwksFile) {
+            const keys = loadJwks();
+            logger.info(`Loaded ${keys.length} token signing key(s) from ${config.auth.jwt.jwksFile}`);
+        }
+    },
+
+    /**
+     * Identify the caller from the Authorization: Bearer header
+     * @param {Object} req - Express request
+     * @returns {Object|null} - Principal { client, roles }, or null without a bearer token
+     */
+    authenticate(req) {
+        const match = (req.get("Authorization") || "").match(/^Bearer\s+(\S+)$/i);
+        if (!match) {
+            return null;
+        }
+
+        const claims = verifyToken(match[1]);
+        const client = claims[config.auth.jwt.clientClaim];
+        if (!client) {
+            throw createAuthError(`Token has no ${config.auth.jwt.clientClaim} claim`);
+        }
+        return { client: String(client), roles: getRoles(claims) };
+    },
+};
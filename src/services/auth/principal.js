@@ -0,0 +1,62 @@
+/**
+ * Roles and authentication errors shared by the authentication providers
+ *
+ * Roles are ranked: each role may do everything the roles before it may.
+ * - viewer: read jobs, sync history, files, change reports, watermarks, schedules and DDL
+ * - operator: also trigger syncs and cancel jobs
+ * - admin: also set and reset watermarks
+ */
+const ROLES = ["viewer", "operator", "admin"];
+
+/**
+ * Error code set on authentication errors
+ */
+const AUTH_ERROR_CODE = "UNAUTHENTICATED";
+
+/**
+ * Create an authentication error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code UNAUTHENTICATED and status 401
+ */
+function createAuthError(message) {
+    const error = new Error(message);
+    error.code = AUTH_ERROR_CODE;
+    error.status = 401;
+    return error;
+}
+
+/**
+ * Check a role list from a key file or token
+ * @param {any} roles - Roles
+ * @param {string} source - Where the roles come from, for error messages
+ * @returns {Array<string>} - Known roles; throws if the list is not an array of known roles
+ */
+function parseRoles(roles, source) {
+    if (!Array.isArray(roles)) {
+        throw new Error(`${source}: roles must be a list`);
+    }
+    const invalid = roles.filter((role) => !ROLES.includes(role));
+    if (invalid.length > 0) {
+        throw new Error(`${source}: invalid roles ${invalid.join(", ")}. Use ${ROLES.join(", ")}`);
+    }
+    return roles;
+}
+
+/**
+ * Whether a principal holds a role, directly or through a higher one
+ * @param {Object} principal - Principal { client, roles }
+ * @param {string} role - Required role
+ * @returns {boolean} - True if allowed
+ */
+function hasRole(principal, role) {
+    const required = ROLES.indexOf(role);
+    return Boolean(principal) && principal.roles.some((held) => ROLES.indexOf(held) >= required);
+}
+
+module.exports = {
+    ROLES,
+    AUTH_ERROR_CODE,
+    createAuthError,
+    parseRoles,
+    hasRole,
+};
@@ -0,0 +1,223 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+const { createTempFileWriter } = require("../utils/fileWriter");
+const { toExportRow } = require("../utils/formats/base");
+const { renderChangeReportHtml } = require("../utils/changeReportHtml");
+
+/**
+ * Snapshots and change reports
+ *
+ * A snapshot is the state of an entity after a run: every record ever synced, as transformed rows
+ * keyed by record key. It is stored as NDJSON ({ key, row } per line) in
+ * <SNAPSHOT_DIR>/<entity>/<timestamp>_<runId>.ndjson. Each run starts from the previous snapshot,
+ * applies the records it fetched and reports what changed against it:
+ * - added: keys not in the previous snapshot
+ * - changed: keys with at least one changed column (old -> new, the last-modified column is ignored)
+ * - inactivated: changed keys whose status column moved to an inactive value
+ *
+ * Reports are stored as <REPORTS_DIR>/<runId>.json and <runId>.html.
+ *
+ * The previous snapshot is held in memory for the whole run and rewritten in full, so memory grows with
+ * the number of records ever synced for the entity, not with the run. Hence CHANGE_REPORTS_ENABLED is off by default.
+ */
+
+/**
+ * List the snapshot files of an entity, oldest first
+ * @param {string} entityName - Entity name
+ * @returns {Array<string>} - Snapshot file paths
+ */
+function listSnapshots(entityName) {
+    const dir = path.join(config.snapshots.dir, entityName);
+    if (!fs.existsSync(dir)) return [];
+    return fs
+        .readdirSync(dir)
+        .filter((file) => file.endsWith(".ndjson"))
+        .sort()
+        .map((file) => path.join(dir, file));
+}
+
+/**
+ * Extract the run id from a snapshot file name
+ * @param {string} file - Snapshot file path
+ * @returns {string} - Run id
+ */
+function getSnapshotRunId(file) {
+    return path.basename(file, ".ndjson").split("_").slice(1).join("_");
+}
+
+/**
+ * Load a snapshot into a map
+ * @param {string} file - Snapshot file path
+ * @returns {Promise<Map<string, Object>>} - Rows by record key
+ */
+async function loadSnapshot(file) {
+    const rows = new Map();
+    const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line) continue;
+        const { key, row } = JSON.parse(line);
+        rows.set(key, row);
+    }
+    return rows;
+}
+
+/**
+ * Delete the oldest snapshots of an entity beyond the retention limit
+ * @param {string} entityName - Entity name
+ */
+function pruneSnapshots(entityName) {
+    const snapshots = listSnapshots(entityName);
+    for (const file of snapshots.slice(0, Math.max(0, snapshots.length - config.snapshots.retention))) {
+        fs.rmSync(file, { force: true });
+        logger.debug(`Removed old snapshot ${file}`);
+    }
+}
+
+/**
+ * Whether a row is inactive according to the entity's status column
+ * @param {Object|null} row - Transformed row
+ * @param {Object} entity - Entity definition
+ * @returns {boolean} - True if inactive
+ */
+function isInactive(row, entity) {
+    return Boolean(row && entity.statusColumn && entity.inactiveValues.includes(row[entity.statusColumn]));
+}
+
+/**
+ * Compare two versions of a row
+ * @param {Object} before - Previous row
+ * @param {Object} after - New row
+ * @param {Object} entity - Entity definition
+ * @returns {Array<Object>} - Changed columns [{ column, old, new }]
+ */
+function diffRows(before, after, entity) {
+    return entity.fields
+        .map((field) => field.column)
+        .filter((column) => column !== entity.lastModifiedColumn)
+        .filter((column) => JSON.stringify(before[column]) !== JSON.stringify(after[column]))
+        .map((column) => ({ column, old: before[column], new: after[column] }));
+}
+
+/**
+ * Start tracking the changes of a run against the previous snapshot of the entity
+ * @param {Object} entity - Entity definition
+ * @param {string} runId - Run id
+ * @returns {Promise<Object>} - Tracker { track(records), finish() }
+ */
+async function createChangeTracker(entity, runId) {
+    const previousFile = listSnapshots(entity.name).pop() || null;
+    const state = previousFile ? await loadSnapshot(previousFile) : new Map();
+    const originals = new Map(); // Row of each key touched by this run, as it was in the previous snapshot
+    logger.info(
+        previousFile
+            ? `Comparing against snapshot ${path.basename(previousFile)} (${state.size} records)`
+            : `No previous ${entity.label} snapshot, this run becomes the baseline`,
+    );
+
+    return {
+        /**
+         * Apply fetched records to the snapshot state
+         * @param {Array<Object>} records - Records from API
+         */
+        track(records) {
+            for (const record of records) {
+                const row = toExportRow(record, entity);
+                const key = entity.keyColumns.map((column) => row[column]).join("|");
+                if (!originals.has(key)) {
+                    originals.set(key, state.has(key) ? state.get(key) : null);
+                }
+                state.set(key, row);
+            }
+        },
+
+        /**
+         * Write the new snapshot and the change report
+         * @returns {Object} - Report summary { runId, previousRunId, added, changed, inactivated, unchanged }
+         */
+        finish() {
+            const report = {
+                runId,
+                entity: entity.name,
+                label: entity.label,
+                table: entity.table,
+                generatedAt: new Date().toISOString(),
+                previousRunId: previousFile ? getSnapshotRunId(previousFile) : null,
+                summary: { added: 0, changed: 0, inactivated: 0, unchanged: 0 },
+                added: [],
+                changed: [],
+                inactivated: [],
+            };
+
+            for (const [key, before] of originals) {
+                const after = state.get(key);
+                if (!before) {
+                    report.added.push({ key, row: after });
+                    continue;
+                }
+                const changes = diffRows(before, after, entity);
+                if (changes.length === 0) {
+                    report.summary.unchanged++;
+                    continue;
+                }
+                report.changed.push({ key, changes });
+                if (!isInactive(before, entity) && isInactive(after, entity)) {
+                    report.inactivated.push({
+                        key,
+                        status: { old: before[entity.statusColumn], new: after[entity.statusColumn] },
+                    });
+                }
+            }
+            report.summary.added = report.added.length;
+            report.summary.changed = report.changed.length;
+            report.summary.inactivated = report.inactivated.length;
+
+            // New snapshot
+            const snapshotDir = path.join(config.snapshots.dir, entity.name);
+            fs.mkdirSync(snapshotDir, { recursive: true });
+            const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+            const snapshot = createTempFileWriter(path.join(snapshotDir, `${timestamp}_${runId}.ndjson`));
+            for (const [key, row] of state) {
+                snapshot.append(`${JSON.stringify({ key, row })}\n`);
+            }
+            snapshot.commit();
+            pruneSnapshots(entity.name);
+
+            // Report as JSON and HTML
+            fs.mkdirSync(config.snapshots.reportsDir, { recursive: true });
+            const reportFile = path.join(config.snapshots.reportsDir, `${runId}.json`);
+            fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), "utf8");
+            fs.writeFileSync(
+                path.join(config.snapshots.reportsDir, `${runId}.html`),
+                renderChangeReportHtml(report),
+                "utf8",
+            );
+
+            logger.info(
+                `Changes: ${report.summary.added} added, ${report.summary.changed} changed, ` +
+                    `${report.summary.inactivated} inactivated (report ${reportFile})`,
+            );
+            return { runId, previousRunId: report.previousRunId, ...report.summary };
+        },
+    };
+}
+
+/**
+ * Get the path of a stored change report
+ * @param {string} runId - Run id
+ * @param {string} format - 'json' or 'html'
+ * @returns {string|null} - Report file path, or null if there is no report for the run
+ */
+function getChangeReportFile(runId, format = "json") {
+    // Run ids are UUIDs; anything else could point outside the reports directory
+    if (!/^[\w-]+$/.test(runId)) return null;
+    const file = path.join(config.snapshots.reportsDir, `${runId}.${format}`);
+    return fs.existsSync(file) ? file : null;
+}
+
+module.exports = {
+    createChangeTracker,
+    getChangeReportFile,
+};
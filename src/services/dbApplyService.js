@@ -0,0 +1,210 @@
+const { config, CONFIG_ERROR_CODE } = require("../config");
+const logger = require("../utils/logger");
+
+/**
+ * Database types that statements can be applied to
+ */
+const APPLY_TARGETS = ["postgres", "oracle"];
+
+/**
+ * Open a PostgreSQL connection and wrap it in a common interface
+ * @returns {Promise<Object>} - Connection { execute, begin, commit, rollback, close }
+ */
+async function connectPostgres() {
+    const { Client } = require("pg");
+    const client = new Client({
+        connectionString: config.db.postgres.connectionString,
+        statement_timeout: config.db.statementTimeout,
+    });
+    await client.connect();
+
+    return {
+        execute: (sql) => client.query(sql),
+        begin: () => client.query("BEGIN"),
+        commit: () => client.query("COMMIT"),
+        rollback: () => client.query("ROLLBACK"),
+        close: () => client.end(),
+    };
+}
+
+/**
+ * Open an Oracle connection and wrap it in a common interface
+ * oracledb is an optional dependency and is only loaded when Oracle is the target
+ * @returns {Promise<Object>} - Connection { execute, begin, commit, rollback, close }
+ */
+async function connectOracle() {
+    let oracledb;
+    try {
+        oracledb = require("oracledb");
+    } catch (error) {
+        throw new Error("Applying to Oracle requires the 'oracledb' package. Run: npm install oracledb");
+    }
+
+    const connection = await oracledb.getConnection({
+        user: config.db.oracle.user,
+        password: config.db.oracle.password,
+        connectString: config.db.oracle.connectString,
+    });
+
+    return {
+        // oracledb rejects the trailing semicolon of a SQL statement
+        execute: (sql) => connection.execute(sql.trim().replace(/;$/, ""), [], { autoCommit: false }),
+        // Oracle starts a transaction implicitly with the first DML statement
+        begin: async () => {},
+        commit: () => connection.commit(),
+        rollback: () => connection.rollback(),
+        close: () => connection.close(),
+    };
+}
+
+/**
+ * Open a connection to the given target database
+ * @param {string} target - Target database ('postgres' or 'oracle')
+ * @returns {Promise<Object>} - Connection
+ */
+function connect(target) {
+    if (target === "postgres") {
+        return connectPostgres();
+    }
+    return connectOracle();
+}
+
+/**
+ * Validate that the selected target database is configured
+ * @param {string} target - Target database ('postgres' or 'oracle')
+ */
+function validateApplyConfig(target) {
+    const errors = [];
+
+    if (!APPLY_TARGETS.includes(target)) {
+        errors.push(`Invalid apply target: ${target}. Use one of: ${APPLY_TARGETS.join(", ")}`);
+    } else if (target === "postgres") {
+        if (!config.db.postgres.connectionString) {
+            errors.push("PG_CONNECTION_STRING is required to apply to PostgreSQL");
+        }
+    } else {
+        if (!config.db.oracle.user) errors.push("ORACLE_USER is required to apply to Oracle");
+        if (!config.db.oracle.password) errors.push("ORACLE_PASSWORD is required to apply to Oracle");
+        if (!config.db.oracle.connectString) errors.push("ORACLE_CONNECT_STRING is required to apply to Oracle");
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Configuration errors:\n${errors.join("\n")}`);
+        error.code = CONFIG_ERROR_CODE;
+        throw error;
+    }
+}
+
+/**
+ * Open a transaction on the target database that statements are executed in as they are generated
+ * Execution stops at the first failing statement; later statements are only counted. finish() then rolls back.
+ * In dry-run mode every statement is executed and the transaction is always rolled back.
+ * @param {string} target - Target database ('postgres' or 'oracle')
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Roll back instead of committing
+ * @returns {Promise<Object>} - Applier { execute(statements), finish(), abort() }
+ */
+async function openStatementApplier(target, { dryRun = false } = {}) {
+    validateApplyConfig(target);
+
+    const result = {
+        target,
+        dryRun,
+        total: 0,
+        executed: 0,
+        committed: false,
+        rolledBack: false,
+        failures: [],
+    };
+
+    const connection = await connect(target);
+    try {
+        await connection.begin();
+    } catch (error) {
+        await connection.close().catch(() => {});
+        throw error;
+    }
+    logger.info(`Applying statements to ${target} in one transaction${dryRun ? " (dry run)" : ""}...`);
+
+    const close = () =>
+        connection.close().catch((error) => logger.warn(`Failed to close connection: ${error.message}`));
+
+    return {
+        /**
+         * Execute statements in the open transaction
+         * @param {Array<{key: string, sql: string}>} statements - Statements to execute (key identifies the record)
+         */
+        async execute(statements) {
+            for (const { key, sql } of statements) {
+                result.total++;
+                if (result.failures.length > 0) continue;
+                try {
+                    await connection.execute(sql);
+                    result.executed++;
+                } catch (error) {
+                    logger.error(`Statement ${result.total} (key ${key}) failed: ${error.message}`);
+                    result.failures.push({ index: result.total, key, error: error.message });
+                }
+            }
+        },
+
+        /**
+         * Commit, or roll back after a failure or in dry-run mode, and close the connection
+         * @returns {Promise<Object>} - Apply result
+         */
+        async finish() {
+            try {
+                if (dryRun || result.failures.length > 0) {
+                    await connection.rollback();
+                    result.rolledBack = true;
+                    logger.info(`Transaction rolled back after ${result.executed} statements`);
+                } else {
+                    await connection.commit();
+                    result.committed = true;
+                    logger.info(`Transaction committed: ${result.executed} statements applied`);
+                }
+            } catch (error) {
+                // Failure of COMMIT itself; make sure nothing is left half-applied
+                await connection.rollback().catch(() => {});
+                result.rolledBack = true;
+                result.failures.push({ index: null, key: null, error: error.message });
+                logger.error(`Apply failed: ${error.message}`);
+            } finally {
+                await close();
+            }
+            return result;
+        },
+
+        /**
+         * Roll back and close the connection when the sync fails
+         */
+        async abort() {
+            await connection.rollback().catch(() => {});
+            await close();
+            logger.warn("Sync failed, apply transaction rolled back");
+        },
+    };
+}
+
+/**
+ * Execute statements against the target database in a single transaction
+ * Stops and rolls back on the first failing statement.
+ * In dry-run mode every statement is executed and the transaction is always rolled back.
+ * @param {Array<{key: string, sql: string}>} statements - Statements to execute (key identifies the record)
+ * @param {string} target - Target database ('postgres' or 'oracle')
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Roll back instead of committing
+ * @returns {Promise<Object>} - Apply result
+ */
+async function applyStatements(statements, target, options = {}) {
+    const applier = await openStatementApplier(target, options);
+    await applier.execute(statements);
+    return applier.finish();
+}
+
+module.exports = {
+    APPLY_TARGETS,
+    validateApplyConfig,
+    openStatementApplier,
+    applyStatements,
+};
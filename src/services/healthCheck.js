@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+const { config, validateConfig } = require("../config");
+const { getEntity } = require("../entities");
+const { checkConnection } = require("./sfApiService");
+const { getCircuitState } = require("./sfHttpClient");
+
+/**
+ * Readiness checks for GET /health
+ *
+ * - config: the configuration passes validateConfig()
+ * - outputDirectory: the output directory exists (or can be created) and is writable
+ * - successFactors (optional): an authenticated query succeeds; skipped checks report { skipped: true }
+ */
+
+/**
+ * Check the configuration
+ * @returns {Object} - { ok, error }
+ */
+function checkConfig() {
+    try {
+        validateConfig();
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+/**
+ * Check that the output directory is writable
+ * @returns {Object} - { ok, path, error }
+ */
+function checkOutputDirectory() {
+    const dir = path.dirname(config.sync.outputFile);
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.accessSync(dir, fs.constants.W_OK);
+        return { ok: true, path: dir };
+    } catch (error) {
+        return { ok: false, path: dir, error: error.message };
+    }
+}
+
+/**
+ * Check that SuccessFactors answers
+ * @returns {Promise<Object>} - { ok, circuit, latencyMs, error }
+ */
+async function checkSuccessFactors() {
+    const startTime = Date.now();
+    const circuit = getCircuitState().state;
+    try {
+        await checkConnection(getEntity("position"));
+        return { ok: true, circuit, latencyMs: Date.now() - startTime };
+    } catch (error) {
+        return { ok: false, circuit, error: error.message };
+    }
+}
+
+/**
+ * Run the readiness checks
+ * @param {Object} options - Check options
+ * @param {boolean} options.successFactors - Also query SuccessFactors
+ * @returns {Promise<Object>} - { ready, checks }
+ */
+async function checkReadiness({ successFactors = config.health.checkSuccessFactors } = {}) {
+    const checks = {
+        config: checkConfig(),
+        outputDirectory: checkOutputDirectory(),
+        successFactors: { skipped: true, circuit: getCircuitState().state },
+    };
+    // Without valid credentials the request can only fail
+    if (successFactors && checks.config.ok) {
+        checks.successFactors = await checkSuccessFactors();
+    }
+
+    const ready = Object.values(checks).every((check) => check.ok || check.skipped);
+    return { ready, checks };
+}
+
+module.exports = {
+    checkReadiness,
+};
@@ -0,0 +1,228 @@
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+
+/**
+ * Persisted sync run history, stored as a JSON file
+ *
+ * File layout (runs oldest first):
+ * { "runs": [{ id, entity, status, params, correlationId, schedule, createdAt, startedAt, finishedAt,
+ *              durationMs, counts, error, errorCode, outputFiles: { <dialect or format>: path }, rejectsFile,
+ *              filesDeletedAt }] }
+ *
+ * Retention, applied whenever a run is recorded and at startup:
+ * - output files of runs older than OUTPUT_RETENTION_DAYS are deleted (the run keeps filesDeletedAt)
+ * - runs older than HISTORY_RETENTION_DAYS, or beyond HISTORY_MAX_ENTRIES, are dropped with their files
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the history file
+ * @returns {Object} - History { runs }
+ */
+function readHistory() {
+    try {
+        return JSON.parse(fs.readFileSync(config.history.file, "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            logger.warn(`Could not read history file ${config.history.file}: ${error.message}`);
+        }
+        return { runs: [] };
+    }
+}
+
+/**
+ * Write the history file atomically (temp file + rename)
+ * @param {Object} history - History { runs }
+ */
+function writeHistory(history) {
+    const dir = path.dirname(config.history.file);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tempFile = `${config.history.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(history, null, 2), "utf8");
+    fs.renameSync(tempFile, config.history.file);
+}
+
+/**
+ * Files generated by a run
+ * @param {Object} run - History entry
+ * @returns {Array<string>} - File paths
+ */
+function getRunFiles(run) {
+    return [...Object.values(run.outputFiles || {}), run.rejectsFile].filter(Boolean);
+}
+
+/**
+ * Delete the files of a run
+ * @param {Object} run - History entry, marked with filesDeletedAt
+ * @returns {number} - Number of files deleted
+ */
+function deleteRunFiles(run) {
+    let deleted = 0;
+    for (const file of getRunFiles(run)) {
+        if (fs.existsSync(file)) {
+            fs.rmSync(file, { force: true });
+            deleted++;
+        }
+    }
+    run.filesDeletedAt = new Date().toISOString();
+    return deleted;
+}
+
+/**
+ * Apply the retention policy to a history object
+ * @param {Object} history - History { runs }, modified in place
+ * @returns {Object} - { filesDeleted, runsDeleted }
+ */
+function pruneHistory(history) {
+    const now = Date.now();
+    const runTime = (run) => Date.parse(run.finishedAt || run.createdAt);
+    let filesDeleted = 0;
+
+    for (const run of history.runs) {
+        if (!run.filesDeletedAt && now - runTime(run) > config.history.outputRetentionDays * DAY_MS) {
+            filesDeleted += deleteRunFiles(run);
+        }
+    }
+
+    const expired = history.runs.filter(
+        (run, index) =>
+            now - runTime(run) > config.history.retentionDays * DAY_MS ||
+            index < history.runs.length - config.history.maxEntries,
+    );
+    for (const run of expired) {
+        if (!run.filesDeletedAt) {
+            filesDeleted += deleteRunFiles(run);
+        }
+    }
+    history.runs = history.runs.filter((run) => !expired.includes(run));
+
+    return { filesDeleted, runsDeleted: expired.length };
+}
+
+/**
+ * Build a history entry from a finished job
+ * @param {Object} job - Public job view (see jobManager)
+ * @returns {Object} - History entry
+ */
+function toHistoryEntry(job) {
+    const result = job.result || {};
+    const { schedule, ...params } = job.params || {};
+    return {
+        id: job.id,
+        entity: params.entity || result.entity || null,
+        status: job.status,
+        params,
+        correlationId: job.correlationId || null,
+        schedule: schedule || null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        durationMs: job.startedAt ? Date.parse(job.finishedAt) - Date.parse(job.startedAt) : null,
+        counts: {
+            pages: result.pages !== undefined ? result.pages : job.progress.page,
+            fetched: result.totalFetched !== undefined ? result.totalFetched : job.progress.totalFetched,
+            filtered: result.totalFiltered !== undefined ? result.totalFiltered : job.progress.totalFiltered,
+            rejected: result.validation ? result.validation.rejected : null,
+            deactivated: result.deactivated ? result.deactivated.total : null,
+            sqlStatements: result.sqlStatementsGenerated !== undefined ? result.sqlStatementsGenerated : null,
+        },
+        error: job.error || null,
+        errorCode: job.errorCode || null,
+        outputFiles: result.outputFiles || {},
+        rejectsFile: result.validation ? result.validation.rejectsFile : null,
+        filesDeletedAt: null,
+    };
+}
+
+/**
+ * Record a finished job and apply the retention policy
+ * @param {Object} job - Public job view (see jobManager)
+ * @returns {Object} - Stored history entry
+ */
+function recordRun(job) {
+    const history = readHistory();
+    const entry = toHistoryEntry(job);
+    history.runs.push(entry);
+    const { filesDeleted, runsDeleted } = pruneHistory(history);
+    writeHistory(history);
+    if (filesDeleted > 0 || runsDeleted > 0) {
+        logger.info(`History retention: deleted ${filesDeleted} output files and ${runsDeleted} runs`);
+    }
+    return entry;
+}
+
+/**
+ * Apply the retention policy to the stored history
+ * @returns {Object} - { filesDeleted, runsDeleted }
+ */
+function applyRetention() {
+    const history = readHistory();
+    const result = pruneHistory(history);
+    if (result.filesDeleted > 0 || result.runsDeleted > 0) {
+        writeHistory(history);
+        logger.info(`History retention: deleted ${result.filesDeleted} output files and ${result.runsDeleted} runs`);
+    }
+    return result;
+}
+
+/**
+ * List recorded runs, newest first
+ * @param {Object} filters - Filters
+ * @param {string} filters.status - Only runs with this status (optional)
+ * @param {string} filters.entity - Only runs of this entity (optional)
+ * @param {string} filters.from - Only runs created at or after this date (optional)
+ * @param {string} filters.to - Only runs created at or before this date (optional)
+ * @param {number} filters.page - Page number, from 1
+ * @param {number} filters.pageSize - Runs per page
+ * @returns {Object} - { total, page, pageSize, runs }
+ */
+function listRuns({ status, entity, from, to, page = 1, pageSize = 20 } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    const runs = readHistory()
+        .runs.filter((run) => !status || run.status === status)
+        .filter((run) => !entity || run.entity === entity)
+        .filter((run) => fromTime === null || Date.parse(run.createdAt) >= fromTime)
+        .filter((run) => toTime === null || Date.parse(run.createdAt) <= toTime)
+        .reverse();
+
+    return {
+        total: runs.length,
+        page,
+        pageSize,
+        runs: runs.slice((page - 1) * pageSize, page * pageSize),
+    };
+}
+
+/**
+ * Get a recorded run
+ * @param {string} id - Run id (job id)
+ * @returns {Object|null} - History entry, or null if unknown
+ */
+function getRun(id) {
+    return readHistory().runs.find((run) => run.id === id) || null;
+}
+
+/**
+ * Find a file generated by a run
+ * @param {Object} run - History entry
+ * @param {string} name - File name (without directory)
+ * @returns {string|null} - File path, or null if the run has no such file or it was deleted
+ */
+function getRunFile(run, name) {
+    const file = getRunFiles(run).find((candidate) => path.basename(candidate) === name);
+    return file && fs.existsSync(file) ? file : null;
+}
+
+module.exports = {
+    recordRun,
+    applyRetention,
+    listRuns,
+    getRun,
+    getRunFile,
+};
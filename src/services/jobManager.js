@@ -0,0 +1,271 @@
+const crypto = require("crypto");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+const { recordSyncRun } = require("./metrics");
+const { recordRun } = require("./historyStore");
+const { notifySyncFinished } = require("./notifiers");
+
+/**
+ * In-memory sync job tracking with a single-run lock
+ *
+ * Job statuses: queued -> running -> completed | failed | cancelled
+ * Count-only jobs (params.countOnly) write nothing: they are neither recorded in the sync history nor notified.
+ */
+const jobs = new Map(); // All known jobs by id (insertion ordered)
+const queue = []; // Queued jobs waiting for the lock
+let runningJob = null;
+
+/**
+ * Error code set on the error thrown when a job is cancelled
+ */
+const CANCELLED_CODE = "SYNC_CANCELLED";
+
+/**
+ * Convert a job to its public JSON representation
+ * @param {Object} job - Job
+ * @returns {Object} - Public job view
+ */
+function toJobView(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        params: job.params,
+        correlationId: job.correlationId,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        progress: { ...job.progress },
+        queuePosition: job.status === "queued" ? queue.indexOf(job) + 1 : null,
+        result: job.result,
+        error: job.error,
+        errorCode: job.errorCode,
+    };
+}
+
+/**
+ * Drop the oldest finished jobs beyond the configured history limit
+ */
+function pruneJobs() {
+    const finished = [...jobs.values()].filter((job) => job.finishedAt);
+    const excess = finished.length - config.jobs.historyLimit;
+    for (let i = 0; i < excess; i++) {
+        jobs.delete(finished[i].id);
+    }
+}
+
+/**
+ * Record a finished job in the persisted run history
+ * History failures are logged and never fail the job.
+ * @param {Object} job - Job
+ */
+function recordHistory(job) {
+    try {
+        recordRun(toJobView(job));
+    } catch (error) {
+        logger.error(`Could not record job ${job.id} in the sync history: ${error.message}`);
+    }
+}
+
+/**
+ * Create the handle passed to the job runner for progress reporting and cancellation
+ * @param {Object} job - Job
+ * @returns {Object} - Job handle { id, updateProgress, isCancelled, throwIfCancelled }
+ */
+function createJobHandle(job) {
+    return {
+        id: job.id,
+        updateProgress(progress) {
+            Object.assign(job.progress, progress);
+        },
+        isCancelled() {
+            return job.cancelRequested;
+        },
+        throwIfCancelled() {
+            if (job.cancelRequested) {
+                const error = new Error("Sync cancelled");
+                error.code = CANCELLED_CODE;
+                throw error;
+            }
+        },
+    };
+}
+
+/**
+ * Run a job and start the next queued one when it finishes
+ * @param {Object} job - Job
+ */
+async function runJob(job) {
+    runningJob = job;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    logger.info(`Job ${job.id} started`);
+
+    try {
+        // Every line logged by the sync carries the job's correlation id
+        job.result = await logger.runWithContext({ correlationId: job.correlationId, jobId: job.id }, () =>
+            job.runner(createJobHandle(job)),
+        );
+        job.status = job.result && job.result.success === false ? "failed" : "completed";
+        job.progress.outputFiles = job.result ? job.result.outputFiles : null;
+    } catch (error) {
+        if (error.code === CANCELLED_CODE) {
+            job.status = "cancelled";
+            logger.warn(`Job ${job.id} cancelled`);
+        } else {
+            job.status = "failed";
+            logger.error(`Job ${job.id} failed: ${error.message}`);
+        }
+        job.error = error.message;
+        job.errorCode = error.code || null;
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        recordSyncRun(job.params.entity, job.status, (Date.parse(job.finishedAt) - Date.parse(job.startedAt)) / 1000);
+        if (!job.params.countOnly) {
+            recordHistory(job);
+            // Delivered in the background: notifications never delay or fail the job
+            logger.runWithContext({ correlationId: job.correlationId, jobId: job.id }, () =>
+                notifySyncFinished(toJobView(job)),
+            );
+        }
+        runningJob = null;
+        job.resolve(job);
+        pruneJobs();
+    }
+
+    logger.info(`Job ${job.id} finished with status: ${job.status}`);
+
+    const next = queue.shift();
+    if (next) {
+        runInBackground(next);
+    }
+}
+
+/**
+ * Run a job in the background
+ * runJob only rejects if its own bookkeeping throws; that is logged instead of becoming an unhandled rejection.
+ * @param {Object} job - Job
+ */
+function runInBackground(job) {
+    runJob(job).catch((error) => logger.error(`Job ${job.id} could not be run: ${error.stack || error.message}`));
+}
+
+/**
+ * Start a new job, or queue it if another job holds the lock
+ * The job's correlation id is taken from the current log context (the API request), or is the job id.
+ * Throws an error with code 'SYNC_LOCKED' when the lock mode is 'reject' and a job is running,
+ * or when the queue is full.
+ * @param {Object} params - Job parameters (stored for status display)
+ * @param {Function} runner - async (jobHandle) => result
+ * @returns {Object} - Public job view
+ */
+function startJob(params, runner) {
+    const busy = runningJob !== null;
+
+    if (busy && (config.jobs.lockMode === "reject" || queue.length >= config.jobs.queueLimit)) {
+        const error = new Error(
+            config.jobs.lockMode === "reject"
+                ? `Sync job ${runningJob.id} is already running`
+                : `Sync queue is full (${config.jobs.queueLimit} jobs waiting)`,
+        );
+        error.code = "SYNC_LOCKED";
+        error.runningJobId = runningJob.id;
+        throw error;
+    }
+
+    const id = crypto.randomUUID();
+    const job = {
+        id,
+        correlationId: logger.getContext().correlationId || id,
+        status: "queued",
+        params,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        progress: { page: 0, totalFetched: 0, totalFiltered: 0, outputFiles: null },
+        result: null,
+        error: null,
+        errorCode: null,
+        cancelRequested: false,
+        runner,
+    };
+    job.done = new Promise((resolve) => {
+        job.resolve = resolve;
+    });
+    jobs.set(job.id, job);
+
+    if (busy) {
+        queue.push(job);
+        logger.info(`Job ${job.id} queued behind job ${runningJob.id} (position ${queue.length})`);
+    } else {
+        runInBackground(job);
+    }
+
+    return toJobView(job);
+}
+
+/**
+ * Wait for a job to finish
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} - Public job view, or null if unknown
+ */
+async function waitForJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    await job.done;
+    return toJobView(job);
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {Object|null} - Public job view, or null if unknown
+ */
+function getJob(id) {
+    const job = jobs.get(id);
+    return job ? toJobView(job) : null;
+}
+
+/**
+ * List known jobs, newest first
+ * @returns {Array<Object>} - Public job views
+ */
+function listJobs() {
+    return [...jobs.values()].reverse().map(toJobView);
+}
+
+/**
+ * Cancel a job
+ * Queued jobs are removed from the queue immediately; running jobs stop before the next page.
+ * @param {string} id - Job id
+ * @returns {Object|null} - Public job view, or null if unknown
+ */
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    if (job.status === "queued") {
+        queue.splice(queue.indexOf(job), 1);
+        job.status = "cancelled";
+        job.error = "Sync cancelled";
+        job.errorCode = CANCELLED_CODE;
+        job.finishedAt = new Date().toISOString();
+        if (!job.params.countOnly) {
+            recordHistory(job);
+        }
+        job.resolve(job);
+        logger.warn(`Job ${job.id} cancelled while queued`);
+    } else if (job.status === "running") {
+        job.cancelRequested = true;
+        logger.warn(`Cancellation requested for job ${job.id}`);
+    }
+
+    return toJobView(job);
+}
+
+module.exports = {
+    startJob,
+    waitForJob,
+    getJob,
+    listJobs,
+    cancelJob,
+};
@@ -0,0 +1,142 @@
+const client = require("prom-client");
+
+/**
+ * Prometheus metrics, served by GET /metrics
+ *
+ * - sf_sync_runs_total{entity,outcome}: finished sync jobs (outcome: completed, failed, cancelled)
+ * - sf_sync_duration_seconds{entity,outcome}: sync job duration
+ * - sf_sync_records_total{entity,stage}: records fetched, filtered (matching the department filter),
+ *   written (to the outputs), rejected (by validation) and deactivated (soft delete)
+ * - sf_sync_last_success_timestamp_seconds{entity}: end of the last successful sync
+ * - sf_api_request_duration_seconds{status}: SuccessFactors request latency by HTTP status ('error' without response)
+ * - sf_api_retries_total{reason}: retried SuccessFactors requests by status or network error code
+ * - sf_api_circuit_state: circuit breaker state (0 closed, 1 half-open, 2 open)
+ * plus the default Node.js process metrics.
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const syncRuns = new client.Counter({
+    name: "sf_sync_runs_total",
+    help: "Finished sync runs by outcome",
+    labelNames: ["entity", "outcome"],
+    registers: [registry],
+});
+
+const syncDuration = new client.Histogram({
+    name: "sf_sync_duration_seconds",
+    help: "Sync run duration in seconds",
+    labelNames: ["entity", "outcome"],
+    buckets: [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600],
+    registers: [registry],
+});
+
+const syncRecords = new client.Counter({
+    name: "sf_sync_records_total",
+    help: "Records processed by sync runs, by stage",
+    labelNames: ["entity", "stage"],
+    registers: [registry],
+});
+
+const lastSuccess = new client.Gauge({
+    name: "sf_sync_last_success_timestamp_seconds",
+    help: "Unix time of the last successful sync run",
+    labelNames: ["entity"],
+    registers: [registry],
+});
+
+const apiRequestDuration = new client.Histogram({
+    name: "sf_api_request_duration_seconds",
+    help: "SuccessFactors API request latency in seconds, by HTTP status",
+    labelNames: ["status"],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [registry],
+});
+
+const apiRetries = new client.Counter({
+    name: "sf_api_retries_total",
+    help: "Retried SuccessFactors API requests, by status or network error code",
+    labelNames: ["reason"],
+    registers: [registry],
+});
+
+const circuitState = new client.Gauge({
+    name: "sf_api_circuit_state",
+    help: "SuccessFactors circuit breaker state (0 closed, 1 half-open, 2 open)",
+    registers: [registry],
+});
+
+/**
+ * Circuit breaker states as gauge values
+ */
+const CIRCUIT_STATE_VALUES = { closed: 0, "half-open": 1, open: 2 };
+
+/**
+ * Record a finished sync run
+ * @param {string} entity - Entity name
+ * @param {string} outcome - Job status ('completed', 'failed' or 'cancelled')
+ * @param {number} durationSeconds - Run duration in seconds
+ */
+function recordSyncRun(entity, outcome, durationSeconds) {
+    syncRuns.inc({ entity, outcome });
+    syncDuration.observe({ entity, outcome }, durationSeconds);
+    if (outcome === "completed") {
+        lastSuccess.set({ entity }, Date.now() / 1000);
+    }
+}
+
+/**
+ * Count the records of a page
+ * @param {string} entity - Entity name
+ * @param {Object} counts - Counts by stage, e.g. { fetched: 1000, filtered: 800, written: 795 }
+ */
+function recordSyncRecords(entity, counts) {
+    for (const [stage, count] of Object.entries(counts)) {
+        if (count > 0) {
+            syncRecords.inc({ entity, stage }, count);
+        }
+    }
+}
+
+/**
+ * Record a SuccessFactors API request
+ * @param {number|null} status - HTTP status, or null if there was no response
+ * @param {number} durationSeconds - Request duration in seconds
+ */
+function recordApiRequest(status, durationSeconds) {
+    apiRequestDuration.observe({ status: status ? String(status) : "error" }, durationSeconds);
+}
+
+/**
+ * Count a retried SuccessFactors API request
+ * @param {string} reason - HTTP status or network error code
+ */
+function recordApiRetry(reason) {
+    apiRetries.inc({ reason: String(reason || "error") });
+}
+
+/**
+ * Update the circuit breaker gauge
+ * @param {string} state - Circuit state ('closed', 'half-open' or 'open')
+ */
+function setCircuitState(state) {
+    circuitState.set(CIRCUIT_STATE_VALUES[state]);
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @returns {Promise<string>} - Metrics text
+ */
+function renderMetrics() {
+    return registry.metrics();
+}
+
+module.exports = {
+    METRICS_CONTENT_TYPE: registry.contentType,
+    recordSyncRun,
+    recordSyncRecords,
+    recordApiRequest,
+    recordApiRetry,
+    setCircuitState,
+    renderMetrics,
+};
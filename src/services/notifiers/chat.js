@@ -0,0 +1,28 @@
+const axios = require("axios");
+const { config } = require("../../config");
+
+/**
+ * Slack / Microsoft Teams incoming webhook
+ *
+ * Both accept a { text } payload with basic markdown, so one channel serves either.
+ */
+module.exports = {
+    name: "chat",
+    label: "Chat webhook",
+
+    /**
+     * @returns {boolean} - True if a chat webhook URL is configured
+     */
+    isConfigured() {
+        return Boolean(config.notifications.chat.url);
+    },
+
+    /**
+     * Send a notification
+     * @param {Object} notification - Notification (see notifiers/index.js)
+     */
+    async send(notification) {
+        const text = [`*${notification.title}*`, ...notification.lines].join("\n");
+        await axios.post(config.notifications.chat.url, { text }, { timeout: config.notifications.timeout });
+    },
+};
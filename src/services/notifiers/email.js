@@ -0,0 +1,53 @@
+const nodemailer = require("nodemailer");
+const { config } = require("../../config");
+
+let transport = null;
+
+/**
+ * Create the SMTP transport on first use
+ * @returns {Object} - Nodemailer transport
+ */
+function getTransport() {
+    if (!transport) {
+        const { host, port, secure, user, password } = config.notifications.email;
+        transport = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass: password } : undefined,
+            connectionTimeout: config.notifications.timeout,
+            greetingTimeout: config.notifications.timeout,
+            socketTimeout: config.notifications.timeout,
+        });
+    }
+    return transport;
+}
+
+/**
+ * Plain text email over SMTP
+ */
+module.exports = {
+    name: "email",
+    label: "Email",
+
+    /**
+     * @returns {boolean} - True if an SMTP host is configured
+     */
+    isConfigured() {
+        return Boolean(config.notifications.email.host);
+    },
+
+    /**
+     * Send a notification
+     * @param {Object} notification - Notification (see notifiers/index.js)
+     */
+    async send(notification) {
+        const { from, to } = config.notifications.email;
+        await getTransport().sendMail({
+            from,
+            to: to.join(", "),
+            subject: notification.title,
+            text: `${notification.lines.join("\n")}\n`,
+        });
+    },
+};
@@ -0,0 +1,250 @@
+const { config } = require("../../config");
+const { listRuns } = require("../historyStore");
+const logger = require("../../utils/logger");
+
+/**
+ * Sync notification channel registry and dispatch
+ *
+ * A channel is an object with:
+ * - name: registry key
+ * - label: human readable name
+ * - isConfigured(): whether the channel's settings are present (unconfigured channels are skipped)
+ * - send(notification): async delivery, throwing on failure
+ *
+ * A notification is { event, title, lines, sync, anomaly }:
+ * - event: 'success', 'failure' or 'anomaly' (only the events in NOTIFY_EVENTS are sent)
+ * - title / lines: human readable subject and body lines
+ * - sync: summary fields of the run (see toSyncSummary)
+ * - anomaly: { count, reasons, baselineAverage } for anomaly events, else null
+ *
+ * Delivery is retried with exponential backoff; failures are logged and never fail the sync.
+ */
+const channels = new Map();
+
+/**
+ * Register a notification channel
+ * @param {Object} channel - Channel definition
+ */
+function registerChannel(channel) {
+    for (const key of ["name", "isConfigured", "send"]) {
+        if (!channel[key]) {
+            throw new Error(`Notification channel is missing required property: ${key}`);
+        }
+    }
+    channels.set(channel.name, channel);
+}
+
+/**
+ * List the channels with settings present
+ * @returns {Array<Object>} - Channel definitions
+ */
+function getConfiguredChannels() {
+    return [...channels.values()].filter((channel) => channel.isConfigured());
+}
+
+/**
+ * Summary fields of a finished sync job
+ * @param {Object} job - Public job view (see jobManager)
+ * @returns {Object} - Sync summary
+ */
+function toSyncSummary(job) {
+    const result = job.result || {};
+    return {
+        runId: job.id,
+        entity: job.params.entity,
+        status: job.status,
+        schedule: job.params.schedule || null,
+        correlationId: job.correlationId,
+        mode: job.params.mode,
+        history: Boolean(job.params.history),
+        startDate: result.startDate !== undefined ? result.startDate : job.params.startDate || null,
+        endDate: result.endDate !== undefined ? result.endDate : job.params.endDate || null,
+        totalFetched: result.totalFetched !== undefined ? result.totalFetched : job.progress.totalFetched,
+        totalFiltered: result.totalFiltered !== undefined ? result.totalFiltered : job.progress.totalFiltered,
+        sqlStatementsGenerated: result.sqlStatementsGenerated !== undefined ? result.sqlStatementsGenerated : null,
+        rejected: result.validation ? result.validation.rejected : null,
+        deactivated: result.deactivated ? result.deactivated.total : null,
+        outputFiles: result.outputFiles || {},
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        duration: result.duration || null,
+        error: job.error,
+        errorCode: job.errorCode,
+    };
+}
+
+/**
+ * Check a completed run's record count against the configured bounds and recent runs of the entity
+ * @param {Object} sync - Sync summary
+ * @returns {Object|null} - { count, reasons, baselineAverage }, or null if the count looks normal
+ */
+function detectCountAnomaly(sync) {
+    const { minRecords, maxRecords, deviationPercent, baselineRuns } = config.notifications.anomaly;
+    const count = sync.totalFiltered;
+    const reasons = [];
+
+    if (minRecords !== null && count < minRecords) {
+        reasons.push(`${count} records is below the minimum of ${minRecords}`);
+    }
+    if (maxRecords !== null && count > maxRecords) {
+        reasons.push(`${count} records is above the maximum of ${maxRecords}`);
+    }
+
+    // Compare with recent completed runs of the same entity and mode (incremental runs are much smaller,
+    // history runs larger)
+    const baseline = listRuns({ status: "completed", entity: sync.entity, pageSize: Number.MAX_SAFE_INTEGER })
+        .runs.filter(
+            (run) =>
+                run.id !== sync.runId && run.params.mode === sync.mode && Boolean(run.params.history) === sync.history,
+        )
+        .slice(0, baselineRuns);
+    let baselineAverage = null;
+    if (baseline.length === baselineRuns) {
+        baselineAverage = baseline.reduce((sum, run) => sum + run.counts.filtered, 0) / baseline.length;
+        const deviation = baselineAverage > 0 ? (Math.abs(count - baselineAverage) / baselineAverage) * 100 : 0;
+        if (deviation > deviationPercent || (baselineAverage === 0 && count > 0)) {
+            reasons.push(
+                `${count} records is ${count < baselineAverage ? "below" : "above"} the average of the last ` +
+                    `${baseline.length} runs (${Math.round(baselineAverage)}) by more than ${deviationPercent}%`,
+            );
+        }
+    }
+
+    return reasons.length > 0 ? { count, reasons, baselineAverage } : null;
+}
+
+/**
+ * Build the human readable title and body of a notification
+ * @param {string} event - Event ('success', 'failure' or 'anomaly')
+ * @param {Object} sync - Sync summary
+ * @param {Object|null} anomaly - Anomaly details
+ * @returns {Object} - { title, lines }
+ */
+function formatMessage(event, sync, anomaly) {
+    const name = `${sync.entity} sync${sync.schedule ? ` '${sync.schedule}'` : ""}`;
+    const titles = {
+        success: `SF ${name} completed`,
+        failure: `SF ${name} failed`,
+        anomaly: `SF ${name}: unusual record count`,
+    };
+
+    const lines = [];
+    if (event === "failure") {
+        lines.push(`Error: ${sync.error}${sync.errorCode ? ` (${sync.errorCode})` : ""}`);
+    }
+    if (anomaly) {
+        lines.push(...anomaly.reasons);
+    }
+    lines.push(
+        `Run: ${sync.runId}`,
+        `Mode: ${sync.mode}${sync.history ? " (history)" : ""}, ${sync.startDate || "N/A"} to ${sync.endDate || "N/A"}`,
+        `Records fetched: ${sync.totalFetched}, matching filter: ${sync.totalFiltered}`,
+    );
+    if (sync.rejected !== null) lines.push(`Records rejected by validation: ${sync.rejected}`);
+    if (sync.deactivated !== null) lines.push(`Records deactivated: ${sync.deactivated}`);
+    if (sync.sqlStatementsGenerated !== null) lines.push(`SQL statements generated: ${sync.sqlStatementsGenerated}`);
+    for (const [name, file] of Object.entries(sync.outputFiles)) {
+        lines.push(`Output (${name}): ${file}`);
+    }
+    if (sync.duration) lines.push(`Duration: ${sync.duration}`);
+
+    return { title: titles[event], lines };
+}
+
+/**
+ * Sleep for a given duration
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Deliver a notification on one channel, retrying with exponential backoff
+ * @param {Object} channel - Channel definition
+ * @param {Object} notification - Notification
+ * @returns {Promise<boolean>} - True if delivered
+ */
+async function deliver(channel, notification) {
+    const { retryAttempts, retryDelay } = config.notifications;
+    for (let attempt = 1; attempt <= retryAttempts; attempt++) {
+        try {
+            await channel.send(notification);
+            logger.info(`Sent ${notification.event} notification via ${channel.label || channel.name}`);
+            return true;
+        } catch (error) {
+            const status = error.response ? ` (${error.response.status})` : "";
+            if (attempt === retryAttempts) {
+                logger.error(
+                    `Failed to send ${notification.event} notification via ${channel.label || channel.name} ` +
+                        `after ${attempt} attempts: ${error.message}${status}`,
+                );
+                return false;
+            }
+            const delay = retryDelay * 2 ** (attempt - 1);
+            logger.warn(
+                `Notification via ${channel.label || channel.name} failed (attempt ${attempt}/${retryAttempts}), ` +
+                    `retrying in ${delay}ms: ${error.message}${status}`,
+            );
+            await sleep(delay);
+        }
+    }
+    return false;
+}
+
+/**
+ * Send the notifications for a finished sync job
+ * Never throws: delivery problems are logged only.
+ * @param {Object} job - Public job view (see jobManager)
+ * @returns {Promise<Array<Object>>} - Notifications sent [{ event, channel, delivered }]
+ */
+async function notifySyncFinished(job) {
+    const sent = [];
+    try {
+        const targets = getConfiguredChannels();
+        const { events } = config.notifications;
+        if (targets.length === 0 || events.length === 0) return sent;
+
+        const sync = toSyncSummary(job);
+        const notifications = [];
+        if (job.status === "failed" && events.includes("failure")) {
+            notifications.push({ event: "failure", anomaly: null });
+        }
+        if (job.status === "completed") {
+            if (events.includes("success")) {
+                notifications.push({ event: "success", anomaly: null });
+            }
+            const anomaly = events.includes("anomaly") ? detectCountAnomaly(sync) : null;
+            if (anomaly) {
+                logger.warn(`Unusual record count: ${anomaly.reasons.join("; ")}`);
+                notifications.push({ event: "anomaly", anomaly });
+            }
+        }
+
+        const deliveries = [];
+        for (const { event, anomaly } of notifications) {
+            const notification = { event, ...formatMessage(event, sync, anomaly), sync, anomaly };
+            for (const channel of targets) {
+                deliveries.push(
+                    deliver(channel, notification).then((delivered) => {
+                        sent.push({ event, channel: channel.name, delivered });
+                    }),
+                );
+            }
+        }
+        await Promise.all(deliveries);
+    } catch (error) {
+        logger.error(`Failed to send sync notifications: ${error.message}`);
+    }
+    return sent;
+}
+
+registerChannel(require("./webhook"));
+registerChannel(require("./chat"));
+registerChannel(require("./email"));
+
+module.exports = {
+    registerChannel,
+    notifySyncFinished,
+};
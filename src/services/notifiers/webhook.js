@@ -0,0 +1,42 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { config } = require("../../config");
+
+/**
+ * Generic JSON webhook
+ *
+ * POSTs { event, title, text, timestamp, sync, anomaly } with an X-Sync-Event header. When
+ * NOTIFY_WEBHOOK_SECRET is set, X-Signature-256 carries "sha256=" + the hex HMAC-SHA256 of the raw body.
+ */
+module.exports = {
+    name: "webhook",
+    label: "Webhook",
+
+    /**
+     * @returns {boolean} - True if a webhook URL is configured
+     */
+    isConfigured() {
+        return Boolean(config.notifications.webhook.url);
+    },
+
+    /**
+     * Send a notification
+     * @param {Object} notification - Notification (see notifiers/index.js)
+     */
+    async send(notification) {
+        const { url, secret } = config.notifications.webhook;
+        const body = JSON.stringify({
+            event: notification.event,
+            title: notification.title,
+            text: notification.lines.join("\n"),
+            timestamp: new Date().toISOString(),
+            sync: notification.sync,
+            anomaly: notification.anomaly,
+        });
+        const headers = { "Content-Type": "application/json", "X-Sync-Event": notification.event };
+        if (secret) {
+            headers["X-Signature-256"] = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+        }
+        await axios.post(url, body, { headers, timeout: config.notifications.timeout });
+    },
+};
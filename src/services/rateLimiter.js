@@ -0,0 +1,81 @@
+const { config } = require("../config");
+const { recordAudit } = require("./auditLog");
+const logger = require("../utils/logger");
+
+/**
+ * Fixed-window request limits per client
+ *
+ * Clients are counted by their authenticated name, or by IP address when authentication is off.
+ * Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset headers; requests over the
+ * limit get a 429 with Retry-After.
+ */
+
+/**
+ * Number of tracked clients above which expired windows are dropped
+ */
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Create a rate limiting middleware with its own counters
+ * @param {string} name - Limit name, for logs and the audit trail
+ * @param {number} max - Requests allowed per window (0 for no limit)
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Function} - Express middleware
+ */
+function createRateLimiter(name, max, windowMs = config.rateLimit.windowMs) {
+    const windows = new Map(); // client -> { count, resetAt, reported }
+
+    /**
+     * Drop the windows that have ended
+     * @param {number} now - Current time in milliseconds
+     */
+    function pruneExpired(now) {
+        for (const [client, window] of windows) {
+            if (window.resetAt <= now) windows.delete(client);
+        }
+    }
+
+    return (req, res, next) => {
+        if (!config.rateLimit.enabled || !max) {
+            return next();
+        }
+
+        const now = Date.now();
+        if (windows.size > PRUNE_THRESHOLD) {
+            pruneExpired(now);
+        }
+        const client = (req.auth && req.auth.client) || req.ip;
+        let window = windows.get(client);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs, reported: false };
+            windows.set(client, window);
+        }
+        window.count++;
+
+        const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+        res.set({
+            "RateLimit-Limit": String(max),
+            "RateLimit-Remaining": String(Math.max(0, max - window.count)),
+            "RateLimit-Reset": String(resetSeconds),
+        });
+        if (window.count <= max) {
+            return next();
+        }
+
+        // Log and audit the first rejection of each window only
+        if (!window.reported) {
+            window.reported = true;
+            logger.warn(`Rate limit '${name}' exceeded by ${client}: ${max} requests per ${windowMs / 1000}s`);
+            recordAudit(req, "rate_limit.exceeded", { outcome: "denied", limit: name });
+        }
+        res.set("Retry-After", String(resetSeconds));
+        res.status(429).json({
+            success: false,
+            error: `Too many requests: ${max} per ${windowMs / 1000}s allowed, retry in ${resetSeconds}s`,
+        });
+    };
+}
+
+module.exports = {
+    createRateLimiter,
+};
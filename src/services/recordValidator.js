@@ -0,0 +1,125 @@
+const { createTempFileWriter } = require("../utils/fileWriter");
+const { getExportColumns, toExportRow, formatCsvLine } = require("../utils/formats/base");
+const { checkRules } = require("../entities/validationRules");
+const logger = require("../utils/logger");
+
+/**
+ * Validation stage between fetch and output
+ *
+ * Records are checked against the entity's rules (see src/entities/validationRules.js). Records that fail
+ * are left out of every output and written to a rejects file with the rules they failed:
+ * - json: an array of { key, failures: [{ rule, message }], record }
+ * - csv: key, rules and messages columns, then the record's columns
+ * The rejects file is only created once a record fails, and not at all without a rejects file path (count only).
+ */
+
+/**
+ * Rejects file formats
+ */
+const REJECTS_FORMATS = ["json", "csv"];
+
+/**
+ * Create a validator for a run
+ * @param {Object} entity - Entity definition
+ * @param {string|null} rejectsFile - Rejects file path, without extension (null: count rejects only)
+ * @param {string} format - Rejects file format ('json' or 'csv')
+ * @returns {Object} - Validator { validate(records), summary(), finish(), abort() }
+ */
+function createRecordValidator(entity, rejectsFile, format = "json") {
+    const columns = getExportColumns(entity);
+    const ruleCounts = Object.fromEntries(entity.rules.map((rule) => [rule.name, 0]));
+    let rejected = 0;
+    let file = null;
+
+    /**
+     * Append rejected records to the rejects file, opening it on first use
+     * @param {Array<Object>} rejects - Rejects [{ key, failures, row }]
+     */
+    function writeRejects(rejects) {
+        if (!rejectsFile) return;
+        if (!file) {
+            file = createTempFileWriter(`${rejectsFile}.${format}`);
+            file.append(format === "csv" ? formatCsvLine(["key", "rules", "messages", ...columns]) : "[\n");
+        }
+        if (format === "csv") {
+            const lines = rejects.map(({ key, failures, row }) =>
+                formatCsvLine([
+                    key,
+                    failures.map((failure) => failure.rule).join("; "),
+                    failures.map((failure) => failure.message).join("; "),
+                    ...columns.map((column) => row[column]),
+                ]),
+            );
+            file.append(lines.join(""));
+            return;
+        }
+        const entries = rejects.map(({ key, failures, row }) => JSON.stringify({ key, failures, record: row }));
+        file.append((rejected > 0 ? ",\n" : "") + entries.join(",\n"));
+    }
+
+    return {
+        /**
+         * Validate records, writing the ones that fail to the rejects file
+         * @param {Array<Object>} records - Records from API
+         * @returns {Array<Object>} - Records that passed every rule
+         */
+        validate(records) {
+            const valid = [];
+            const rejects = [];
+            for (const record of records) {
+                const row = toExportRow(record, entity);
+                const failures = checkRules(row, entity.rules);
+                if (failures.length === 0) {
+                    valid.push(record);
+                    continue;
+                }
+                for (const failure of failures) {
+                    ruleCounts[failure.rule]++;
+                }
+                const key = entity.keyColumns.map((column) => row[column]).join("|");
+                rejects.push({ key, failures, row });
+                logger.debug(`Rejected ${key}: ${failures.map((failure) => failure.message).join("; ")}`);
+            }
+            if (rejects.length > 0) {
+                writeRejects(rejects);
+                rejected += rejects.length;
+            }
+            return valid;
+        },
+
+        /**
+         * Validation summary
+         * @returns {Object} - { rejected, rules: failures per rule (rules that never failed are left out) }
+         */
+        summary() {
+            return {
+                rejected,
+                rules: Object.fromEntries(Object.entries(ruleCounts).filter(([, count]) => count > 0)),
+            };
+        },
+
+        /**
+         * Complete the rejects file
+         * @returns {string|null} - Rejects file path, or null if no record was rejected
+         */
+        finish() {
+            if (!file) return null;
+            if (format === "json") file.append("\n]\n");
+            const rejectsPath = file.commit();
+            file = null;
+            return rejectsPath;
+        },
+
+        /**
+         * Delete the incomplete rejects file
+         */
+        abort() {
+            if (file) file.abort();
+        },
+    };
+}
+
+module.exports = {
+    REJECTS_FORMATS,
+    createRecordValidator,
+};
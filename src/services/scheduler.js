@@ -0,0 +1,194 @@
+const fs = require("fs");
+const { Cron } = require("croner");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+
+/**
+ * Cron-based scheduler for recurring syncs
+ *
+ * Schedule definition (SCHEDULES_FILE is a JSON array of these):
+ * {
+ *   "name": "nightly-incremental",
+ *   "cron": "0 2 * * *",
+ *   "timezone": "Asia/Ho_Chi_Minh",      // optional, defaults to SCHEDULER_TIMEZONE
+ *   "enabled": true,                      // optional
+ *   "profile": {                          // sync profile, see buildScheduleParams in src/index.js
+ *     "entity": "position",               // optional, any registered entity
+ *     "dateRange": "incremental",         // incremental | lastDays | default
+ *     "days": 7,                          // lastDays only
+ *     "dialects": ["oracle", "postgres"],
+ *     "departmentFilter": "CTEL"
+ *   }
+ * }
+ */
+const schedules = new Map(); // Schedule state by name
+
+/**
+ * Number of past runs kept per schedule
+ */
+const RUN_HISTORY_LIMIT = 10;
+
+/**
+ * Load schedule definitions from the configured file
+ * @returns {Array<Object>} - Schedule definitions
+ */
+function loadScheduleDefinitions() {
+    if (!config.scheduler.file) {
+        return [];
+    }
+
+    const definitions = JSON.parse(fs.readFileSync(config.scheduler.file, "utf8"));
+    if (!Array.isArray(definitions)) {
+        throw new Error(`${config.scheduler.file} must contain a JSON array of schedules`);
+    }
+
+    const names = new Set();
+    for (const definition of definitions) {
+        if (!definition.name) throw new Error("Schedule is missing required property: name");
+        if (!definition.cron) throw new Error(`Schedule '${definition.name}' is missing required property: cron`);
+        if (names.has(definition.name)) throw new Error(`Duplicate schedule name: ${definition.name}`);
+        names.add(definition.name);
+    }
+
+    return definitions;
+}
+
+/**
+ * Record the outcome of a run on a schedule
+ * @param {Object} schedule - Schedule state
+ * @param {Object} outcome - Run outcome
+ */
+function recordRun(schedule, outcome) {
+    schedule.lastResult = outcome;
+    schedule.history.unshift(outcome);
+    schedule.history.length = Math.min(schedule.history.length, RUN_HISTORY_LIMIT);
+}
+
+/**
+ * Fire a schedule: skip if its previous run is still going, otherwise run and record the outcome
+ * @param {Object} schedule - Schedule state
+ * @param {Function} runSchedule - async (definition) => finished job view
+ */
+async function fireSchedule(schedule, runSchedule) {
+    const firedAt = new Date().toISOString();
+
+    if (schedule.running) {
+        logger.warn(`Schedule '${schedule.name}' skipped: previous run is still in progress`);
+        recordRun(schedule, {
+            firedAt,
+            finishedAt: firedAt,
+            status: "skipped",
+            error: "Previous run still in progress",
+        });
+        return;
+    }
+
+    schedule.running = true;
+    logger.info(`Schedule '${schedule.name}' fired`);
+
+    try {
+        const job = await runSchedule(schedule.definition);
+        recordRun(schedule, {
+            firedAt,
+            finishedAt: new Date().toISOString(),
+            status: job.status,
+            jobId: job.id,
+            error: job.error,
+            summary: job.result
+                ? {
+                      totalFetched: job.result.totalFetched,
+                      totalFiltered: job.result.totalFiltered,
+                      outputFiles: job.result.outputFiles,
+                  }
+                : null,
+        });
+    } catch (error) {
+        const skipped = error.code === "SYNC_LOCKED";
+        logger[skipped ? "warn" : "error"](
+            `Schedule '${schedule.name}' ${skipped ? "skipped" : "failed"}: ${error.message}`,
+        );
+        recordRun(schedule, {
+            firedAt,
+            finishedAt: new Date().toISOString(),
+            status: skipped ? "skipped" : "failed",
+            error: error.message,
+        });
+    } finally {
+        schedule.running = false;
+    }
+}
+
+/**
+ * Start all configured schedules
+ * @param {Array<Object>} definitions - Schedule definitions
+ * @param {Function} runSchedule - async (definition) => finished job view
+ */
+function startScheduler(definitions, runSchedule) {
+    for (const definition of definitions) {
+        const schedule = {
+            name: definition.name,
+            definition,
+            cron: null,
+            running: false,
+            lastResult: null,
+            history: [],
+        };
+
+        schedule.cron = new Cron(
+            definition.cron,
+            {
+                name: definition.name,
+                timezone: definition.timezone || config.scheduler.timezone,
+                paused: definition.enabled === false,
+            },
+            () => fireSchedule(schedule, runSchedule),
+        );
+
+        schedules.set(definition.name, schedule);
+        const nextRun = definition.enabled === false ? null : schedule.cron.nextRun();
+        logger.info(
+            `Schedule '${definition.name}' (${definition.cron}) ` +
+                (definition.enabled === false
+                    ? "disabled"
+                    : `next run: ${nextRun ? nextRun.toISOString() : "none (the pattern never matches again)"}`),
+        );
+    }
+}
+
+/**
+ * Stop all schedules
+ */
+function stopScheduler() {
+    for (const schedule of schedules.values()) {
+        schedule.cron.stop();
+    }
+    schedules.clear();
+}
+
+/**
+ * List schedules with their next fire time and last result
+ * @returns {Array<Object>} - Schedule views
+ */
+function listSchedules() {
+    return [...schedules.values()].map((schedule) => {
+        const nextRun = schedule.definition.enabled === false ? null : schedule.cron.nextRun();
+        return {
+            name: schedule.name,
+            cron: schedule.definition.cron,
+            timezone: schedule.definition.timezone || config.scheduler.timezone || null,
+            enabled: schedule.definition.enabled !== false,
+            profile: schedule.definition.profile || {},
+            running: schedule.running,
+            nextRun: nextRun ? nextRun.toISOString() : null,
+            lastResult: schedule.lastResult,
+            history: schedule.history,
+        };
+    });
+}
+
+module.exports = {
+    loadScheduleDefinitions,
+    startScheduler,
+    stopScheduler,
+    listSchedules,
+};
@@ -1,31 +1,7 @@
-const axios = require("axios");
 const { config } = require("../config");
 const logger = require("../utils/logger");
-
-/**
- * Create axios instance with base configuration
- */
-function createApiClient() {
-    const credentials = Buffer.from(`${config.sf.username}:${config.sf.password}`).toString("base64");
-
-    return axios.create({
-        baseURL: config.sf.baseUrl,
-        timeout: config.request.timeout,
-        headers: {
-            Authorization: `Basic ${credentials}`,
-            Accept: "application/json",
-            "Content-Type": "application/json",
-        },
-    });
-}
-
-/**
- * Sleep utility for retry delay
- * @param {number} ms - Milliseconds to sleep
- */
-function sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-}
+const { getEntity } = require("../entities");
+const { getWithRetry } = require("./sfHttpClient");
 
 /**
  * Get yesterday's date in ISO format for OData filter
@@ -41,9 +17,10 @@ function getYesterdayDateTime() {
  * Build OData filter based on date range
  * @param {string} startDate - Start date (yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss)
  * @param {string} endDate - End date (yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss)
+ * @param {string} field - Last-modified field to filter on
  * @returns {string} - OData filter string
  */
-function buildDateFilter(startDate, endDate) {
+function buildDateFilter(startDate, endDate, field = "lastModifiedDateTime") {
     // Format dates to OData datetime format
     const formatDate = (dateStr) => {
         if (!dateStr) return null;
@@ -58,97 +35,300 @@ function buildDateFilter(startDate, endDate) {
     const end = formatDate(endDate);
 
     if (start && end) {
-        return `lastModifiedDateTime ge datetime'${start}' and lastModifiedDateTime le datetime'${end}'`;
+        return `${field} ge datetime'${start}' and ${field} le datetime'${end}'`;
     } else if (start) {
-        return `lastModifiedDateTime ge datetime'${start}'`;
+        return `${field} ge datetime'${start}'`;
     } else if (end) {
-        return `lastModifiedDateTime le datetime'${end}'`;
+        return `${field} le datetime'${end}'`;
     } else {
         // Default: yesterday
         const yesterdayDateTime = getYesterdayDateTime();
-        return `lastModifiedDateTime ge datetime'${yesterdayDateTime}'`;
+        return `${field} ge datetime'${yesterdayDateTime}'`;
     }
 }
 
 /**
- * Fetch positions from SuccessFactors API with pagination
- * @param {number} top - Number of records to fetch
- * @param {number} skip - Number of records to skip
+ * Quote a value as an OData string literal
+ * @param {string} value - Value to quote
+ * @returns {string} - OData string literal
+ */
+function quoteODataString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build the OData department restriction using startswith()
+ * @param {string} field - Field holding the department code
+ * @param {Array<string>} prefixes - Department prefixes to include (any of)
+ * @param {Array<string>} excludes - Department prefixes to exclude
+ * @returns {string} - OData filter string, empty if there is nothing to restrict
+ */
+function buildDepartmentFilter(field, prefixes = [], excludes = []) {
+    const clauses = [];
+
+    const includes = prefixes
+        .filter(Boolean)
+        .map((prefix) => `startswith(${field},${quoteODataString(prefix)}) eq true`);
+    if (includes.length === 1) {
+        clauses.push(includes[0]);
+    } else if (includes.length > 1) {
+        clauses.push(`(${includes.join(" or ")})`);
+    }
+
+    for (const prefix of excludes.filter(Boolean)) {
+        clauses.push(`startswith(${field},${quoteODataString(prefix)}) eq false`);
+    }
+
+    return clauses.join(" and ");
+}
+
+/**
+ * Format a field filter value as an OData literal of the field's mapped type
+ * Numbers and booleans stay bare, dates become datetime'...' and anything else a quoted string.
+ * @param {string|number|boolean} value - Value, checked against the type by parseSyncOptions
+ * @param {Object} field - Field definition (optional)
+ * @returns {string} - OData literal
+ */
+function formatODataValue(value, field) {
+    const type = field ? field.type : "string";
+    if (type === "number") {
+        return String(Number(value));
+    }
+    if (type === "boolean") {
+        return String(value === true || value === "true");
+    }
+    if (type === "date") {
+        return `datetime'${String(value).length === 10 ? `${value}T00:00:00` : value}'`;
+    }
+    return quoteODataString(value);
+}
+
+/**
+ * Build OData predicates for field filters
+ * A value becomes `field eq <literal>`, an array becomes `(field eq 'a' or field eq 'b')`
+ * @param {Object} fieldFilters - Field to value(s) map, e.g. { effectiveStatus: "A", costCenter: ["CC1", "CC2"] }
+ * @param {Object} entity - Entity definition, for the type of each field (optional)
+ * @returns {Array<string>} - OData predicates
+ */
+function buildFieldFilters(fieldFilters = {}, entity = null) {
+    return Object.entries(fieldFilters).map(([name, value]) => {
+        const field = entity ? entity.fields.find((candidate) => candidate.sf === name) : null;
+        const values = Array.isArray(value) ? value : [value];
+        const predicates = values.map((v) => `${name} eq ${formatODataValue(v, field)}`);
+        return predicates.length === 1 ? predicates[0] : `(${predicates.join(" or ")})`;
+    });
+}
+
+/**
+ * Build the full OData filter: date range plus record restrictions
+ * @param {Object} entity - Entity definition
  * @param {string} startDate - Start date filter (optional)
  * @param {string} endDate - End date filter (optional)
- * @returns {Promise<Array>} - Array of position records
+ * @param {Object} recordFilter - Record restrictions (optional)
+ * @param {Array<string>} recordFilter.departments - Department prefixes to include
+ * @param {Array<string>} recordFilter.excludeDepartments - Department prefixes to exclude
+ * @param {boolean} recordFilter.outsideDepartments - Match the records outside the department restriction instead
+ * @param {Object} recordFilter.fieldFilters - Field equality filters
+ * @param {Array<string>} recordFilter.predicates - OData predicates, e.g. "effectiveStatus eq 'A'"
+ * @param {boolean} pushDepartment - Put the department restriction into the query (false = filter client-side)
+ * @returns {string} - OData filter string
+ */
+function buildQueryFilter(entity, startDate, endDate, recordFilter = {}, pushDepartment = true) {
+    const clauses = [buildDateFilter(startDate, endDate, entity.lastModifiedField)];
+
+    if (pushDepartment && entity.departmentField) {
+        const departmentFilter = buildDepartmentFilter(
+            entity.departmentField,
+            recordFilter.departments,
+            recordFilter.excludeDepartments,
+        );
+        clauses.push(
+            recordFilter.outsideDepartments && departmentFilter ? `not (${departmentFilter})` : departmentFilter,
+        );
+    }
+    clauses.push(...buildFieldFilters(recordFilter.fieldFilters, entity));
+    clauses.push(...(recordFilter.predicates || []).map((predicate) => `(${predicate})`));
+
+    return clauses.filter(Boolean).join(" and ");
+}
+
+/**
+ * Build the query parameters shared by offset and snapshot paging
+ * @param {Object} entity - Entity definition
+ * @param {string} startDate - Start date filter (optional)
+ * @param {string} endDate - End date filter (optional)
+ * @param {Object} queryOptions - Query options, see fetchEntity
+ * @returns {Object} - Query parameters
  */
-async function fetchPositions(top, skip, startDate = null, endDate = null) {
-    const client = createApiClient();
+function buildQueryParams(entity, startDate, endDate, queryOptions = {}) {
+    const { recordFilter = {}, pushDepartment = false, effectiveDates = null } = queryOptions;
 
-    // Build filter based on date range
-    const filter = buildDateFilter(startDate, endDate);
+    // Build filter based on date range and record restrictions
+    const filter = buildQueryFilter(entity, startDate, endDate, recordFilter, pushDepartment);
+    logger.info(`Using filter: ${filter}`);
 
-    const params = {
+    return {
         $format: "json",
-        $select: config.selectFields,
+        $select: entity.selectFields.join(","),
+        $filter: filter,
+        // Effective-dated entities return the version valid today unless asked for others
+        ...effectiveDates,
+    };
+}
+
+/**
+ * Fetch one page of an entity with offset pagination ($top/$skip)
+ * @param {Object} entity - Entity definition
+ * @param {number} top - Number of records to fetch
+ * @param {number} skip - Number of records to skip
+ * @param {string} startDate - Start date filter (optional)
+ * @param {string} endDate - End date filter (optional)
+ * @param {Object} queryOptions - Query options (optional)
+ * @param {Object} queryOptions.recordFilter - Record restrictions, see buildQueryFilter
+ * @param {boolean} queryOptions.pushDepartment - Put the department restriction into the query
+ * @param {boolean} queryOptions.inlineCount - Ask for the total number of matching records ($inlinecount)
+ * @param {Object} queryOptions.effectiveDates - Effective-dated versions to return: { fromDate, toDate } or
+ *   { asOfDate } (yyyy-MM-dd)
+ * @returns {Promise<{results: Array, count: number|null}>} - Page records and total count (if requested)
+ */
+async function fetchEntityPage(entity, top, skip, startDate = null, endDate = null, queryOptions = {}) {
+    const params = {
+        ...buildQueryParams(entity, startDate, endDate, queryOptions),
         $top: top,
         $skip: skip,
-        $filter: filter,
     };
+    if (queryOptions.inlineCount) {
+        params.$inlinecount = "allpages";
+    }
 
-    logger.info(`Using filter: ${filter}`);
+    const data = await getWithRetry(`/${entity.entitySet}`, {
+        params,
+        description: `${entity.entitySet}: top=${top}, skip=${skip}`,
+    });
 
-    let lastError;
-
-    for (let attempt = 1; attempt <= config.request.retryAttempts; attempt++) {
-        try {
-            logger.debug(`Fetching positions: top=${top}, skip=${skip}, attempt=${attempt}`);
-
-            const response = await client.get("/Position", { params });
-
-            // OData response structure
-            const results = response.data?.d?.results || [];
-            return results;
-        } catch (error) {
-            lastError = error;
-
-            const isRetryable =
-                error.code === "ECONNRESET" ||
-                error.code === "ETIMEDOUT" ||
-                error.code === "ECONNABORTED" ||
-                (error.response && error.response.status >= 500);
-
-            if (isRetryable && attempt < config.request.retryAttempts) {
-                const delay = config.request.retryDelay * Math.pow(2, attempt - 1);
-                logger.warn(
-                    `Request failed (attempt ${attempt}/${config.request.retryAttempts}), ` +
-                        `retrying in ${delay}ms: ${error.message}`,
-                );
-                await sleep(delay);
-            } else {
-                break;
-            }
-        }
-    }
+    // OData response structure
+    const count = parseInt(data?.d?.__count, 10);
+    return {
+        results: data?.d?.results || [],
+        count: isNaN(count) ? null : count,
+    };
+}
 
-    // All retries exhausted
-    const errorMessage = lastError.response
-        ? `API Error ${lastError.response.status}: ${JSON.stringify(lastError.response.data)}`
-        : `Request Error: ${lastError.message}`;
+/**
+ * Fetch records of an entity from SuccessFactors API with offset pagination ($top/$skip)
+ * @param {Object} entity - Entity definition
+ * @param {number} top - Number of records to fetch
+ * @param {number} skip - Number of records to skip
+ * @param {string} startDate - Start date filter (optional)
+ * @param {string} endDate - End date filter (optional)
+ * @param {Object} queryOptions - Query options, see fetchEntityPage
+ * @returns {Promise<Array>} - Array of records
+ */
+async function fetchEntity(entity, top, skip, startDate = null, endDate = null, queryOptions = {}) {
+    const { results } = await fetchEntityPage(entity, top, skip, startDate, endDate, queryOptions);
+    return results;
+}
 
-    throw new Error(errorMessage);
+/**
+ * Count the records of an entity matching the query ($count)
+ * @param {Object} entity - Entity definition
+ * @param {string} startDate - Start date filter (optional)
+ * @param {string} endDate - End date filter (optional)
+ * @param {Object} queryOptions - Query options, see fetchEntityPage
+ * @returns {Promise<number>} - Number of matching records
+ */
+async function fetchEntityCount(entity, startDate = null, endDate = null, queryOptions = {}) {
+    const { $filter } = buildQueryParams(entity, startDate, endDate, queryOptions);
+    const data = await getWithRetry(`/${entity.entitySet}/$count`, {
+        params: { $filter, ...queryOptions.effectiveDates },
+        description: `${entity.entitySet}: count`,
+    });
+    return parseInt(data, 10);
+}
+
+/**
+ * Fetch one page of an entity using server-side snapshot pagination
+ * The first call starts the snapshot; later calls follow the d.__next link returned by the previous page.
+ * @param {Object} entity - Entity definition
+ * @param {string|null} nextUrl - __next link from the previous page, or null for the first page
+ * @param {number} pageSize - Requested page size (customPageSize)
+ * @param {string} startDate - Start date filter (optional)
+ * @param {string} endDate - End date filter (optional)
+ * @param {Object} queryOptions - Query options, see fetchEntity
+ * @returns {Promise<{results: Array, nextUrl: string|null}>} - Page records and link to the next page
+ */
+async function fetchEntitySnapshotPage(entity, nextUrl, pageSize, startDate = null, endDate = null, queryOptions = {}) {
+    const data = nextUrl
+        ? await getWithRetry(nextUrl, { description: `${entity.entitySet}: next page` })
+        : await getWithRetry(`/${entity.entitySet}`, {
+              params: {
+                  ...buildQueryParams(entity, startDate, endDate, queryOptions),
+                  paging: "snapshot",
+                  customPageSize: pageSize,
+              },
+              description: `${entity.entitySet}: first snapshot page`,
+          });
+
+    return {
+        results: data?.d?.results || [],
+        nextUrl: data?.d?.__next || null,
+    };
+}
+
+/**
+ * Fetch positions from SuccessFactors API with pagination
+ * @param {number} top - Number of records to fetch
+ * @param {number} skip - Number of records to skip
+ * @param {string} startDate - Start date filter (optional)
+ * @param {string} endDate - End date filter (optional)
+ * @returns {Promise<Array>} - Array of position records
+ */
+function fetchPositions(top, skip, startDate = null, endDate = null) {
+    return fetchEntity(getEntity("position"), top, skip, startDate, endDate);
 }
 
 /**
- * Filter positions by department prefix
- * @param {Array} positions - Array of position records
- * @param {string} prefix - Department prefix to filter by
- * @returns {Array} - Filtered positions
+ * Check that SuccessFactors answers an authenticated query (one attempt, no retries)
+ * @param {Object} entity - Entity definition to query
+ * @returns {Promise<void>} - Rejects with the request error if SuccessFactors cannot be reached
  */
-function filterByDepartment(positions, prefix) {
-    return positions.filter((pos) => {
-        const department = pos.department || "";
-        return department.startsWith(prefix);
+async function checkConnection(entity) {
+    await getWithRetry(`/${entity.entitySet}`, {
+        params: { $format: "json", $top: 1, $select: entity.selectFields[0] },
+        description: `${entity.entitySet}: connection check`,
+        retryPolicy: { attempts: 1 },
+    });
+}
+
+/**
+ * Filter records by department prefix (client-side)
+ * @param {Array} records - Array of records
+ * @param {string|Array<string>} prefixes - Department prefix(es) to include (any of)
+ * @param {string} field - Field holding the department code
+ * @param {Array<string>} excludes - Department prefixes to exclude
+ * @returns {Array} - Filtered records
+ */
+function filterByDepartment(records, prefixes, field = "department", excludes = []) {
+    const includes = (Array.isArray(prefixes) ? prefixes : [prefixes]).filter(Boolean);
+    const exclusions = excludes.filter(Boolean);
+
+    return records.filter((record) => {
+        const department = record[field] || "";
+        if (includes.length > 0 && !includes.some((prefix) => department.startsWith(prefix))) {
+            return false;
+        }
+        return !exclusions.some((prefix) => department.startsWith(prefix));
     });
 }
 
 module.exports = {
+    buildDateFilter,
+    buildQueryFilter,
+    fetchEntity,
+    fetchEntityPage,
+    fetchEntityCount,
+    fetchEntitySnapshotPage,
     fetchPositions,
+    checkConnection,
     filterByDepartment,
 };
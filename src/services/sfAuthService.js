@@ -0,0 +1,170 @@
+const fs = require("fs");
+const axios = require("axios");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+const { buildSignedAssertion } = require("../utils/samlAssertion");
+
+/**
+ * OAuth 2.0 SAML-bearer authentication for SuccessFactors
+ *
+ * The signed SAML assertion is either configured directly (SF_SAML_ASSERTION) or signed locally
+ * with the X.509 private key of the registered OAuth client. Generating it at the tenant's /oauth/idp
+ * endpoint sends the private key over the network and is only done when SF_ASSERTION_SOURCE=idp.
+ * The assertion is exchanged at /oauth/token for an access token, which is cached until shortly
+ * before it expires.
+ */
+const SAML_BEARER_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:saml2-bearer";
+// Short-lived tokens are refreshed once this share of their lifetime is left, not SF_TOKEN_REFRESH_MARGIN before
+const MAX_REFRESH_MARGIN_SHARE = 0.25;
+
+let cachedToken = null; // { accessToken, expiresAt, refreshAt }
+let pendingToken = null; // In-flight token request, shared by concurrent callers
+
+/**
+ * Resolve an OAuth endpoint URL on the API server
+ * @param {string} endpoint - Endpoint path ('token' or 'idp')
+ * @returns {string} - Absolute URL
+ */
+function getOAuthUrl(endpoint) {
+    if (endpoint === "token" && config.sf.oauth.tokenUrl) {
+        return config.sf.oauth.tokenUrl;
+    }
+    return `${new URL(config.sf.baseUrl).origin}/oauth/${endpoint}`;
+}
+
+/**
+ * Read the OAuth client private key from the environment or the configured file
+ * @returns {string} - Private key (as downloaded from the OAuth client registration)
+ */
+function getPrivateKey() {
+    if (config.sf.oauth.privateKey) {
+        return config.sf.oauth.privateKey;
+    }
+    return fs.readFileSync(config.sf.oauth.privateKeyFile, "utf8").trim();
+}
+
+/**
+ * POST a form to an OAuth endpoint
+ * @param {string} url - Endpoint URL
+ * @param {Object} form - Form fields
+ * @param {string} description - What is being requested, for error messages
+ * @returns {Promise<*>} - Response body
+ */
+async function postForm(url, form, description) {
+    try {
+        const response = await axios.post(url, new URLSearchParams(form).toString(), {
+            timeout: config.request.timeout,
+            headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        });
+        return response.data;
+    } catch (error) {
+        const message = error.response
+            ? `${description} failed with ${error.response.status}: ${JSON.stringify(error.response.data)}`
+            : `${description} failed: ${error.message}`;
+        const authError = new Error(message);
+        authError.status = error.response ? error.response.status : null;
+        throw authError;
+    }
+}
+
+/**
+ * Get a signed SAML assertion, signing one with the private key if none is configured
+ * @returns {Promise<string>} - Base64 encoded SAML assertion
+ */
+async function getSamlAssertion() {
+    if (config.sf.oauth.samlAssertion) {
+        return config.sf.oauth.samlAssertion;
+    }
+    if (config.sf.oauth.assertionSource !== "idp") {
+        return buildSignedAssertion({
+            clientId: config.sf.oauth.clientId,
+            userId: config.sf.oauth.userId,
+            tokenUrl: getOAuthUrl("token"),
+            privateKey: getPrivateKey(),
+        });
+    }
+
+    const assertion = await postForm(
+        getOAuthUrl("idp"),
+        {
+            client_id: config.sf.oauth.clientId,
+            user_id: config.sf.oauth.userId,
+            token_url: getOAuthUrl("token"),
+            private_key: getPrivateKey(),
+        },
+        "SAML assertion request",
+    );
+    return String(assertion).trim();
+}
+
+/**
+ * Exchange a SAML assertion for a new access token and cache it
+ * @returns {Promise<string>} - Access token
+ */
+async function requestAccessToken() {
+    const assertion = await getSamlAssertion();
+    const data = await postForm(
+        getOAuthUrl("token"),
+        {
+            company_id: config.sf.oauth.companyId,
+            client_id: config.sf.oauth.clientId,
+            grant_type: SAML_BEARER_GRANT_TYPE,
+            assertion,
+        },
+        "OAuth token request",
+    );
+
+    if (!data || !data.access_token) {
+        throw new Error("OAuth token response did not contain an access_token");
+    }
+
+    const expiresInSeconds = parseInt(data.expires_in, 10);
+    if (!(expiresInSeconds > 0)) {
+        // Nothing to refresh ahead of: keep the token until a 401 invalidates it
+        cachedToken = { accessToken: data.access_token, expiresAt: Infinity, refreshAt: Infinity };
+        logger.warn("OAuth token response did not contain expires_in, using the token until it is rejected");
+        return cachedToken.accessToken;
+    }
+
+    const refreshMarginSeconds = Math.min(
+        config.sf.oauth.refreshMarginSeconds,
+        expiresInSeconds * MAX_REFRESH_MARGIN_SHARE,
+    );
+    const now = Date.now();
+    cachedToken = {
+        accessToken: data.access_token,
+        expiresAt: now + expiresInSeconds * 1000,
+        refreshAt: now + (expiresInSeconds - refreshMarginSeconds) * 1000,
+    };
+    logger.info(`Obtained OAuth access token (expires in ${expiresInSeconds}s)`);
+    return cachedToken.accessToken;
+}
+
+/**
+ * Get a valid access token, requesting a new one when none is cached or it is about to expire
+ * @returns {Promise<string>} - Access token
+ */
+async function getAccessToken() {
+    if (cachedToken && Date.now() < cachedToken.refreshAt) {
+        return cachedToken.accessToken;
+    }
+
+    if (!pendingToken) {
+        pendingToken = requestAccessToken().finally(() => {
+            pendingToken = null;
+        });
+    }
+    return pendingToken;
+}
+
+/**
+ * Drop the cached access token so the next request obtains a new one (e.g. after a 401)
+ */
+function invalidateAccessToken() {
+    cachedToken = null;
+}
+
+module.exports = {
+    getAccessToken,
+    invalidateAccessToken,
+};
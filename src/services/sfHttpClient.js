@@ -0,0 +1,298 @@
+const axios = require("axios");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+const { getAccessToken, invalidateAccessToken } = require("./sfAuthService");
+const { recordApiRequest, recordApiRetry } = require("./metrics");
+
+/**
+ * Shared request layer for the SuccessFactors API
+ *
+ * - one axios client for the whole process
+ * - retries with exponential backoff, honouring Retry-After on 429/503
+ * - a circuit breaker that fails fast after repeated server or network failures:
+ *   closed -> open (after failureThreshold consecutive failures) -> half-open (after resetTimeout,
+ *   one trial request) -> closed on success, open again on failure
+ */
+let client = null;
+
+const circuit = {
+    state: "closed", // closed | open | half-open
+    consecutiveFailures: 0,
+    openedAt: null,
+    trialInFlight: false,
+};
+
+/**
+ * Error code set on the error thrown while the circuit is open
+ */
+const CIRCUIT_OPEN_CODE = "CIRCUIT_OPEN";
+
+/**
+ * Error code set on the error thrown when a request fails after all retries
+ */
+const API_ERROR_CODE = "SF_API_ERROR";
+
+/**
+ * Network error codes that are worth retrying
+ */
+const RETRYABLE_ERROR_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "ECONNREFUSED", "EAI_AGAIN"];
+
+/**
+ * Create axios instance with base configuration
+ * Basic auth sends the configured credentials; OAuth attaches a cached bearer token
+ * and retries a request once with a new token if it is rejected with 401.
+ * @returns {Object} - axios instance
+ */
+function createApiClient() {
+    const apiClient = axios.create({
+        baseURL: config.sf.baseUrl,
+        timeout: config.request.timeout,
+        headers: {
+            Accept: "application/json",
+            "Content-Type": "application/json",
+        },
+    });
+
+    if (config.sf.authMode !== "oauth") {
+        const credentials = Buffer.from(`${config.sf.username}:${config.sf.password}`).toString("base64");
+        apiClient.defaults.headers.common.Authorization = `Basic ${credentials}`;
+        return apiClient;
+    }
+
+    apiClient.interceptors.request.use(async (requestConfig) => {
+        requestConfig.headers.Authorization = `Bearer ${await getAccessToken()}`;
+        return requestConfig;
+    });
+    apiClient.interceptors.response.use(null, (error) => {
+        const requestConfig = error.config;
+        if (error.response && error.response.status === 401 && requestConfig && !requestConfig.tokenRefreshed) {
+            logger.warn("Access token rejected by SuccessFactors, requesting a new one");
+            invalidateAccessToken();
+            requestConfig.tokenRefreshed = true;
+            return apiClient(requestConfig);
+        }
+        throw error;
+    });
+
+    return apiClient;
+}
+
+/**
+ * Get the shared API client, creating it on first use
+ * @returns {Object} - axios instance
+ */
+function getApiClient() {
+    if (!client) {
+        client = createApiClient();
+    }
+    return client;
+}
+
+/**
+ * Sleep utility for retry delay
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Default retry policy from configuration
+ * @returns {Object} - Retry policy { attempts, baseDelay, maxDelay, retryStatuses }
+ */
+function getDefaultRetryPolicy() {
+    return {
+        attempts: config.request.retryAttempts,
+        baseDelay: config.request.retryDelay,
+        maxDelay: config.request.retryMaxDelay,
+        retryStatuses: config.request.retryStatuses,
+    };
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed request is a sign that SuccessFactors is down (counts towards the circuit breaker)
+ * Rate limiting (429) and client errors are not.
+ * @param {Error} error - axios error
+ * @returns {boolean} - True for network errors and 5xx responses
+ */
+function isServerFailure(error) {
+    const status = error.response ? error.response.status : error.status;
+    return status ? status >= 500 : true;
+}
+
+/**
+ * Check the circuit before a request, moving from open to half-open once the reset timeout passed
+ * Throws an error with code 'CIRCUIT_OPEN' when requests should fail fast.
+ */
+function checkCircuit() {
+    if (circuit.state === "closed") return;
+
+    if (circuit.state === "open" && Date.now() - circuit.openedAt >= config.circuitBreaker.resetTimeout) {
+        circuit.state = "half-open";
+        logger.info("Circuit breaker half-open: sending a trial request to SuccessFactors");
+    }
+
+    if (circuit.state === "half-open" && !circuit.trialInFlight) {
+        circuit.trialInFlight = true;
+        return;
+    }
+
+    const retryInSeconds = Math.ceil(
+        Math.max(0, circuit.openedAt + config.circuitBreaker.resetTimeout - Date.now()) / 1000,
+    );
+    const error = new Error(
+        `SuccessFactors circuit breaker is open after ${circuit.consecutiveFailures} consecutive failures, ` +
+            `retry in ${retryInSeconds}s`,
+    );
+    error.code = CIRCUIT_OPEN_CODE;
+    error.status = null;
+    throw error;
+}
+
+/**
+ * Record a successful request: closes the circuit
+ */
+function recordSuccess() {
+    if (circuit.state !== "closed") {
+        logger.info("Circuit breaker closed: SuccessFactors is responding again");
+    }
+    circuit.state = "closed";
+    circuit.consecutiveFailures = 0;
+    circuit.openedAt = null;
+    circuit.trialInFlight = false;
+}
+
+/**
+ * Record a failed request: opens the circuit after too many consecutive server failures
+ * @param {Error} error - axios error
+ */
+function recordFailure(error) {
+    circuit.trialInFlight = false;
+    if (!isServerFailure(error)) {
+        if (circuit.state === "half-open") {
+            // SuccessFactors answered; the trial counts as a success
+            recordSuccess();
+        }
+        return;
+    }
+
+    circuit.consecutiveFailures++;
+    if (circuit.state === "half-open" || circuit.consecutiveFailures >= config.circuitBreaker.failureThreshold) {
+        if (circuit.state !== "open") {
+            logger.error(
+                `Circuit breaker open after ${circuit.consecutiveFailures} consecutive failures, ` +
+                    `failing fast for ${config.circuitBreaker.resetTimeout}ms`,
+            );
+        }
+        circuit.state = "open";
+        circuit.openedAt = Date.now();
+    }
+}
+
+/**
+ * Get the current circuit breaker state
+ * @returns {Object} - { state, consecutiveFailures, openedAt }
+ */
+function getCircuitState() {
+    return {
+        state: circuit.state,
+        consecutiveFailures: circuit.consecutiveFailures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+    };
+}
+
+/**
+ * Work out how long to wait before retrying a failed request
+ * @param {Error} error - axios error
+ * @param {number} attempt - Attempt that failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number|null} - Delay in milliseconds, or null if the error is not retryable
+ */
+function getRetryDelay(error, attempt, policy) {
+    const status = error.response ? error.response.status : null;
+    const retryable = status ? policy.retryStatuses.includes(status) : RETRYABLE_ERROR_CODES.includes(error.code);
+    if (!retryable) {
+        return null;
+    }
+
+    const backoff = policy.baseDelay * Math.pow(2, attempt - 1);
+    const retryAfter = status === 429 || status === 503 ? parseRetryAfter(error.response.headers["retry-after"]) : null;
+    return Math.min(retryAfter !== null ? retryAfter : backoff, policy.maxDelay);
+}
+
+/**
+ * GET a SuccessFactors URL through the shared client, retrying according to the retry policy
+ * @param {string} url - Path relative to the base URL, or an absolute __next URL
+ * @param {Object} options - Request options
+ * @param {Object} options.params - Query parameters (optional)
+ * @param {string} options.description - What is being fetched, for debug logging
+ * @param {Object} options.retryPolicy - Overrides for the default retry policy (optional)
+ * @returns {Promise<*>} - Response body
+ */
+async function getWithRetry(url, { params, description = url, retryPolicy = {} } = {}) {
+    const policy = { ...getDefaultRetryPolicy(), ...retryPolicy };
+    let lastError;
+
+    for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+        checkCircuit();
+
+        const startTime = Date.now();
+        try {
+            logger.debug(`Fetching ${description}`, { method: "GET", url, params, attempt });
+
+            const response = await getApiClient().get(url, { params });
+            recordApiRequest(response.status, (Date.now() - startTime) / 1000);
+            recordSuccess();
+            logger.debug(`Fetched ${description}`, { status: response.status, durationMs: Date.now() - startTime });
+            return response.data;
+        } catch (error) {
+            lastError = error;
+            recordApiRequest(error.response ? error.response.status : null, (Date.now() - startTime) / 1000);
+            recordFailure(error);
+
+            const delay = getRetryDelay(error, attempt, policy);
+            if (delay === null || attempt >= policy.attempts || circuit.state === "open") {
+                break;
+            }
+
+            recordApiRetry(error.response ? error.response.status : error.code);
+            logger.warn(
+                `Request failed (attempt ${attempt}/${policy.attempts}), retrying in ${delay}ms: ${error.message}`,
+                { url, status: error.response ? error.response.status : null, durationMs: Date.now() - startTime },
+            );
+            await sleep(delay);
+        }
+    }
+
+    // All retries exhausted
+    const errorMessage = lastError.response
+        ? `API Error ${lastError.response.status}: ${JSON.stringify(lastError.response.data)}`
+        : `Request Error: ${lastError.message}`;
+
+    const error = new Error(errorMessage);
+    error.code = API_ERROR_CODE;
+    error.status = lastError.response ? lastError.response.status : null;
+    throw error;
+}
+
+module.exports = {
+    CIRCUIT_OPEN_CODE,
+    API_ERROR_CODE,
+    getWithRetry,
+    getCircuitState,
+};
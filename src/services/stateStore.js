@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const { config } = require("../config");
+const logger = require("../utils/logger");
+
+/**
+ * Persisted sync state (high-water marks), stored as a small JSON file
+ *
+ * File layout:
+ * { "watermarks": { "<name>": { "lastModifiedDateTime": "ISO string", "updatedAt": "ISO string" } } }
+ */
+
+/**
+ * Read the state file
+ * @returns {Object} - State object
+ */
+function readState() {
+    try {
+        return JSON.parse(fs.readFileSync(config.state.file, "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            logger.warn(`Could not read state file ${config.state.file}: ${error.message}`);
+        }
+        return { watermarks: {} };
+    }
+}
+
+/**
+ * Write the state file atomically (temp file + rename)
+ * @param {Object} state - State object
+ */
+function writeState(state) {
+    const dir = path.dirname(config.state.file);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    const tempFile = `${config.state.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(tempFile, config.state.file);
+}
+
+/**
+ * Get a stored watermark
+ * @param {string} name - Watermark name
+ * @returns {Object|null} - { lastModifiedDateTime, updatedAt } or null if not set
+ */
+function getWatermark(name = "position") {
+    const state = readState();
+    return (state.watermarks && state.watermarks[name]) || null;
+}
+
+/**
+ * Store a watermark, never moving it backwards
+ * @param {string} value - ISO timestamp of the newest exported lastModifiedDateTime
+ * @param {string} name - Watermark name
+ * @returns {Object} - Stored watermark
+ */
+function advanceWatermark(value, name = "position") {
+    const state = readState();
+    state.watermarks = state.watermarks || {};
+    const current = state.watermarks[name];
+
+    if (current && new Date(current.lastModifiedDateTime) >= new Date(value)) {
+        return current;
+    }
+
+    state.watermarks[name] = { lastModifiedDateTime: value, updatedAt: new Date().toISOString() };
+    writeState(state);
+    logger.info(`Watermark '${name}' advanced to ${value}`);
+    return state.watermarks[name];
+}
+
+/**
+ * Reset a watermark, either clearing it or setting it to an explicit value
+ * @param {string|null} value - ISO timestamp to set, or null to clear
+ * @param {string} name - Watermark name
+ * @returns {Object|null} - Stored watermark, or null when cleared
+ */
+function resetWatermark(value = null, name = "position") {
+    const state = readState();
+    state.watermarks = state.watermarks || {};
+
+    if (value) {
+        state.watermarks[name] = { lastModifiedDateTime: value, updatedAt: new Date().toISOString() };
+    } else {
+        delete state.watermarks[name];
+    }
+
+    writeState(state);
+    logger.info(`Watermark '${name}' reset to ${value || "(none)"}`);
+    return state.watermarks[name] || null;
+}
+
+module.exports = {
+    getWatermark,
+    advanceWatermark,
+    resetWatermark,
+};
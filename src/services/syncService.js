@@ -0,0 +1,1030 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { config, validateConfig } = require("../config");
+const { fetchEntityPage, fetchEntityCount, fetchEntitySnapshotPage, filterByDepartment } = require("./sfApiService");
+const {
+    parseSFDate,
+    generateInsertIfNotExists,
+    generateHistoryStatements,
+    HISTORY_WRITE_MODES,
+    generateSoftDelete,
+    isRecordInactive,
+    generateSqlHeader,
+    generateSqlFooter,
+    isValidWriteMode,
+    WRITE_MODES,
+} = require("../utils/sqlGenerator");
+const { getDialect, hasDialect, listDialects, listHistoryDialects } = require("../utils/dialects");
+const { createSqlFileWriter } = require("../utils/sqlFileWriter");
+const { SQL_FORMAT, getFormat, hasFormat, listFormats } = require("../utils/formats");
+const { isValidDate, parseList, parseBoolean } = require("../utils/params");
+const { getEntity, hasEntity, listEntities, getHistoryEntity, listHistoryEntities } = require("../entities");
+const { APPLY_TARGETS, validateApplyConfig, openStatementApplier } = require("./dbApplyService");
+const { getWatermark, advanceWatermark } = require("./stateStore");
+const { createChangeTracker } = require("./changeTracker");
+const { REJECTS_FORMATS, createRecordValidator } = require("./recordValidator");
+const { recordSyncRecords } = require("./metrics");
+const logger = require("../utils/logger");
+
+/**
+ * Entity sync: fetch pages from SuccessFactors, filter, validate and write every output
+ *
+ * Shared by the HTTP server and its scheduler (src/index.js) and the command-line interface (src/cli.js).
+ */
+
+/**
+ * Ensure output directory exists
+ * @param {string} dir - Output directory
+ */
+function ensureOutputDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+        logger.info(`Created output directory: ${dir}`);
+    }
+}
+
+/**
+ * Sync modes
+ * - range: use the given startDate/endDate (default: last 24 hours)
+ * - incremental: start from the persisted watermark minus an overlap window
+ */
+const SYNC_MODES = ["range", "incremental"];
+
+/**
+ * Where the department filter runs
+ * - server: startswith() in the OData $filter
+ * - client: after each page is downloaded
+ * - auto: server, falling back to client if SuccessFactors rejects the query
+ */
+const FILTER_PUSHDOWN_MODES = ["auto", "server", "client"];
+
+/**
+ * Paging strategies
+ * - snapshot: server-side snapshot paging, following d.__next
+ * - offset: $top/$skip
+ * - auto: snapshot, falling back to offset if the entity does not support it
+ */
+const PAGING_MODES = ["auto", "snapshot", "offset"];
+
+/**
+ * Effective-dated range of history syncs without fromDate / toDate: every version
+ */
+const HISTORY_DATE_RANGE = { fromDate: "1900-01-01", toDate: "9999-12-31" };
+
+/**
+ * Upper bound for parallel page requests, to stay within SuccessFactors rate limits
+ */
+const MAX_PAGE_CONCURRENCY = 16;
+
+/**
+ * Convert a SuccessFactors date value to epoch milliseconds
+ * @param {string} sfDate - SuccessFactors date string
+ * @returns {number|null} - Epoch milliseconds or null
+ */
+function toEpochMillis(sfDate) {
+    const parsed = parseSFDate(sfDate);
+    return parsed ? Date.parse(`${parsed.replace(" ", "T")}Z`) : null;
+}
+
+/**
+ * Resolve the start date of an incremental sync from the persisted watermark
+ * @param {string} name - Watermark name (entity name)
+ * @returns {string|undefined} - Start date (yyyy-MM-ddTHH:mm:ss) or undefined if no watermark yet
+ */
+function resolveIncrementalStart(name) {
+    const watermark = getWatermark(name);
+    if (!watermark) {
+        logger.warn("No watermark stored yet, falling back to the default date range");
+        return undefined;
+    }
+
+    const overlapMs = config.sync.incrementalOverlapMinutes * 60 * 1000;
+    const start = new Date(new Date(watermark.lastModifiedDateTime).getTime() - overlapMs);
+    logger.info(
+        `Incremental sync from watermark ${watermark.lastModifiedDateTime} ` +
+            `(overlap ${config.sync.incrementalOverlapMinutes} min)`,
+    );
+    return start.toISOString().replace(/\.\d{3}Z$/, "");
+}
+
+/**
+ * Build a readable key for a record from the entity's key columns
+ * @param {Object} record - Record from API
+ * @param {Object} entity - Entity definition
+ * @returns {string} - Record key, e.g. 'P001' or 'CTEL01|/Date(...)/'
+ */
+function getRecordKey(record, entity) {
+    const columnToField = Object.fromEntries(
+        Object.entries(entity.fieldMapping).map(([field, column]) => [column, field]),
+    );
+    return entity.keyColumns.map((column) => record[columnToField[column]]).join("|");
+}
+
+/**
+ * Get the total number of records matching a query with $count, for tenants that ignore $inlinecount
+ * @param {Object} entity - Entity definition
+ * @param {string} startDate - Start date filter
+ * @param {string} endDate - End date filter
+ * @param {Object} queryOptions - Query options, see fetchEntityPage
+ * @returns {Promise<number|null>} - Total count, or null if it could not be determined (fetch sequentially)
+ */
+async function resolveTotalCount(entity, startDate, endDate, queryOptions) {
+    try {
+        const count = await fetchEntityCount(entity, startDate, endDate, queryOptions);
+        return isNaN(count) ? null : count;
+    } catch (error) {
+        logger.warn(`Could not count records, fetching pages sequentially: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Sync an entity with date range
+ * @param {string} entityName - Entity name (see src/entities)
+ * @param {string} startDate - Start date filter
+ * @param {string} endDate - End date filter
+ * @param {Object} options - Sync options
+ * @param {string} options.mode - Sync mode ('range' or 'incremental')
+ * @param {string} options.writeMode - Write mode ('insert', 'upsert' or 'update')
+ * @param {Array<string>} options.dialects - SQL dialects to generate files for
+ * @param {Array<string>} options.formats - Output formats ('sql' for the dialect files, 'csv', 'ndjson', 'xlsx')
+ * @param {boolean} options.csvBom - Start CSV files with a UTF-8 byte order mark
+ * @param {string|Array<string>} options.departmentFilter - Department prefix(es) to include
+ * @param {string|Array<string>} options.excludeDepartments - Department prefix(es) to exclude
+ * @param {Object} options.fieldFilters - Field equality filters, e.g. { effectiveStatus: "A", costCenter: ["CC1"] }
+ * @param {Array<string>} options.predicates - Predicates <field> eq|ne '<value>' added to $filter
+ * @param {string} options.filterPushdown - Where the department filter runs ('auto', 'server' or 'client')
+ * @param {string} options.pagingMode - Paging strategy ('auto', 'snapshot' or 'offset')
+ * @param {number} options.pageConcurrency - Pages fetched in parallel once the total count is known (offset paging)
+ * @param {boolean} options.apply - Execute the statements against the target database
+ * @param {string} options.applyTarget - Target database ('postgres' or 'oracle')
+ * @param {boolean} options.dryRun - Execute inside a transaction and roll back
+ * @param {boolean} options.trackChanges - Snapshot the records and write a change report
+ * @param {boolean} options.softDelete - Mark inactive, end-dated and out-of-filter records inactive in the SQL output
+ *   (with the department filter in the query, a second query finds the out-of-filter ones, see deactivateOutOfFilter)
+ * @param {boolean} options.validate - Check records against the entity's rules, writing failures to a rejects file
+ * @param {boolean} options.strict - Abort the sync if any record fails validation
+ * @param {string} options.rejectsFormat - Rejects file format ('json' or 'csv')
+ * @param {string} options.outputDir - Directory for the output and rejects files (default: OUTPUT_FILE's directory)
+ * @param {boolean} options.countOnly - Fetch, filter and validate, but write no file, snapshot, watermark or database
+ * @param {boolean} options.history - Fetch every effective-dated version into the entity's type 2 history table
+ * @param {string} options.fromDate - History syncs: first effective date of the versions (default 1900-01-01)
+ * @param {string} options.toDate - History syncs: last effective date of the versions (default 9999-12-31)
+ * @param {string} options.asOfDate - Fetch the versions effective on this date instead (default: today)
+ * @param {Object} options.job - Job handle for progress reporting and cancellation (optional)
+ * @returns {Object} - Sync result
+ */
+async function syncEntity(entityName, startDate, endDate, options = {}) {
+    const entity = options.history ? getHistoryEntity(entityName) : getEntity(entityName);
+    const {
+        mode = "range",
+        writeMode = config.sync.writeMode,
+        dialects = config.sync.dialects,
+        formats = config.sync.formats,
+        csvBom = config.sync.csvBom,
+        departmentFilter = config.sync.departmentFilter,
+        excludeDepartments = config.sync.departmentExclude,
+        fieldFilters = {},
+        predicates = [],
+        filterPushdown = config.sync.filterPushdown,
+        pagingMode = config.sync.pagingMode,
+        pageConcurrency = config.sync.pageConcurrency,
+        apply = false,
+        applyTarget = config.db.applyTarget,
+        dryRun = false,
+        trackChanges = config.snapshots.enabled,
+        softDelete = config.softDelete.enabled,
+        validate = config.validation.enabled,
+        strict = config.validation.strict,
+        rejectsFormat = config.validation.rejectsFormat,
+        outputDir = path.dirname(config.sync.outputFile),
+        countOnly = false,
+        history = false,
+        fromDate,
+        toDate,
+        asOfDate,
+        job = null,
+    } = options;
+    const runId = job ? job.id : crypto.randomUUID();
+    const recordFilter = {
+        departments: parseList(departmentFilter) || [],
+        excludeDepartments: parseList(excludeDepartments) || [],
+        fieldFilters,
+        predicates,
+    };
+    let effectiveDates = asOfDate ? { asOfDate } : null;
+    if (history && !asOfDate) {
+        effectiveDates = {
+            fromDate: fromDate || HISTORY_DATE_RANGE.fromDate,
+            toDate: toDate || HISTORY_DATE_RANGE.toDate,
+        };
+    }
+    const hasDepartmentFilter =
+        entity.departmentField && (recordFilter.departments.length > 0 || recordFilter.excludeDepartments.length > 0);
+    let pushDepartment = hasDepartmentFilter && filterPushdown !== "client";
+    const startTime = Date.now();
+    logger.info(`Starting SF ${entity.label} sync...`);
+    if (mode === "incremental") {
+        startDate = resolveIncrementalStart(entity.name);
+    }
+    logger.info(`Date range: ${startDate || "N/A"} to ${endDate || "N/A"}`);
+    if (effectiveDates) {
+        const { asOfDate: asOf, fromDate: from, toDate: to } = effectiveDates;
+        logger.info(
+            `Effective dates: ${asOf ? `as of ${asOf}` : `${from} to ${to}`}` +
+                (history ? `, history table ${entity.table}` : ""),
+        );
+    }
+    const includeDescription = recordFilter.departments.map((prefix) => `${prefix}*`).join(", ") || "*";
+    const excludeDescription = recordFilter.excludeDepartments.map((prefix) => `${prefix}*`).join(", ");
+    logger.info(
+        `Department filter: ${entity.departmentField ? includeDescription : "N/A"}` +
+            (excludeDescription ? `, excluding ${excludeDescription}` : "") +
+            (hasDepartmentFilter ? ` (${pushDepartment ? "server" : "client"}-side)` : ""),
+    );
+    logger.info(`Page size: ${config.sync.pageSize}, paging: ${pagingMode}, concurrency: ${pageConcurrency}`);
+    logger.info(`Write mode: ${writeMode}${softDelete ? ", soft delete" : ""}`);
+    logger.info(`Validation: ${validate ? `${entity.rules.length} rules${strict ? ", strict" : ""}` : "off"}`);
+    logger.info(countOnly ? "Count only: no output is written" : `Formats: ${formats.join(", ")}`);
+    const sqlDialects = formats.includes(SQL_FORMAT) && !countOnly ? dialects : [];
+    const exportFormats = countOnly ? [] : formats.filter((name) => name !== SQL_FORMAT);
+    if (sqlDialects.length > 0) {
+        logger.info(`Dialects: ${sqlDialects.join(", ")}`);
+    }
+
+    // Validate configuration
+    validateConfig();
+    if (apply) {
+        validateApplyConfig(applyTarget);
+    }
+
+    // Ensure output directory exists
+    if (!countOnly) {
+        ensureOutputDirectory(outputDir);
+    }
+
+    // Load the previous snapshot to report changes against
+    const changeTracker = trackChanges && !countOnly ? await createChangeTracker(entity, runId) : null;
+
+    // Open one writer per dialect and export format; output is appended as each page arrives
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const baseFileName = path.join(outputDir, `${entity.fileName}_${timestamp}`);
+    const writers = {};
+    const exportWriters = {};
+    for (const format of exportFormats) {
+        const { extension, createWriter } = getFormat(format);
+        exportWriters[format] = createWriter(`${baseFileName}.${extension}`, entity, { bom: csvBom });
+    }
+    for (const dbType of sqlDialects) {
+        writers[dbType] = createSqlFileWriter(
+            `${baseFileName}_${dbType}.sql`,
+            generateSqlHeader(startDate, endDate, dbType, {
+                writeMode,
+                departmentFilter: recordFilter.departments,
+                excludeDepartments: recordFilter.excludeDepartments,
+                entity,
+                softDelete,
+                effectiveDates,
+            }),
+        );
+    }
+
+    /**
+     * Generate the statements writing a record: a version of the history table (closing the one before it)
+     * or a row of the current table
+     * @param {Object} record - Record from API
+     * @param {string} dbType - Database type
+     * @param {string} recordWriteMode - Write mode of this record (default: the sync's write mode)
+     * @returns {Array<string>} - SQL statements
+     */
+    const generateRecordStatements = (record, dbType, recordWriteMode = writeMode) =>
+        history
+            ? generateHistoryStatements(record, dbType, recordWriteMode, entity)
+            : [generateInsertIfNotExists(record, dbType, recordWriteMode, entity, { softDelete })];
+    // A newer copy of an already written record replaces it: insert mode would leave the older copy in place, so
+    // it is written as an upsert, whose newer-than check keeps whichever copy is newest
+    const repeatWriteMode = writeMode === "insert" ? "upsert" : writeMode;
+
+    const validator = validate
+        ? createRecordValidator(entity, countOnly ? null : `${baseFileName}_rejects`, rejectsFormat)
+        : null;
+
+    // Statements to apply are collected per page and executed in the apply transaction, which stays open (and
+    // uncommitted) until the last page is written
+    const applyStatementList = [];
+    let applier = null;
+    const lastModifiedByKey = new Map(); // lastModified of every fetched key, to skip repeats that are not newer
+    let duplicatesSkipped = 0;
+    // Snapshot pages have to be followed one by one, so parallel fetching uses offset paging
+    let useSnapshot = pagingMode === "snapshot" || (pagingMode === "auto" && pageConcurrency === 1);
+    let nextUrl = null;
+    let totalCount = null; // Total matching records, known after the first offset page when fetching in parallel
+    const prefetchedPages = new Map(); // In-flight offset page requests by skip
+    let page = 1;
+    let skip = 0;
+    let totalFetched = 0;
+    let totalFiltered = 0;
+    const deactivated = { inactive: 0, outOfFilter: 0 }; // Soft-deleted records
+    let maxLastModified = null; // Newest lastModifiedDateTime seen, for the incremental watermark
+    let hasMoreData = true;
+    const outputFiles = {};
+    let rejectsFile = null;
+
+    /**
+     * Write the soft delete statements of records to every SQL file and the apply list
+     * @param {Array<Object>} records - Records to mark inactive
+     */
+    const writeSoftDeletes = (records) => {
+        for (const dbType of sqlDialects) {
+            writers[dbType].write(records.map((record) => generateSoftDelete(record, dbType, entity)));
+        }
+        if (apply && !countOnly) {
+            for (const record of records) {
+                applyStatementList.push({
+                    key: getRecordKey(record, entity),
+                    sql: generateSoftDelete(record, applyTarget, entity),
+                });
+            }
+        }
+    };
+
+    /**
+     * Execute the statements collected for the apply transaction
+     */
+    const flushApply = async () => {
+        if (applier && applyStatementList.length > 0) {
+            await applier.execute(applyStatementList.splice(0));
+        }
+    };
+
+    /**
+     * Filter, validate and write a page of records to every output
+     * @param {Array<Object>} records - Records from API, one per key
+     * @param {number} batch - Page number, for progress logging
+     * @param {Set<Object>} repeats - Records newer than a copy written from an earlier page
+     */
+    const writeRecords = (records, batch, repeats) => {
+        // Filter by department client-side unless the query already did
+        const filteredRecords =
+            hasDepartmentFilter && !pushDepartment
+                ? filterByDepartment(
+                      records,
+                      recordFilter.departments,
+                      entity.departmentField,
+                      recordFilter.excludeDepartments,
+                  )
+                : records;
+        const filteredCount = filteredRecords.length;
+        // Repeats were counted with their first copy
+        totalFiltered += filteredRecords.filter((record) => !repeats.has(record)).length;
+
+        // Leave out records that fail validation; they go to the rejects file
+        const validRecords = validator ? validator.validate(filteredRecords) : filteredRecords;
+        if (strict && validRecords.length < filteredRecords.length) {
+            const { rejected, rules } = validator.summary();
+            const file = validator.finish();
+            const error = new Error(
+                `Strict validation failed: ${rejected} record(s) rejected (${Object.keys(rules).join(", ")})` +
+                    (file ? `, see ${file}` : ""),
+            );
+            error.code = "VALIDATION_FAILED";
+            throw error;
+        }
+
+        // Soft delete records that came back inactive or end-dated, and records that no longer match the
+        // department filter (they may have been synced while they did)
+        let deactivatedRecords = [];
+        if (softDelete) {
+            const matching = new Set(filteredRecords);
+            const outOfFilter = records.filter((record) => !matching.has(record));
+            const inactive = validRecords.filter((record) => isRecordInactive(record, entity));
+            deactivated.inactive += inactive.length;
+            deactivated.outOfFilter += outOfFilter.length;
+            deactivatedRecords = [...inactive, ...outOfFilter];
+        }
+
+        // Append this batch's statements and records to every output file
+        for (const dbType of sqlDialects) {
+            writers[dbType].write(
+                validRecords.flatMap((record) =>
+                    generateRecordStatements(record, dbType, repeats.has(record) ? repeatWriteMode : writeMode),
+                ),
+            );
+        }
+        for (const writer of Object.values(exportWriters)) {
+            writer.write(validRecords);
+        }
+        if (changeTracker) {
+            changeTracker.track(validRecords);
+        }
+        if (apply && !countOnly) {
+            for (const record of validRecords) {
+                const key = getRecordKey(record, entity);
+                const recordWriteMode = repeats.has(record) ? repeatWriteMode : writeMode;
+                for (const sql of generateRecordStatements(record, applyTarget, recordWriteMode)) {
+                    applyStatementList.push({ key, sql });
+                }
+            }
+        }
+        writeSoftDeletes(deactivatedRecords);
+
+        // Log progress
+        logger.progress(batch, records.length, filteredCount, totalFiltered);
+        recordSyncRecords(entity.name, {
+            filtered: filteredCount,
+            written: validRecords.length,
+            rejected: filteredCount - validRecords.length,
+            deactivated: deactivatedRecords.length,
+        });
+        if (job) job.updateProgress({ totalFiltered });
+    };
+
+    /**
+     * Soft delete the records that left the department filter when the filter runs in the query: a second query
+     * fetches the records outside the filter, selecting only the fields a soft delete needs
+     * Every out-of-filter record modified in the date range gets an UPDATE. It only changes a row that is stored
+     * and still active, but a wide date range can add many statements; they are counted as outOfFilter.
+     * The query pages like the main one. If SuccessFactors rejects not(...) it asks for every department
+     * instead and filters client-side.
+     * @param {Map<string, number>} matchingKeys - Keys of the records matching the filter, which stay active
+     */
+    const deactivateOutOfFilter = async (matchingKeys) => {
+        const columns = [entity.lastModifiedColumn, entity.statusColumn, entity.endDateColumn, ...entity.keyColumns];
+        const softDeleteEntity = {
+            ...entity,
+            selectFields: entity.fields
+                .filter((field) => columns.includes(field.column) || field.sf === entity.departmentField)
+                .map((field) => field.sf),
+        };
+        let pushOutside = true; // not (<department filter>) in the query; false = filter client-side
+        const seenKeys = new Set();
+        let outsideNextUrl = null;
+        let offset = 0;
+        let firstPage = true;
+        let hasMore = true;
+        while (hasMore) {
+            if (job) job.throwIfCancelled();
+            const queryOptions = {
+                recordFilter: { ...recordFilter, outsideDepartments: true },
+                pushDepartment: pushOutside,
+                effectiveDates,
+            };
+            let results;
+            let pageNextUrl = null;
+            try {
+                if (useSnapshot) {
+                    ({ results, nextUrl: pageNextUrl } = await fetchEntitySnapshotPage(
+                        softDeleteEntity,
+                        outsideNextUrl,
+                        config.sync.pageSize,
+                        startDate,
+                        endDate,
+                        queryOptions,
+                    ));
+                } else {
+                    ({ results } = await fetchEntityPage(
+                        softDeleteEntity,
+                        config.sync.pageSize,
+                        offset,
+                        startDate,
+                        endDate,
+                        queryOptions,
+                    ));
+                }
+            } catch (error) {
+                if (firstPage && pushOutside && error.status === 400) {
+                    logger.warn(
+                        `Department filter negation rejected by SuccessFactors, filtering client-side: ${error.message}`,
+                    );
+                    pushOutside = false;
+                    continue;
+                }
+                throw error;
+            }
+            firstPage = false;
+            hasMore = useSnapshot ? Boolean(pageNextUrl) : results.length === config.sync.pageSize;
+            offset += results.length;
+            outsideNextUrl = pageNextUrl;
+
+            const inFilter = new Set(
+                pushOutside
+                    ? []
+                    : filterByDepartment(
+                          results,
+                          recordFilter.departments,
+                          entity.departmentField,
+                          recordFilter.excludeDepartments,
+                      ),
+            );
+            const records = results.filter((record) => {
+                const key = getRecordKey(record, entity);
+                if (inFilter.has(record) || matchingKeys.has(key) || seenKeys.has(key)) return false;
+                seenKeys.add(key);
+                return true;
+            });
+            deactivated.outOfFilter += records.length;
+            writeSoftDeletes(records);
+            await flushApply();
+            recordSyncRecords(entity.name, { deactivated: records.length });
+        }
+        logger.info(`Records outside the department filter: ${seenKeys.size}`);
+    };
+
+    try {
+        if (apply && !countOnly) {
+            applier = await openStatementApplier(applyTarget, { dryRun });
+        }
+
+        // Pagination loop
+        while (hasMoreData) {
+            // Stop between pages if the job was cancelled
+            if (job) job.throwIfCancelled();
+
+            // Fetch records from API with date range and record restrictions
+            const queryOptions = { recordFilter, pushDepartment, effectiveDates };
+            let records;
+            let pageNextUrl = null;
+            try {
+                if (useSnapshot) {
+                    const snapshotPage = await fetchEntitySnapshotPage(
+                        entity,
+                        nextUrl,
+                        config.sync.pageSize,
+                        startDate,
+                        endDate,
+                        queryOptions,
+                    );
+                    records = snapshotPage.results;
+                    pageNextUrl = snapshotPage.nextUrl;
+                } else {
+                    const offsetPage =
+                        prefetchedPages.get(skip) ||
+                        fetchEntityPage(entity, config.sync.pageSize, skip, startDate, endDate, {
+                            ...queryOptions,
+                            inlineCount: pageConcurrency > 1 && page === 1,
+                        });
+                    prefetchedPages.delete(skip);
+                    const { results, count } = await offsetPage;
+                    records = results;
+                    if (pageConcurrency > 1 && page === 1) {
+                        totalCount =
+                            count !== null ? count : await resolveTotalCount(entity, startDate, endDate, queryOptions);
+                        if (totalCount !== null) {
+                            logger.info(
+                                `Total matching records: ${totalCount}, fetching ${pageConcurrency} pages in parallel`,
+                            );
+                        }
+                    }
+                }
+            } catch (error) {
+                // Fallbacks only on the first page, so paging stays consistent for the whole run
+                if (page === 1 && error.status === 400) {
+                    // Some tenants reject startswith() in $filter; fall back to client-side filtering
+                    if (pushDepartment && filterPushdown === "auto") {
+                        logger.warn(
+                            `Department filter rejected by SuccessFactors, filtering client-side: ${error.message}`,
+                        );
+                        pushDepartment = false;
+                        continue;
+                    }
+                    // Not every entity supports snapshot paging; fall back to $top/$skip
+                    if (useSnapshot && pagingMode === "auto") {
+                        logger.warn(
+                            `Snapshot paging rejected by SuccessFactors, using offset paging: ${error.message}`,
+                        );
+                        useSnapshot = false;
+                        continue;
+                    }
+                }
+                throw error;
+            }
+            const fetchedCount = records.length;
+            totalFetched += fetchedCount;
+
+            // De-duplicate by key across pages: a record that shifted between pages is skipped, unless it changed
+            // in between; the newer copy then replaces the one already written (see repeatWriteMode)
+            const uniqueRecords = [];
+            const repeats = new Set();
+            for (const record of records) {
+                const key = getRecordKey(record, entity);
+                const lastModified = toEpochMillis(record[entity.lastModifiedField]);
+                if (lastModified !== null && (maxLastModified === null || lastModified > maxLastModified)) {
+                    maxLastModified = lastModified;
+                }
+
+                if (lastModifiedByKey.has(key)) {
+                    if (!(lastModified > lastModifiedByKey.get(key))) {
+                        duplicatesSkipped++;
+                        continue;
+                    }
+                    repeats.add(record);
+                }
+                lastModifiedByKey.set(key, lastModified);
+                uniqueRecords.push(record);
+            }
+
+            logger.info(`Page ${page}: Fetched ${fetchedCount} records`);
+            recordSyncRecords(entity.name, { fetched: fetchedCount });
+            if (job) job.updateProgress({ page, totalFetched });
+
+            // Filter, validate and append the page to every output
+            writeRecords(uniqueRecords, page, repeats);
+            await flushApply();
+
+            // Check if more data available: follow __next in snapshot paging, short page (or the known total)
+            // ends offset paging
+            const reachedEnd = useSnapshot
+                ? !pageNextUrl
+                : fetchedCount < config.sync.pageSize ||
+                  (totalCount !== null && skip + config.sync.pageSize >= totalCount);
+            if (reachedEnd) {
+                hasMoreData = false;
+                logger.info("Reached end of data");
+            } else {
+                page++;
+                skip += config.sync.pageSize;
+                nextUrl = pageNextUrl;
+
+                // Keep up to pageConcurrency pages in flight; pages are still processed in order
+                if (totalCount !== null) {
+                    const lastSkip = Math.min(totalCount, skip + pageConcurrency * config.sync.pageSize);
+                    for (let ahead = skip; ahead < lastSkip; ahead += config.sync.pageSize) {
+                        if (!prefetchedPages.has(ahead)) {
+                            const pageRequest = fetchEntityPage(
+                                entity,
+                                config.sync.pageSize,
+                                ahead,
+                                startDate,
+                                endDate,
+                                queryOptions,
+                            );
+                            // Awaited when its turn comes; don't let an early failure go unhandled meanwhile
+                            pageRequest.catch(() => {});
+                            prefetchedPages.set(ahead, pageRequest);
+                        }
+                    }
+                }
+            }
+        }
+
+        // Client-side filtering already soft deleted the records outside the filter
+        if (softDelete && pushDepartment) {
+            await deactivateOutOfFilter(lastModifiedByKey);
+        }
+
+        if (job) job.throwIfCancelled();
+
+        if (duplicatesSkipped > 0) {
+            logger.warn(`Skipped ${duplicatesSkipped} duplicate records returned on more than one page`);
+        }
+
+        // All pages fetched: complete the files and move them to their final names
+        for (const dbType of sqlDialects) {
+            const writer = writers[dbType];
+            outputFiles[dbType] = writer.finish(generateSqlFooter(writer.statementCount));
+        }
+        for (const [format, writer] of Object.entries(exportWriters)) {
+            outputFiles[format] = await writer.finish();
+        }
+        if (validator) {
+            rejectsFile = validator.finish();
+        }
+    } catch (error) {
+        // Never leave partial output behind
+        for (const writer of [...Object.values(writers), ...Object.values(exportWriters), validator]) {
+            if (writer) writer.abort();
+        }
+        if (applier) await applier.abort();
+        throw error;
+    }
+
+    const totalDeactivated = deactivated.inactive + deactivated.outOfFilter;
+    const validation = validator ? { ...validator.summary(), rejectsFile } : null;
+    const totalRejected = validation ? validation.rejected : 0;
+    // Every dialect file holds the same statements
+    const sqlStatementsGenerated = sqlDialects.length > 0 ? writers[sqlDialects[0]].statementCount : 0;
+
+    // Store the snapshot and change report; the output files are complete either way
+    let changes = null;
+    if (changeTracker) {
+        try {
+            changes = { ...changeTracker.finish(), reportUrl: `/api/sync/${runId}/changes` };
+        } catch (error) {
+            logger.error(`Failed to write change report: ${error.message}`);
+            changes = { runId, error: error.message };
+        }
+    }
+
+    // Apply statements directly to the target database
+    let applyResult = null;
+    if (applier) {
+        applyResult = await applier.finish();
+    }
+    const success = !applyResult || applyResult.failures.length === 0;
+
+    // Advance the watermark only after a successful incremental export
+    let watermark = null;
+    if (mode === "incremental") {
+        watermark = getWatermark(entity.name);
+        if (success && maxLastModified !== null && !countOnly && !(applyResult && applyResult.dryRun)) {
+            watermark = advanceWatermark(new Date(maxLastModified).toISOString(), entity.name);
+        }
+    }
+
+    // Summary
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logger.info("========================================");
+    logger.info(success ? "Sync completed successfully!" : "Sync completed with apply failures!");
+    logger.info(`Total records fetched from API: ${totalFetched}`);
+    logger.info(`Total records matching filter: ${totalFiltered}`);
+    if (validation) {
+        logger.info(
+            `Records rejected by validation: ${totalRejected}` +
+                (totalRejected > 0 ? ` (${JSON.stringify(validation.rules)}), see ${rejectsFile}` : ""),
+        );
+    }
+    if (softDelete) {
+        logger.info(
+            `Records deactivated: ${totalDeactivated} (${deactivated.inactive} inactive or end-dated, ` +
+                `${deactivated.outOfFilter} outside the department filter)`,
+        );
+    }
+    logger.info(`SQL statements generated: ${sqlStatementsGenerated}`);
+    for (const [name, outputFile] of Object.entries(outputFiles)) {
+        logger.info(
+            `${hasDialect(name) ? `${getDialect(name).label} SQL` : getFormat(name).label} file: ${outputFile}`,
+        );
+    }
+    if (applyResult) {
+        logger.info(
+            `Applied to ${applyTarget}: ${applyResult.executed}/${applyResult.total} statements, ` +
+                (applyResult.committed ? "committed" : "rolled back"),
+        );
+    }
+    logger.info(`Duration: ${duration}s`);
+    logger.info("========================================");
+
+    return {
+        success,
+        runId,
+        entity: entity.name,
+        mode,
+        startDate: startDate || null,
+        endDate: endDate || null,
+        totalFetched,
+        totalFiltered,
+        countOnly,
+        history,
+        effectiveDates,
+        sqlStatementsGenerated,
+        validation,
+        deactivated: softDelete ? { total: totalDeactivated, ...deactivated } : null,
+        writeMode,
+        filterPushdown: hasDepartmentFilter ? (pushDepartment ? "server" : "client") : null,
+        pagingMode: useSnapshot ? "snapshot" : "offset",
+        pageConcurrency: useSnapshot || totalCount === null ? 1 : pageConcurrency,
+        pages: page,
+        duplicatesSkipped,
+        outputFiles,
+        apply: applyResult,
+        watermark,
+        changes,
+        duration: `${duration}s`,
+    };
+}
+
+/**
+ * Parse a filter predicate of the form <field> eq|ne '<value>' (quotes in the value doubled, as in OData)
+ * @param {any} filter - Predicate from the request
+ * @param {Object} entity - Entity definition; the field must be one of its selectFields
+ * @returns {string|null} - Normalized OData predicate, or null if the predicate is not accepted
+ */
+function parseFilterPredicate(filter, entity) {
+    const match = typeof filter === "string" && filter.match(/^\s*(\w+)\s+(eq|ne)\s+'((?:[^']|'')*)'\s*$/);
+    if (!match || !entity.selectFields.includes(match[1])) {
+        return null;
+    }
+    const [, field, operator, literal] = match;
+    return `${field} ${operator} '${literal}'`;
+}
+
+/**
+ * Check that a field filter value suits the field's mapped type
+ * @param {string|number|boolean} value - Value from the request
+ * @param {string} type - Field type: string, number, date or boolean
+ * @returns {boolean} - True if the value can be compared with the field
+ */
+function isFieldFilterValue(value, type) {
+    if (type === "number") {
+        return value !== "" && Number.isFinite(Number(value));
+    }
+    if (type === "boolean") {
+        return [true, false, "true", "false"].includes(value);
+    }
+    if (type === "date") {
+        return typeof value === "string" && isValidDate(value);
+    }
+    return true;
+}
+
+/**
+ * Parse and validate sync options from request parameters (body or query)
+ * @param {Object} params - Request parameters
+ * @returns {{options: Object}|{error: string}} - Parsed options or validation error
+ */
+function parseSyncOptions(params) {
+    const {
+        entity = "position",
+        startDate,
+        endDate,
+        mode = "range",
+        writeMode = config.sync.writeMode,
+        applyTarget = config.db.applyTarget,
+        departmentFilter = config.sync.departmentFilter,
+        excludeDepartments = config.sync.departmentExclude,
+        filterPushdown = config.sync.filterPushdown,
+        pagingMode = config.sync.pagingMode,
+    } = params;
+    const pageConcurrency =
+        params.pageConcurrency !== undefined ? Number(params.pageConcurrency) : config.sync.pageConcurrency;
+    const filters = params.filter ? [].concat(params.filter) : [];
+    const dialects = parseList(params.dialects) || config.sync.dialects;
+    const formats = parseList(params.formats) || config.sync.formats;
+    const csvBom = params.csvBom !== undefined ? parseBoolean(params.csvBom) : config.sync.csvBom;
+    const apply = parseBoolean(params.apply);
+    const dryRun = parseBoolean(params.dryRun);
+    const countOnly = parseBoolean(params.countOnly);
+    const trackChanges =
+        params.trackChanges !== undefined ? parseBoolean(params.trackChanges) : config.snapshots.enabled;
+    const softDelete = params.softDelete !== undefined ? parseBoolean(params.softDelete) : config.softDelete.enabled;
+    const validate = params.validate !== undefined ? parseBoolean(params.validate) : config.validation.enabled;
+    const strict = params.strict !== undefined ? parseBoolean(params.strict) : config.validation.strict;
+    const rejectsFormat = params.rejectsFormat || config.validation.rejectsFormat;
+    const history = parseBoolean(params.history);
+    const { fromDate, toDate, asOfDate } = params;
+
+    if (!hasEntity(entity)) {
+        return { error: `Invalid entity. Use one of: ${listEntities().join(", ")}` };
+    }
+
+    // Only simple comparisons of the entity's own fields reach $filter
+    const predicates = filters.map((filter) => parseFilterPredicate(filter, getEntity(entity)));
+    const invalidFilter = filters.find((filter, index) => predicates[index] === null);
+    if (invalidFilter !== undefined) {
+        return { error: `Invalid filter: ${invalidFilter}. Use <field> eq|ne '<value>' with a field of the entity` };
+    }
+
+    // Validate dates
+    if (!isValidDate(startDate)) {
+        return { error: "Invalid startDate format. Use yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss" };
+    }
+    if (!isValidDate(endDate)) {
+        return { error: "Invalid endDate format. Use yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss" };
+    }
+    if (!SYNC_MODES.includes(mode)) {
+        return { error: `Invalid mode. Use one of: ${SYNC_MODES.join(", ")}` };
+    }
+    if (mode === "incremental" && startDate) {
+        return { error: "startDate cannot be combined with incremental mode" };
+    }
+    if (!isValidWriteMode(writeMode)) {
+        return { error: `Invalid writeMode. Use one of: ${WRITE_MODES.join(", ")}` };
+    }
+    if (dialects.length === 0 || !dialects.every(hasDialect)) {
+        return { error: `Invalid dialects. Use one or more of: ${listDialects().join(", ")}` };
+    }
+    if (formats.length === 0 || !formats.every((format) => format === SQL_FORMAT || hasFormat(format))) {
+        return { error: `Invalid formats. Use one or more of: ${[SQL_FORMAT, ...listFormats()].join(", ")}` };
+    }
+    if (!FILTER_PUSHDOWN_MODES.includes(filterPushdown)) {
+        return { error: `Invalid filterPushdown. Use one of: ${FILTER_PUSHDOWN_MODES.join(", ")}` };
+    }
+
+    if (!REJECTS_FORMATS.includes(rejectsFormat)) {
+        return { error: `Invalid rejectsFormat. Use one of: ${REJECTS_FORMATS.join(", ")}` };
+    }
+    if (strict && !validate) {
+        return { error: "strict needs validation to be enabled" };
+    }
+
+    if (!PAGING_MODES.includes(pagingMode)) {
+        return { error: `Invalid pagingMode. Use one of: ${PAGING_MODES.join(", ")}` };
+    }
+    if (!Number.isInteger(pageConcurrency) || pageConcurrency < 1 || pageConcurrency > MAX_PAGE_CONCURRENCY) {
+        return { error: `Invalid pageConcurrency. Use a whole number from 1 to ${MAX_PAGE_CONCURRENCY}` };
+    }
+
+    // Field filters come as an object (POST body) or a JSON string (query string)
+    let fieldFilters = params.fieldFilters || {};
+    if (typeof fieldFilters === "string") {
+        try {
+            fieldFilters = JSON.parse(fieldFilters);
+        } catch (error) {
+            return { error: 'Invalid fieldFilters. Use a JSON object such as {"effectiveStatus":"A"}' };
+        }
+    }
+    const isFilterValue = (value) => ["string", "number", "boolean"].includes(typeof value);
+    if (
+        typeof fieldFilters !== "object" ||
+        Array.isArray(fieldFilters) ||
+        !Object.entries(fieldFilters).every(
+            ([field, value]) =>
+                /^\w+$/.test(field) && (isFilterValue(value) || (Array.isArray(value) && value.every(isFilterValue))),
+        )
+    ) {
+        return { error: "Invalid fieldFilters. Map field names to a value or a list of values" };
+    }
+    // Checked here so a typo is a 400, not a SuccessFactors error in the middle of the sync
+    for (const [name, value] of Object.entries(fieldFilters)) {
+        const field = getEntity(entity).fields.find((candidate) => candidate.sf === name);
+        if (!field) {
+            return { error: `Invalid fieldFilters. ${name} is not a field of ${entity}` };
+        }
+        const invalid = [].concat(value).find((v) => !isFieldFilterValue(v, field.type));
+        if (invalid !== undefined) {
+            return { error: `Invalid fieldFilters. ${name} takes ${field.type} values, not ${invalid}` };
+        }
+    }
+
+    if (countOnly && (apply || dryRun)) {
+        return { error: "countOnly cannot be combined with apply or dryRun" };
+    }
+    if ((apply || dryRun) && !APPLY_TARGETS.includes(applyTarget)) {
+        return { error: `Invalid applyTarget. Use one of: ${APPLY_TARGETS.join(", ")}` };
+    }
+
+    // Effective dating: SuccessFactors takes plain dates
+    for (const [name, value] of Object.entries({ fromDate, toDate, asOfDate })) {
+        if (value !== undefined && !(/^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDate(value))) {
+            return { error: `Invalid ${name} format. Use yyyy-MM-dd` };
+        }
+    }
+    if ((fromDate || toDate) && !history) {
+        return { error: "fromDate and toDate need history mode, use asOfDate for a single day" };
+    }
+    if (asOfDate && (fromDate || toDate)) {
+        return { error: "asOfDate cannot be combined with fromDate or toDate" };
+    }
+    if (fromDate && toDate && fromDate > toDate) {
+        return { error: "fromDate must not be after toDate" };
+    }
+    if (history) {
+        const historyDialects = listHistoryDialects();
+        if (!listHistoryEntities().includes(entity)) {
+            return {
+                error: `History needs an effective-dated entity. Use one of: ${listHistoryEntities().join(", ")}`,
+            };
+        }
+        if (!HISTORY_WRITE_MODES.includes(writeMode)) {
+            return { error: `Invalid writeMode for history. Use one of: ${HISTORY_WRITE_MODES.join(", ")}` };
+        }
+        if (softDelete) {
+            return { error: "history cannot be combined with softDelete: end-dated versions stay in the history" };
+        }
+        if (formats.includes(SQL_FORMAT) && !dialects.every((name) => historyDialects.includes(name))) {
+            return { error: `Invalid dialects for history. Use one or more of: ${historyDialects.join(", ")}` };
+        }
+        if ((apply || dryRun) && !historyDialects.includes(applyTarget)) {
+            return { error: `Invalid applyTarget for history. Use one of: ${historyDialects.join(", ")}` };
+        }
+    }
+
+    return {
+        options: {
+            entity,
+            startDate,
+            endDate,
+            mode,
+            writeMode,
+            dialects,
+            formats,
+            csvBom,
+            departmentFilter,
+            excludeDepartments,
+            fieldFilters,
+            predicates,
+            filterPushdown,
+            pagingMode,
+            pageConcurrency,
+            trackChanges,
+            softDelete,
+            validate,
+            strict,
+            rejectsFormat,
+            apply: apply || dryRun,
+            applyTarget,
+            dryRun,
+            countOnly,
+            history,
+            fromDate,
+            toDate,
+            asOfDate,
+        },
+    };
+}
+
+module.exports = {
+    syncEntity,
+    parseSyncOptions,
+};
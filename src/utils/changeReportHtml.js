@@ -0,0 +1,104 @@
+/**
+ * Render a change report as a self-contained HTML page
+ */
+
+/**
+ * Escape text for HTML
+ * @param {any} value - Value to escape
+ * @returns {string} - Escaped text ('' for null)
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return "";
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Render a value, marking empty ones
+ * @param {any} value - Value
+ * @returns {string} - HTML
+ */
+function renderValue(value) {
+    return value === null || value === undefined || value === ""
+        ? '<span class="empty">(empty)</span>'
+        : escapeHtml(value);
+}
+
+/**
+ * Render an HTML table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cells (already HTML)
+ * @returns {string} - HTML table, or a note when there are no rows
+ */
+function renderTable(headers, rows) {
+    if (rows.length === 0) {
+        return '<p class="empty">None</p>';
+    }
+    const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("");
+    const body = rows.map((cells) => `<tr>${cells.map((cell) => `<td>${cell}</td>`).join("")}</tr>`).join("\n");
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+/**
+ * Render a change report
+ * @param {Object} report - Change report (see changeTracker)
+ * @returns {string} - HTML page
+ */
+function renderChangeReportHtml(report) {
+    const { summary } = report;
+
+    const changedRows = [];
+    for (const { key, changes } of report.changed) {
+        changes.forEach((change, index) => {
+            changedRows.push([
+                index === 0 ? escapeHtml(key) : "",
+                escapeHtml(change.column),
+                renderValue(change.old),
+                renderValue(change.new),
+            ]);
+        });
+    }
+
+    const addedColumns = report.added.length > 0 ? Object.keys(report.added[0].row) : [];
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.label)} changes - ${escapeHtml(report.generatedAt)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 2em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f0f0f0; }
+.empty { color: #999; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.label)} changes</h1>
+<p>Run ${escapeHtml(report.runId)}, generated ${escapeHtml(report.generatedAt)}, table ${escapeHtml(report.table)}.<br>
+${report.previousRunId ? `Compared with run ${escapeHtml(report.previousRunId)}.` : "No previous snapshot: every record is new."}</p>
+<p><strong>${summary.added}</strong> added, <strong>${summary.changed}</strong> changed,
+<strong>${summary.inactivated}</strong> inactivated, ${summary.unchanged} fetched without changes.</p>
+
+<h2>Inactivated (${summary.inactivated})</h2>
+${renderTable(
+    ["Key", "Old status", "New status"],
+    report.inactivated.map(({ key, status }) => [escapeHtml(key), renderValue(status.old), renderValue(status.new)]),
+)}
+
+<h2>Changed (${summary.changed})</h2>
+${renderTable(["Key", "Column", "Old value", "New value"], changedRows)}
+
+<h2>Added (${summary.added})</h2>
+${renderTable(
+    addedColumns,
+    report.added.map(({ row }) => addedColumns.map((column) => renderValue(row[column]))),
+)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderChangeReportHtml,
+};
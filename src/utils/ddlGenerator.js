@@ -0,0 +1,55 @@
+const { config } = require("../config");
+const { getDialect } = require("./dialects");
+
+/**
+ * Generate CREATE TABLE DDL for an entity from its typed field mapping
+ * History entities (see getHistoryEntity) get the type 2 validity columns and no soft delete columns
+ * @param {Object} entity - Entity definition
+ * @param {string} dbType - Database type (registered dialect name)
+ * @param {Object} options - DDL options
+ * @param {boolean} options.softDelete - Add the active flag and deactivation timestamp columns
+ * @returns {string} - SQL DDL statement
+ */
+function generateCreateTable(entity, dbType, options = {}) {
+    const { softDelete = config.softDelete.enabled } = options;
+    const fields = [...entity.fields];
+    if (entity.history) {
+        fields.push(
+            { column: config.scd2.validFromColumn, type: "date", nullable: false },
+            { column: config.scd2.validToColumn, type: "date", nullable: true },
+            { column: config.scd2.currentColumn, type: "boolean", nullable: false },
+        );
+    } else if (softDelete) {
+        fields.push(
+            { column: config.softDelete.activeColumn, type: "boolean", nullable: true },
+            { column: config.softDelete.deactivatedAtColumn, type: "date", nullable: true },
+        );
+    }
+
+    return getDialect(dbType).generateCreateTable({
+        table: entity.table,
+        keyColumns: entity.keyColumns,
+        fields,
+    });
+}
+
+/**
+ * Generate a DDL script for several entities and dialects
+ * @param {Array<Object>} entities - Entity definitions
+ * @param {Array<string>} dialects - Database types (registered dialect names)
+ * @param {Object} options - DDL options, see generateCreateTable
+ * @returns {string} - SQL script with one section per dialect
+ */
+function generateDdlScript(entities, dialects, options = {}) {
+    return dialects
+        .map((dbType) => {
+            const statements = entities.map((entity) => generateCreateTable(entity, dbType, options));
+            return `-- ${getDialect(dbType).label}\n\n${statements.join("\n\n")}\n`;
+        })
+        .join("\n");
+}
+
+module.exports = {
+    generateCreateTable,
+    generateDdlScript,
+};
@@ -0,0 +1,212 @@
+/**
+ * Shared building blocks for SQL dialects
+ */
+
+/**
+ * Column length used for string fields that do not declare one
+ */
+const DEFAULT_STRING_LENGTH = 255;
+
+/**
+ * Escape single quotes in SQL string values
+ * @param {string} value - String value to escape
+ * @returns {string} - Escaped string
+ */
+function escapeSqlString(value) {
+    if (value === null || value === undefined) return null;
+    return String(value).replace(/'/g, "''");
+}
+
+/**
+ * Quote a string literal using standard SQL quoting
+ * @param {string} value - String value to quote
+ * @returns {string} - Quoted string literal
+ */
+function quoteStandardString(value) {
+    return `'${escapeSqlString(value)}'`;
+}
+
+/**
+ * Build the condition that only lets a newer record overwrite the stored one
+ * @param {Object} ctx - Statement context
+ * @param {string} targetAlias - Alias/table name of the stored row
+ * @param {string} sourceValue - SQL expression of the incoming last-modified timestamp
+ * @returns {string} - SQL condition
+ */
+function buildNewerCondition(ctx, targetAlias, sourceValue) {
+    const column = `${targetAlias}.${ctx.lastModifiedColumn}`;
+    return `${column} IS NULL OR ${column} < ${sourceValue}`;
+}
+
+/**
+ * Get the columns that may be updated (every column except the keys)
+ * @param {Object} ctx - Statement context
+ * @returns {Array<string>} - Updatable column names
+ */
+function getUpdateColumns(ctx) {
+    return ctx.columns.filter((col) => !ctx.keyColumns.includes(col));
+}
+
+/**
+ * Build the select list of a MERGE source row: key columns plus the last-modified column
+ * @param {Object} ctx - Statement context
+ * @returns {string} - SQL select list
+ */
+function buildSourceSelect(ctx) {
+    const columns = [...ctx.keyColumns];
+    if (!columns.includes(ctx.lastModifiedColumn)) {
+        columns.push(ctx.lastModifiedColumn);
+    }
+    return columns.map((col) => `${ctx.values[col]} AS ${col}`).join(", ");
+}
+
+/**
+ * Build the MERGE join condition on the key columns
+ * @param {Object} ctx - Statement context
+ * @returns {string} - SQL condition
+ */
+function buildKeyJoin(ctx) {
+    return ctx.keyColumns.map((col) => `target.${col} = source.${col}`).join(" AND ");
+}
+
+/**
+ * Build a plain INSERT statement body (without trailing semicolon)
+ * @param {Object} ctx - Statement context
+ * @param {string} verb - Insert verb, e.g. 'INSERT' or 'INSERT OR IGNORE'
+ * @returns {string} - SQL INSERT statement
+ */
+function buildInsert(ctx, verb = "INSERT") {
+    const insertColumns = ctx.columns.join(", ");
+    const insertValues = ctx.columns.map((col) => ctx.values[col]).join(", ");
+    return `${verb} INTO ${ctx.table} (${insertColumns})
+VALUES (${insertValues})`;
+}
+
+/**
+ * Build an UPDATE statement that only applies when the incoming record is newer
+ * @param {Object} ctx - Statement context
+ * @returns {string} - SQL UPDATE statement
+ */
+function buildUpdate(ctx) {
+    const updateSet = getUpdateColumns(ctx)
+        .map((col) => `${col} = ${ctx.values[col]}`)
+        .join(",\n    ");
+
+    return `UPDATE ${ctx.table} SET
+    ${updateSet}
+WHERE ${ctx.keyColumns.map((col) => `${col} = ${ctx.values[col]}`).join(" AND ")}
+  AND (${buildNewerCondition(ctx, ctx.table, ctx.values[ctx.lastModifiedColumn])});`;
+}
+
+/**
+ * Build an UPDATE statement that marks a stored row inactive, unless it already is
+ * @param {Object} ctx - Soft delete context { table, keyColumns, activeColumn, deactivatedAtColumn, values }
+ * @returns {string} - SQL UPDATE statement
+ */
+function buildSoftDelete(ctx) {
+    const { activeColumn, deactivatedAtColumn, values } = ctx;
+    return `UPDATE ${ctx.table} SET
+    ${activeColumn} = ${values[activeColumn]},
+    ${deactivatedAtColumn} = ${values[deactivatedAtColumn]}
+WHERE ${ctx.keyColumns.map((col) => `${col} = ${values[col]}`).join(" AND ")}
+  AND (${activeColumn} IS NULL OR ${activeColumn} <> ${values[activeColumn]});`;
+}
+
+/**
+ * Build the subquery finding the start of the next stored version of a history row (NULL if none)
+ * @param {Object} ctx - History statement context (statement context plus businessKeyColumns,
+ *   effectiveStartColumn, validFromColumn, validToColumn, currentColumn)
+ * @returns {string} - SQL scalar subquery
+ */
+function buildNextVersionStart(ctx) {
+    const start = ctx.effectiveStartColumn;
+    const conditions = [
+        ...ctx.businessKeyColumns.map((col) => `${col} = ${ctx.values[col]}`),
+        `${start} > ${ctx.values[start]}`,
+    ];
+    return `(SELECT MIN(${start}) FROM ${ctx.table} WHERE ${conditions.join(" AND ")})`;
+}
+
+/**
+ * Build the current flag of a version: only the latest version (no next start) is current
+ * @param {string} nextStart - SQL expression of the next version's start
+ * @param {Function} formatBoolean - (value) => dialect boolean literal
+ * @returns {string} - SQL expression
+ */
+function buildCurrentFlag(nextStart, formatBoolean) {
+    return `CASE WHEN ${nextStart} IS NULL THEN ${formatBoolean(true)} ELSE ${formatBoolean(false)} END`;
+}
+
+/**
+ * Extend a history statement context with the validity columns of the incoming version:
+ * valid from its effective start, valid to the next version's start
+ * @param {Object} ctx - History statement context
+ * @param {string} nextStart - SQL expression of the next version's start
+ * @param {Function} formatBoolean - (value) => dialect boolean literal
+ * @returns {Object} - Statement context including the validity columns
+ */
+function buildVersionContext(ctx, nextStart, formatBoolean) {
+    const { validFromColumn, validToColumn, currentColumn } = ctx;
+    return {
+        ...ctx,
+        columns: [...ctx.columns, validFromColumn, validToColumn, currentColumn],
+        values: {
+            ...ctx.values,
+            [validFromColumn]: ctx.values[ctx.effectiveStartColumn],
+            [validToColumn]: nextStart,
+            [currentColumn]: buildCurrentFlag(nextStart, formatBoolean),
+        },
+    };
+}
+
+/**
+ * Build the UPDATE closing the stored version that the incoming one follows: its validity ends
+ * where the incoming version starts and it is no longer current
+ * @param {Object} ctx - History statement context
+ * @param {Function} formatBoolean - (value) => dialect boolean literal
+ * @returns {string} - SQL UPDATE statement
+ */
+function buildHistoryClose(ctx, formatBoolean) {
+    const { effectiveStartColumn: start, validToColumn, currentColumn, values } = ctx;
+    const startValue = values[start];
+    return `UPDATE ${ctx.table} SET
+    ${validToColumn} = ${startValue},
+    ${currentColumn} = ${formatBoolean(false)}
+WHERE ${[...ctx.businessKeyColumns.map((col) => `${col} = ${values[col]}`), `${start} < ${startValue}`].join(" AND ")}
+  AND (${validToColumn} IS NULL OR ${validToColumn} > ${startValue});`;
+}
+
+/**
+ * Build a CREATE TABLE statement from typed fields
+ * @param {Object} ctx - DDL context { table, keyColumns, fields }
+ * @param {Function} columnType - (field) => dialect column type
+ * @returns {string} - SQL DDL statement
+ */
+function buildCreateTable(ctx, columnType) {
+    const columnDefinitions = ctx.fields.map((field) => {
+        const notNull = !field.nullable || ctx.keyColumns.includes(field.column);
+        return `${field.column} ${columnType(field)}${notNull ? " NOT NULL" : ""}`;
+    });
+    columnDefinitions.push(`PRIMARY KEY (${ctx.keyColumns.join(", ")})`);
+
+    return `CREATE TABLE ${ctx.table} (
+    ${columnDefinitions.join(",\n    ")}
+);`;
+}
+
+module.exports = {
+    DEFAULT_STRING_LENGTH,
+    escapeSqlString,
+    quoteStandardString,
+    buildNewerCondition,
+    getUpdateColumns,
+    buildSourceSelect,
+    buildKeyJoin,
+    buildInsert,
+    buildUpdate,
+    buildSoftDelete,
+    buildNextVersionStart,
+    buildVersionContext,
+    buildHistoryClose,
+    buildCreateTable,
+};
@@ -0,0 +1,96 @@
+/**
+ * SQL dialect registry
+ *
+ * A dialect is an object with:
+ * - name: registry key, also used in output file names
+ * - label: human readable name
+ * - quoteString(value): quote a string literal
+ * - formatTimestamp(timestamp): format a 'YYYY-MM-DD HH:MI:SS.mmm' timestamp literal
+ * - formatBoolean(value): format a boolean literal
+ * - generateStatement(ctx, writeMode): build one SQL statement from a statement context
+ * - generateSoftDelete(ctx): build the statement marking a stored row inactive
+ * - generateHistoryStatements(ctx, writeMode): optional, build the statements writing one version to a
+ *   type 2 history table (history syncs are only available in dialects defining it)
+ * - columnType(field): column type of a typed field
+ * - generateCreateTable(ctx): build CREATE TABLE DDL from a DDL context
+ */
+const dialects = new Map();
+
+/**
+ * Properties every dialect must define
+ */
+const REQUIRED_PROPERTIES = [
+    "name",
+    "quoteString",
+    "formatTimestamp",
+    "formatBoolean",
+    "generateStatement",
+    "generateSoftDelete",
+    "columnType",
+    "generateCreateTable",
+];
+
+/**
+ * Register a SQL dialect
+ * @param {Object} dialect - Dialect definition
+ */
+function registerDialect(dialect) {
+    for (const key of REQUIRED_PROPERTIES) {
+        if (!dialect[key]) {
+            throw new Error(`Dialect is missing required property: ${key}`);
+        }
+    }
+    dialects.set(dialect.name, dialect);
+}
+
+/**
+ * Get a registered SQL dialect
+ * @param {string} name - Dialect name
+ * @returns {Object} - Dialect definition
+ */
+function getDialect(name) {
+    const dialect = dialects.get(name);
+    if (!dialect) {
+        throw new Error(`Unknown SQL dialect: ${name}. Use one of: ${listDialects().join(", ")}`);
+    }
+    return dialect;
+}
+
+/**
+ * Check whether a dialect is registered
+ * @param {string} name - Dialect name
+ * @returns {boolean} - True if registered
+ */
+function hasDialect(name) {
+    return dialects.has(name);
+}
+
+/**
+ * List registered dialect names
+ * @returns {Array<string>} - Dialect names
+ */
+function listDialects() {
+    return [...dialects.keys()];
+}
+
+/**
+ * List the dialects that can write type 2 history tables
+ * @returns {Array<string>} - Dialect names
+ */
+function listHistoryDialects() {
+    return listDialects().filter((name) => dialects.get(name).generateHistoryStatements);
+}
+
+registerDialect(require("./oracle"));
+registerDialect(require("./postgres"));
+registerDialect(require("./mysql"));
+registerDialect(require("./sqlserver"));
+registerDialect(require("./sqlite"));
+
+module.exports = {
+    registerDialect,
+    getDialect,
+    hasDialect,
+    listDialects,
+    listHistoryDialects,
+};
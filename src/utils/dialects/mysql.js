@@ -0,0 +1,109 @@
+const {
+    escapeSqlString,
+    buildNewerCondition,
+    getUpdateColumns,
+    buildInsert,
+    buildUpdate,
+    buildSoftDelete,
+    buildCreateTable,
+    DEFAULT_STRING_LENGTH,
+} = require("./base");
+
+/**
+ * MySQL / MariaDB dialect
+ * Uses INSERT IGNORE for insert-only and ON DUPLICATE KEY UPDATE for upsert
+ */
+module.exports = {
+    name: "mysql",
+    label: "MySQL",
+
+    /**
+     * MySQL treats backslash as an escape character by default, so escape it too
+     * @param {string} value - String value to quote
+     * @returns {string} - Quoted string literal
+     */
+    quoteString(value) {
+        return `'${escapeSqlString(String(value).replace(/\\/g, "\\\\"))}'`;
+    },
+
+    /**
+     * MySQL format: TIMESTAMP('2024-01-01 00:00:00.000')
+     * @param {string} timestamp - Timestamp string 'YYYY-MM-DD HH:MI:SS.mmm'
+     * @returns {string} - SQL timestamp literal
+     */
+    formatTimestamp(timestamp) {
+        return `TIMESTAMP('${timestamp}')`;
+    },
+
+    /**
+     * MySQL booleans are TINYINT(1)
+     * @param {boolean} value - Boolean value
+     * @returns {string} - SQL literal
+     */
+    formatBoolean(value) {
+        return value ? "1" : "0";
+    },
+
+    /**
+     * MySQL column type for a field
+     * @param {Object} field - Field definition
+     * @returns {string} - Column type
+     */
+    columnType(field) {
+        const types = {
+            string: `VARCHAR(${field.length || DEFAULT_STRING_LENGTH})`,
+            number: "DECIMAL(38, 10)",
+            date: "DATETIME(3)",
+            boolean: "TINYINT(1)",
+        };
+        return types[field.type];
+    },
+
+    /**
+     * Generate INSERT IGNORE / ON DUPLICATE KEY UPDATE / UPDATE statement
+     * @param {Object} ctx - Statement context
+     * @param {string} writeMode - Write mode ('insert', 'upsert' or 'update')
+     * @returns {string} - SQL statement
+     */
+    generateStatement(ctx, writeMode) {
+        if (writeMode === "update") {
+            return buildUpdate(ctx);
+        }
+
+        if (writeMode === "upsert") {
+            // MySQL applies assignments left to right, so the last-modified column
+            // must be assigned last or the newer check would see the new value
+            const { lastModifiedColumn } = ctx;
+            const newer = buildNewerCondition(ctx, ctx.table, `VALUES(${lastModifiedColumn})`);
+            const updateColumns = getUpdateColumns(ctx).filter((col) => col !== lastModifiedColumn);
+            updateColumns.push(lastModifiedColumn);
+            const updateSet = updateColumns
+                .map((col) => `${col} = IF(${newer}, VALUES(${col}), ${ctx.table}.${col})`)
+                .join(",\n    ");
+
+            return `${buildInsert(ctx)}
+ON DUPLICATE KEY UPDATE
+    ${updateSet};`;
+        }
+
+        return `${buildInsert(ctx, "INSERT IGNORE")};`;
+    },
+
+    /**
+     * Generate the UPDATE marking a row inactive
+     * @param {Object} ctx - Soft delete context
+     * @returns {string} - SQL UPDATE statement
+     */
+    generateSoftDelete(ctx) {
+        return buildSoftDelete(ctx);
+    },
+
+    /**
+     * Generate CREATE TABLE DDL
+     * @param {Object} ctx - DDL context { table, keyColumns, fields }
+     * @returns {string} - SQL DDL statement
+     */
+    generateCreateTable(ctx) {
+        return buildCreateTable(ctx, this.columnType);
+    },
+};
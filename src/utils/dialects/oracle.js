@@ -0,0 +1,148 @@
+const {
+    quoteStandardString,
+    buildNewerCondition,
+    getUpdateColumns,
+    buildSourceSelect,
+    buildKeyJoin,
+    buildSoftDelete,
+    buildNextVersionStart,
+    buildVersionContext,
+    buildHistoryClose,
+    buildCreateTable,
+    DEFAULT_STRING_LENGTH,
+} = require("./base");
+
+/**
+ * Oracle dialect
+ * Uses MERGE for insert-if-missing, upsert and update-only
+ * History rows: UPDATE closing the previous version, then MERGE of the version
+ */
+module.exports = {
+    name: "oracle",
+    label: "Oracle",
+
+    quoteString: quoteStandardString,
+
+    /**
+     * Oracle format: TO_TIMESTAMP('2024-01-01 00:00:00', 'YYYY-MM-DD HH24:MI:SS.FF3')
+     * @param {string} timestamp - Timestamp string 'YYYY-MM-DD HH:MI:SS.mmm'
+     * @returns {string} - SQL timestamp literal
+     */
+    formatTimestamp(timestamp) {
+        return `TO_TIMESTAMP('${timestamp}', 'YYYY-MM-DD HH24:MI:SS.FF3')`;
+    },
+
+    /**
+     * Oracle has no BOOLEAN column type before 23ai; booleans are stored as NUMBER(1)
+     * @param {boolean} value - Boolean value
+     * @returns {string} - SQL literal
+     */
+    formatBoolean(value) {
+        return value ? "1" : "0";
+    },
+
+    /**
+     * Oracle column type for a field
+     * @param {Object} field - Field definition
+     * @returns {string} - Column type
+     */
+    columnType(field) {
+        const types = {
+            string: `VARCHAR2(${field.length || DEFAULT_STRING_LENGTH} CHAR)`,
+            number: "NUMBER",
+            date: "TIMESTAMP(3)",
+            boolean: "NUMBER(1)",
+        };
+        return types[field.type];
+    },
+
+    /**
+     * Generate MERGE statement
+     * @param {Object} ctx - Statement context
+     * @param {string} writeMode - Write mode ('insert', 'upsert' or 'update')
+     * @returns {string} - SQL MERGE statement
+     */
+    generateStatement(ctx, writeMode) {
+        const { table, keyColumns, columns, values } = ctx;
+        const insertColumns = columns.join(", ");
+        const insertValues = columns.map((col) => values[col]).join(", ");
+
+        if (writeMode === "insert") {
+            // Oracle MERGE statement for INSERT IF NOT EXISTS
+            return `MERGE INTO ${table} target
+USING (SELECT ${keyColumns.map((col) => `${values[col]} AS ${col}`).join(", ")} FROM dual) source
+ON (${buildKeyJoin(ctx)})
+WHEN NOT MATCHED THEN
+    INSERT (${insertColumns})
+    VALUES (${insertValues});`;
+        }
+
+        // Key columns are never updated (Oracle rejects updating columns referenced in ON)
+        const updateSet = getUpdateColumns(ctx)
+            .map((col) => `target.${col} = ${values[col]}`)
+            .join(",\n        ");
+
+        const matchedClause = `WHEN MATCHED THEN
+    UPDATE SET
+        ${updateSet}
+    WHERE ${buildNewerCondition(ctx, "target", `source.${ctx.lastModifiedColumn}`)}`;
+
+        const notMatchedClause = `
+WHEN NOT MATCHED THEN
+    INSERT (${insertColumns})
+    VALUES (${insertValues})`;
+
+        return `MERGE INTO ${table} target
+USING (SELECT ${buildSourceSelect(ctx)} FROM dual) source
+ON (${buildKeyJoin(ctx)})
+${matchedClause}${writeMode === "upsert" ? notMatchedClause : ""};`;
+    },
+
+    /**
+     * Generate the statements maintaining a type 2 history table for one version
+     * The next version's start is looked up in the MERGE source row
+     * @param {Object} ctx - History statement context
+     * @param {string} writeMode - Write mode ('insert' or 'upsert')
+     * @returns {Array<string>} - SQL statements: close the previous version, write this one
+     */
+    generateHistoryStatements(ctx, writeMode) {
+        const versionCtx = buildVersionContext(ctx, "source.next_start", this.formatBoolean);
+        const { columns, values } = versionCtx;
+
+        const updateSet = getUpdateColumns(versionCtx)
+            .map((col) => `target.${col} = ${values[col]}`)
+            .join(",\n        ");
+        const matchedClause = `
+WHEN MATCHED THEN
+    UPDATE SET
+        ${updateSet}
+    WHERE ${buildNewerCondition(ctx, "target", `source.${ctx.lastModifiedColumn}`)}`;
+
+        const merge = `MERGE INTO ${ctx.table} target
+USING (SELECT ${buildSourceSelect(ctx)}, ${buildNextVersionStart(ctx)} AS next_start FROM dual) source
+ON (${buildKeyJoin(ctx)})${writeMode === "upsert" ? matchedClause : ""}
+WHEN NOT MATCHED THEN
+    INSERT (${columns.join(", ")})
+    VALUES (${columns.map((col) => values[col]).join(", ")});`;
+
+        return [buildHistoryClose(ctx, this.formatBoolean), merge];
+    },
+
+    /**
+     * Generate the UPDATE marking a row inactive
+     * @param {Object} ctx - Soft delete context
+     * @returns {string} - SQL UPDATE statement
+     */
+    generateSoftDelete(ctx) {
+        return buildSoftDelete(ctx);
+    },
+
+    /**
+     * Generate CREATE TABLE DDL
+     * @param {Object} ctx - DDL context { table, keyColumns, fields }
+     * @returns {string} - SQL DDL statement
+     */
+    generateCreateTable(ctx) {
+        return buildCreateTable(ctx, this.columnType);
+    },
+};
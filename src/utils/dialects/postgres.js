@@ -0,0 +1,114 @@
+const {
+    quoteStandardString,
+    buildNewerCondition,
+    getUpdateColumns,
+    buildInsert,
+    buildUpdate,
+    buildSoftDelete,
+    buildNextVersionStart,
+    buildVersionContext,
+    buildHistoryClose,
+    buildCreateTable,
+    DEFAULT_STRING_LENGTH,
+} = require("./base");
+
+/**
+ * PostgreSQL dialect
+ * Uses INSERT ... ON CONFLICT for insert/upsert and UPDATE for update-only
+ * History rows: UPDATE closing the previous version, then INSERT ... ON CONFLICT of the version
+ */
+module.exports = {
+    name: "postgres",
+    label: "PostgreSQL",
+
+    quoteString: quoteStandardString,
+
+    /**
+     * PostgreSQL format: '2024-01-01 00:00:00'::timestamp
+     * @param {string} timestamp - Timestamp string 'YYYY-MM-DD HH:MI:SS.mmm'
+     * @returns {string} - SQL timestamp literal
+     */
+    formatTimestamp(timestamp) {
+        return `'${timestamp}'::timestamp`;
+    },
+
+    /**
+     * PostgreSQL boolean literal
+     * @param {boolean} value - Boolean value
+     * @returns {string} - SQL literal
+     */
+    formatBoolean(value) {
+        return value ? "TRUE" : "FALSE";
+    },
+
+    /**
+     * PostgreSQL column type for a field
+     * @param {Object} field - Field definition
+     * @returns {string} - Column type
+     */
+    columnType(field) {
+        const types = {
+            string: `VARCHAR(${field.length || DEFAULT_STRING_LENGTH})`,
+            number: "NUMERIC",
+            date: "TIMESTAMP(3)",
+            boolean: "BOOLEAN",
+        };
+        return types[field.type];
+    },
+
+    /**
+     * Generate INSERT ... ON CONFLICT / UPDATE statement
+     * @param {Object} ctx - Statement context
+     * @param {string} writeMode - Write mode ('insert', 'upsert' or 'update')
+     * @returns {string} - SQL statement
+     */
+    generateStatement(ctx, writeMode) {
+        if (writeMode === "update") {
+            return buildUpdate(ctx);
+        }
+
+        if (writeMode === "upsert") {
+            const updateSet = getUpdateColumns(ctx)
+                .map((col) => `${col} = EXCLUDED.${col}`)
+                .join(",\n    ");
+
+            // Only update when the incoming record is newer
+            return `${buildInsert(ctx)}
+ON CONFLICT (${ctx.keyColumns.join(", ")}) DO UPDATE SET
+    ${updateSet}
+WHERE ${buildNewerCondition(ctx, ctx.table, `EXCLUDED.${ctx.lastModifiedColumn}`)};`;
+        }
+
+        return `${buildInsert(ctx)}
+ON CONFLICT (${ctx.keyColumns.join(", ")}) DO NOTHING;`;
+    },
+
+    /**
+     * Generate the statements maintaining a type 2 history table for one version
+     * @param {Object} ctx - History statement context
+     * @param {string} writeMode - Write mode ('insert' or 'upsert')
+     * @returns {Array<string>} - SQL statements: close the previous version, write this one
+     */
+    generateHistoryStatements(ctx, writeMode) {
+        const versionCtx = buildVersionContext(ctx, buildNextVersionStart(ctx), this.formatBoolean);
+        return [buildHistoryClose(ctx, this.formatBoolean), this.generateStatement(versionCtx, writeMode)];
+    },
+
+    /**
+     * Generate the UPDATE marking a row inactive
+     * @param {Object} ctx - Soft delete context
+     * @returns {string} - SQL UPDATE statement
+     */
+    generateSoftDelete(ctx) {
+        return buildSoftDelete(ctx);
+    },
+
+    /**
+     * Generate CREATE TABLE DDL
+     * @param {Object} ctx - DDL context { table, keyColumns, fields }
+     * @returns {string} - SQL DDL statement
+     */
+    generateCreateTable(ctx) {
+        return buildCreateTable(ctx, this.columnType);
+    },
+};
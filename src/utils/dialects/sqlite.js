@@ -0,0 +1,96 @@
+const {
+    quoteStandardString,
+    buildNewerCondition,
+    getUpdateColumns,
+    buildInsert,
+    buildUpdate,
+    buildSoftDelete,
+    buildCreateTable,
+} = require("./base");
+
+/**
+ * SQLite dialect (3.24+ for ON CONFLICT ... DO UPDATE)
+ * Uses INSERT OR IGNORE for insert-only and ON CONFLICT for upsert
+ */
+module.exports = {
+    name: "sqlite",
+    label: "SQLite",
+
+    quoteString: quoteStandardString,
+
+    /**
+     * SQLite has no timestamp type, dates are stored as sortable ISO text
+     * @param {string} timestamp - Timestamp string 'YYYY-MM-DD HH:MI:SS.mmm'
+     * @returns {string} - SQL timestamp literal
+     */
+    formatTimestamp(timestamp) {
+        return `'${timestamp}'`;
+    },
+
+    /**
+     * SQLite has no boolean type; booleans are stored as 0/1
+     * @param {boolean} value - Boolean value
+     * @returns {string} - SQL literal
+     */
+    formatBoolean(value) {
+        return value ? "1" : "0";
+    },
+
+    /**
+     * SQLite column type (affinity) for a field; timestamps are stored as text
+     * @param {Object} field - Field definition
+     * @returns {string} - Column type
+     */
+    columnType(field) {
+        const types = {
+            string: "TEXT",
+            number: "NUMERIC",
+            date: "TEXT",
+            boolean: "INTEGER",
+        };
+        return types[field.type];
+    },
+
+    /**
+     * Generate INSERT OR IGNORE / ON CONFLICT / UPDATE statement
+     * @param {Object} ctx - Statement context
+     * @param {string} writeMode - Write mode ('insert', 'upsert' or 'update')
+     * @returns {string} - SQL statement
+     */
+    generateStatement(ctx, writeMode) {
+        if (writeMode === "update") {
+            return buildUpdate(ctx);
+        }
+
+        if (writeMode === "upsert") {
+            const updateSet = getUpdateColumns(ctx)
+                .map((col) => `${col} = excluded.${col}`)
+                .join(",\n    ");
+
+            return `${buildInsert(ctx)}
+ON CONFLICT (${ctx.keyColumns.join(", ")}) DO UPDATE SET
+    ${updateSet}
+WHERE ${buildNewerCondition(ctx, ctx.table, `excluded.${ctx.lastModifiedColumn}`)};`;
+        }
+
+        return `${buildInsert(ctx, "INSERT OR IGNORE")};`;
+    },
+
+    /**
+     * Generate the UPDATE marking a row inactive
+     * @param {Object} ctx - Soft delete context
+     * @returns {string} - SQL UPDATE statement
+     */
+    generateSoftDelete(ctx) {
+        return buildSoftDelete(ctx);
+    },
+
+    /**
+     * Generate CREATE TABLE DDL
+     * @param {Object} ctx - DDL context { table, keyColumns, fields }
+     * @returns {string} - SQL DDL statement
+     */
+    generateCreateTable(ctx) {
+        return buildCreateTable(ctx, this.columnType);
+    },
+};
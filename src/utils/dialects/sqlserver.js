@@ -0,0 +1,115 @@
+const {
+    escapeSqlString,
+    buildNewerCondition,
+    getUpdateColumns,
+    buildSourceSelect,
+    buildKeyJoin,
+    buildSoftDelete,
+    buildCreateTable,
+    DEFAULT_STRING_LENGTH,
+} = require("./base");
+
+/**
+ * SQL Server dialect
+ * Uses MERGE for insert-if-missing, upsert and update-only
+ */
+module.exports = {
+    name: "sqlserver",
+    label: "SQL Server",
+
+    /**
+     * Use N'' literals so Vietnamese text survives non-Unicode collations
+     * @param {string} value - String value to quote
+     * @returns {string} - Quoted string literal
+     */
+    quoteString(value) {
+        return `N'${escapeSqlString(value)}'`;
+    },
+
+    /**
+     * SQL Server format: CAST('2024-01-01 00:00:00.000' AS DATETIME2)
+     * @param {string} timestamp - Timestamp string 'YYYY-MM-DD HH:MI:SS.mmm'
+     * @returns {string} - SQL timestamp literal
+     */
+    formatTimestamp(timestamp) {
+        return `CAST('${timestamp}' AS DATETIME2)`;
+    },
+
+    /**
+     * SQL Server booleans are BIT
+     * @param {boolean} value - Boolean value
+     * @returns {string} - SQL literal
+     */
+    formatBoolean(value) {
+        return value ? "1" : "0";
+    },
+
+    /**
+     * SQL Server column type for a field (NVARCHAR for Vietnamese text)
+     * @param {Object} field - Field definition
+     * @returns {string} - Column type
+     */
+    columnType(field) {
+        const types = {
+            string: `NVARCHAR(${field.length || DEFAULT_STRING_LENGTH})`,
+            number: "DECIMAL(38, 10)",
+            date: "DATETIME2(3)",
+            boolean: "BIT",
+        };
+        return types[field.type];
+    },
+
+    /**
+     * Generate MERGE statement
+     * @param {Object} ctx - Statement context
+     * @param {string} writeMode - Write mode ('insert', 'upsert' or 'update')
+     * @returns {string} - SQL MERGE statement
+     */
+    generateStatement(ctx, writeMode) {
+        const { table, columns, values } = ctx;
+        const insertColumns = columns.join(", ");
+        const insertValues = columns.map((col) => values[col]).join(", ");
+
+        const clauses = [];
+
+        if (writeMode !== "insert") {
+            const updateSet = getUpdateColumns(ctx)
+                .map((col) => `${col} = ${values[col]}`)
+                .join(",\n        ");
+
+            clauses.push(`WHEN MATCHED AND (${buildNewerCondition(ctx, "target", `source.${ctx.lastModifiedColumn}`)}) THEN
+    UPDATE SET
+        ${updateSet}`);
+        }
+
+        if (writeMode !== "update") {
+            clauses.push(`WHEN NOT MATCHED THEN
+    INSERT (${insertColumns})
+    VALUES (${insertValues})`);
+        }
+
+        // MERGE must be terminated with a semicolon in SQL Server
+        return `MERGE INTO ${table} AS target
+USING (SELECT ${buildSourceSelect(ctx)}) AS source
+ON (${buildKeyJoin(ctx)})
+${clauses.join("\n")};`;
+    },
+
+    /**
+     * Generate the UPDATE marking a row inactive
+     * @param {Object} ctx - Soft delete context
+     * @returns {string} - SQL UPDATE statement
+     */
+    generateSoftDelete(ctx) {
+        return buildSoftDelete(ctx);
+    },
+
+    /**
+     * Generate CREATE TABLE DDL
+     * @param {Object} ctx - DDL context { table, keyColumns, fields }
+     * @returns {string} - SQL DDL statement
+     */
+    generateCreateTable(ctx) {
+        return buildCreateTable(ctx, this.columnType);
+    },
+};
@@ -0,0 +1,56 @@
+const fs = require("fs");
+
+/**
+ * Append-only output file that only appears under its final name once complete
+ *
+ * Content is written to <outputFile>.tmp and renamed by commit(); abort() deletes the temp file,
+ * so a crashed or failed sync never leaves a file that looks complete.
+ */
+
+/**
+ * Open a temp file for an output file
+ * @param {string} outputFile - Final output file path
+ * @returns {Object} - Writer { outputFile, tempFile, append, commit, abort }
+ */
+function createTempFileWriter(outputFile) {
+    const tempFile = `${outputFile}.tmp`;
+    let fd = fs.openSync(tempFile, "w");
+
+    return {
+        outputFile,
+        tempFile,
+
+        /**
+         * Append text to the file
+         * @param {string} text - Text to append
+         */
+        append(text) {
+            fs.writeSync(fd, text);
+        },
+
+        /**
+         * Close the file and move it to its final name
+         * @returns {string} - Final output file path
+         */
+        commit() {
+            fs.closeSync(fd);
+            fd = null;
+            fs.renameSync(tempFile, outputFile);
+            return outputFile;
+        },
+
+        /**
+         * Close and delete the temp file without producing output
+         */
+        abort() {
+            if (fd === null) return;
+            fs.closeSync(fd);
+            fd = null;
+            fs.rmSync(tempFile, { force: true });
+        },
+    };
+}
+
+module.exports = {
+    createTempFileWriter,
+};
@@ -0,0 +1,64 @@
+const { parseSFDate, transformRecord } = require("../sqlGenerator");
+const { toNumber, toBoolean } = require("../../entities/fieldMapping");
+
+/**
+ * Helpers shared by the flat file export formats
+ */
+
+/**
+ * Columns of an export row, in field mapping order
+ * @param {Object} entity - Entity definition
+ * @returns {Array<string>} - Column names
+ */
+function getExportColumns(entity) {
+    return Object.values(entity.fieldMapping);
+}
+
+/**
+ * Map an API record to an export row: DB column names, values converted to their field type
+ * and dates normalized to 'YYYY-MM-DD HH:MI:SS.mmm'
+ * @param {Object} record - Record from API
+ * @param {Object} entity - Entity definition
+ * @returns {Object} - Export row keyed by column name
+ */
+function toExportRow(record, entity) {
+    const row = transformRecord(record, entity);
+    for (const field of entity.fields) {
+        const value = row[field.column];
+        if (value === null) continue;
+        if (field.type === "date") {
+            row[field.column] = parseSFDate(value);
+        } else if (field.type === "number") {
+            row[field.column] = toNumber(value);
+        } else if (field.type === "boolean") {
+            row[field.column] = toBoolean(value);
+        }
+    }
+    return row;
+}
+
+/**
+ * Quote a CSV field (RFC 4180): fields containing quotes, commas or line breaks are enclosed in quotes
+ * @param {any} value - Field value
+ * @returns {string} - CSV field
+ */
+function quoteCsvField(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one CSV line (CRLF terminated)
+ * @param {Array<any>} fields - Field values
+ * @returns {string} - CSV line
+ */
+function formatCsvLine(fields) {
+    return `${fields.map(quoteCsvField).join(",")}\r\n`;
+}
+
+module.exports = {
+    getExportColumns,
+    toExportRow,
+    formatCsvLine,
+};
@@ -0,0 +1,46 @@
+const { createTempFileWriter } = require("../fileWriter");
+const { getExportColumns, toExportRow, formatCsvLine } = require("./base");
+
+/**
+ * CSV export with a header row
+ */
+module.exports = {
+    name: "csv",
+    label: "CSV",
+    extension: "csv",
+
+    /**
+     * Open a CSV output file
+     * @param {string} outputFile - Final output file path
+     * @param {Object} entity - Entity definition
+     * @param {Object} options - Options
+     * @param {boolean} options.bom - Start the file with a UTF-8 byte order mark (for Excel)
+     * @returns {Object} - Writer { outputFile, recordCount, write, finish, abort }
+     */
+    createWriter(outputFile, entity, { bom = false } = {}) {
+        const file = createTempFileWriter(outputFile);
+        const columns = getExportColumns(entity);
+        file.append((bom ? "\uFEFF" : "") + formatCsvLine(columns));
+
+        const writer = {
+            outputFile,
+            recordCount: 0,
+            write(records) {
+                if (records.length === 0) return;
+                const lines = records.map((record) => {
+                    const row = toExportRow(record, entity);
+                    return formatCsvLine(columns.map((column) => row[column]));
+                });
+                file.append(lines.join(""));
+                writer.recordCount += records.length;
+            },
+            async finish() {
+                return file.commit();
+            },
+            abort() {
+                file.abort();
+            },
+        };
+        return writer;
+    },
+};
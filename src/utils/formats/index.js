@@ -0,0 +1,71 @@
+/**
+ * Flat file export format registry (produced alongside the SQL files)
+ *
+ * A format is an object with:
+ * - name: registry key, as used in the formats option
+ * - label: human readable name
+ * - extension: output file extension
+ * - createWriter(outputFile, entity, options): open a writer { outputFile, recordCount, write(records),
+ *   finish() (async, returns the final path), abort() }
+ */
+const formats = new Map();
+
+/**
+ * Name of the SQL output in the formats option (SQL files are generated per dialect)
+ */
+const SQL_FORMAT = "sql";
+
+/**
+ * Register an export format
+ * @param {Object} format - Format definition
+ */
+function registerFormat(format) {
+    for (const key of ["name", "extension", "createWriter"]) {
+        if (!format[key]) {
+            throw new Error(`Export format is missing required property: ${key}`);
+        }
+    }
+    formats.set(format.name, format);
+}
+
+/**
+ * Get a registered export format
+ * @param {string} name - Format name
+ * @returns {Object} - Format definition
+ */
+function getFormat(name) {
+    const format = formats.get(name);
+    if (!format) {
+        throw new Error(`Unknown export format: ${name}. Use one of: ${listFormats().join(", ")}`);
+    }
+    return format;
+}
+
+/**
+ * Check whether an export format is registered
+ * @param {string} name - Format name
+ * @returns {boolean} - True if registered
+ */
+function hasFormat(name) {
+    return formats.has(name);
+}
+
+/**
+ * List registered export format names
+ * @returns {Array<string>} - Format names
+ */
+function listFormats() {
+    return [...formats.keys()];
+}
+
+registerFormat(require("./csv"));
+registerFormat(require("./ndjson"));
+registerFormat(require("./xlsx"));
+
+module.exports = {
+    SQL_FORMAT,
+    registerFormat,
+    getFormat,
+    hasFormat,
+    listFormats,
+};
@@ -0,0 +1,38 @@
+const { createTempFileWriter } = require("../fileWriter");
+const { toExportRow } = require("./base");
+
+/**
+ * Newline-delimited JSON export: one JSON object per line
+ */
+module.exports = {
+    name: "ndjson",
+    label: "NDJSON",
+    extension: "ndjson",
+
+    /**
+     * Open an NDJSON output file
+     * @param {string} outputFile - Final output file path
+     * @param {Object} entity - Entity definition
+     * @returns {Object} - Writer { outputFile, recordCount, write, finish, abort }
+     */
+    createWriter(outputFile, entity) {
+        const file = createTempFileWriter(outputFile);
+
+        const writer = {
+            outputFile,
+            recordCount: 0,
+            write(records) {
+                if (records.length === 0) return;
+                file.append(records.map((record) => `${JSON.stringify(toExportRow(record, entity))}\n`).join(""));
+                writer.recordCount += records.length;
+            },
+            async finish() {
+                return file.commit();
+            },
+            abort() {
+                file.abort();
+            },
+        };
+        return writer;
+    },
+};
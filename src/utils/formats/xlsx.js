@@ -0,0 +1,51 @@
+const fs = require("fs");
+const ExcelJS = require("exceljs");
+const { getExportColumns, toExportRow } = require("./base");
+
+/**
+ * Excel workbook export: one worksheet named after the entity, header row plus one row per record
+ * Rows are streamed to a temp file and the workbook is renamed once complete.
+ */
+module.exports = {
+    name: "xlsx",
+    label: "Excel",
+    extension: "xlsx",
+
+    /**
+     * Open an Excel output file
+     * @param {string} outputFile - Final output file path
+     * @param {Object} entity - Entity definition
+     * @returns {Object} - Writer { outputFile, recordCount, write, finish, abort }
+     */
+    createWriter(outputFile, entity) {
+        const tempFile = `${outputFile}.tmp`;
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: tempFile });
+        const worksheet = workbook.addWorksheet(entity.label);
+        worksheet.columns = getExportColumns(entity).map((column) => ({ header: column, key: column, width: 20 }));
+
+        const writer = {
+            outputFile,
+            recordCount: 0,
+            write(records) {
+                for (const record of records) {
+                    worksheet.addRow(toExportRow(record, entity)).commit();
+                }
+                writer.recordCount += records.length;
+            },
+            async finish() {
+                worksheet.commit();
+                await workbook.commit();
+                fs.renameSync(tempFile, outputFile);
+                return outputFile;
+            },
+            abort() {
+                // The workbook stream has to be closed before the temp file can go
+                workbook
+                    .commit()
+                    .catch(() => {})
+                    .then(() => fs.rmSync(tempFile, { force: true }));
+            },
+        };
+        return writer;
+    },
+};
@@ -1,31 +1,130 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { config } = require("../config");
+const { redact } = require("./redact");
+const { createRotatingFile } = require("./rotatingFile");
+
 /**
- * Simple logger utility with timestamp
+ * Logger with levels, text or JSON lines output, an optional rotating file and a per-sync context
+ *
+ * Every method takes a message and optional structured fields:
+ *   logger.info("Fetched page", { page: 2, records: 1000 })
+ * Lines logged inside logger.runWithContext({ correlationId }, fn) - including everything fn awaits -
+ * carry that context. Messages and fields are always redacted (see redact.js).
+ *
+ * Text format: [timestamp] [LEVEL] [correlationId] message {fields}
+ * JSON format: {"timestamp","level","correlationId",...context,"message",...fields}
  */
-const logger = {
-    info: (message, ...args) => {
-        console.log(`[${new Date().toISOString()}] [INFO] ${message}`, ...args);
-    },
 
-    error: (message, ...args) => {
-        console.error(`[${new Date().toISOString()}] [ERROR] ${message}`, ...args);
-    },
+/**
+ * Log levels by severity
+ */
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
 
-    warn: (message, ...args) => {
-        console.warn(`[${new Date().toISOString()}] [WARN] ${message}`, ...args);
-    },
+const contextStorage = new AsyncLocalStorage();
+let logFile = null;
+let consoleToStderr = false; // Keep stdout free for command output (see useStderr)
 
-    debug: (message, ...args) => {
-        if (process.env.DEBUG === "true") {
-            console.log(`[${new Date().toISOString()}] [DEBUG] ${message}`, ...args);
+/**
+ * Open the log file on first use
+ * @returns {Object|null} - Rotating file, or null if file logging is off
+ */
+function getLogFile() {
+    if (!logFile && config.logging.file) {
+        logFile = createRotatingFile(config.logging.file, config.logging);
+    }
+    return logFile;
+}
+
+/**
+ * Whether a level is enabled by LOG_LEVEL
+ * @param {string} level - Level
+ * @returns {boolean} - True if lines of this level are written
+ */
+function isLevelEnabled(level) {
+    const threshold = LEVELS[config.logging.level] !== undefined ? LEVELS[config.logging.level] : LEVELS.info;
+    return LEVELS[level] <= threshold;
+}
+
+/**
+ * Format and write one log line
+ * @param {string} level - Level
+ * @param {string} message - Message
+ * @param {Object} fields - Structured fields (optional)
+ * @param {string} label - Label shown in text format instead of the level (optional)
+ */
+function write(level, message, fields = {}, label = level.toUpperCase()) {
+    if (!isLevelEnabled(level)) return;
+
+    const timestamp = new Date().toISOString();
+    const context = contextStorage.getStore() || {};
+    const safeMessage = redact(String(message));
+    const safeFields = redact(fields || {});
+
+    let line;
+    if (config.logging.format === "json") {
+        line = JSON.stringify({ timestamp, level, ...context, message: safeMessage, ...safeFields });
+    } else {
+        const prefix = context.correlationId ? `[${context.correlationId}] ` : "";
+        const suffix = Object.keys(safeFields).length > 0 ? ` ${JSON.stringify(safeFields)}` : "";
+        line = `[${timestamp}] [${label}] ${prefix}${safeMessage}${suffix}`;
+    }
+
+    if (level === "error" || consoleToStderr) {
+        console.error(line);
+    } else if (level === "warn") {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+
+    const file = getLogFile();
+    if (file) {
+        try {
+            file.write(`${line}\n`);
+        } catch (error) {
+            console.error(`[${timestamp}] [ERROR] Failed to write log file: ${error.message}`);
         }
-    },
+    }
+}
+
+const logger = {
+    info: (message, fields) => write("info", message, fields),
+
+    error: (message, fields) => write("error", message, fields),
+
+    warn: (message, fields) => write("warn", message, fields),
+
+    debug: (message, fields) => write("debug", message, fields),
 
     progress: (page, fetched, filtered, total) => {
-        console.log(
-            `[${new Date().toISOString()}] [PROGRESS] Page ${page}: Fetched ${fetched} records, ` +
-                `${filtered} matched filter, Total synced: ${total}`,
+        write(
+            "info",
+            `Page ${page}: Fetched ${fetched} records, ${filtered} matched filter, Total synced: ${total}`,
+            config.logging.format === "json" ? { event: "progress", page, fetched, filtered, total } : {},
+            "PROGRESS",
         );
     },
+
+    /**
+     * Run a function with a log context attached to every line it logs
+     * @param {Object} context - Context fields, e.g. { correlationId, jobId }
+     * @param {Function} fn - Function to run
+     * @returns {any} - Return value of fn
+     */
+    runWithContext: (context, fn) => contextStorage.run({ ...(contextStorage.getStore() || {}), ...context }, fn),
+
+    /**
+     * Current log context
+     * @returns {Object} - Context fields ({} outside runWithContext)
+     */
+    getContext: () => contextStorage.getStore() || {},
+
+    /**
+     * Write every console line to stderr, so stdout carries only the command's own output (CLI)
+     */
+    useStderr: () => {
+        consoleToStderr = true;
+    },
 };
 
 module.exports = logger;
@@ -0,0 +1,38 @@
+/**
+ * Validate date format (yyyy-MM-dd or yyyy-MM-ddTHH:mm:ss)
+ * @param {string} dateStr - Date string to validate
+ * @returns {boolean} - True if valid
+ */
+function isValidDate(dateStr) {
+    if (!dateStr) return true; // Optional
+    const dateRegex = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2})?$/;
+    if (!dateRegex.test(dateStr)) return false;
+    const date = new Date(dateStr);
+    return !isNaN(date.getTime());
+}
+
+/**
+ * Parse a list parameter given as an array or a comma separated string
+ * @param {Array<string>|string} value - List parameter
+ * @returns {Array<string>|null} - Trimmed, non-empty items or null if not given
+ */
+function parseList(value) {
+    if (value === undefined || value === null || value === "") return null;
+    const items = Array.isArray(value) ? value : String(value).split(",");
+    return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Parse a boolean parameter given as a boolean or a string
+ * @param {boolean|string} value - Boolean parameter
+ * @returns {boolean} - Parsed value
+ */
+function parseBoolean(value) {
+    return value === true || value === "true" || value === "1";
+}
+
+module.exports = {
+    isValidDate,
+    parseList,
+    parseBoolean,
+};
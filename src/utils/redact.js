@@ -0,0 +1,108 @@
+/**
+ * Redaction of credentials in log output
+ *
+ * Applied to every message and field, whatever the log level:
+ * - Authorization header values (Basic / Bearer)
+ * - key=value and "key": "value" pairs whose key names a credential
+ * - PEM private keys
+ * - the configured secrets themselves (passwords, assertions, keys, connection strings), wherever they appear
+ */
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Object keys and parameter names whose values are always redacted
+ */
+const SENSITIVE_KEY =
+    /(password|passwd|secret|token|assertion|authorization|api_?key|private_?key|cookie|connection_?string)$/i;
+
+/**
+ * Environment variables holding secrets
+ */
+const SECRET_ENV_KEY = /(PASSWORD|SECRET|_TOKEN|ASSERTION|PRIVATE_KEY|CONNECTION_STRING|API_KEYS?)$/;
+
+/**
+ * Parameter names redacted in key=value and "key": "value" text
+ */
+const SENSITIVE_PARAMS = [
+    "password",
+    "passwd",
+    "secret",
+    "client_secret",
+    "access_token",
+    "refresh_token",
+    "assertion",
+    "private_key",
+    "authorization",
+];
+
+/**
+ * Patterns replaced in strings
+ */
+const PATTERNS = [
+    [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g, REDACTED],
+    [/\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]+/g, `$1 ${REDACTED}`],
+    [
+        // Authorization values are already covered by the Basic/Bearer pattern
+        new RegExp(
+            `(["']?\\b(?:${SENSITIVE_PARAMS.join("|")})["']?\\s*[:=]\\s*["']?)(?!(?:Basic|Bearer) )[^"'&\\s,}]+`,
+            "gi",
+        ),
+        `$1${REDACTED}`,
+    ],
+];
+
+/**
+ * Configured secret values, longest first so a secret containing another is replaced whole
+ * @returns {Array<string>} - Secret values
+ */
+function getSecretValues() {
+    return Object.entries(process.env)
+        .filter(([key, value]) => SECRET_ENV_KEY.test(key) && value && value.length >= 4)
+        .map(([, value]) => value)
+        .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Redact credentials in a string
+ * @param {string} text - Text
+ * @returns {string} - Redacted text
+ */
+function redactString(text) {
+    let result = text;
+    for (const secret of getSecretValues()) {
+        result = result.split(secret).join(REDACTED);
+    }
+    for (const [pattern, replacement] of PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+/**
+ * Redact credentials in a value: strings are scanned, object keys naming a credential are masked
+ * @param {any} value - Value (string, array, plain object or other)
+ * @param {number} depth - Current nesting depth (stops at 10)
+ * @returns {any} - Redacted copy
+ */
+function redact(value, depth = 0) {
+    if (typeof value === "string") return redactString(value);
+    if (value === null || typeof value !== "object" || depth > 10) return value;
+    if (value instanceof Error) {
+        return { name: value.name, message: redactString(value.message), code: value.code, status: value.status };
+    }
+    if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] =
+            SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1);
+    }
+    return result;
+}
+
+module.exports = {
+    REDACTED,
+    redact,
+    redactString,
+};
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Append-only log file with rotation
+ *
+ * - size: when a write would take the file past maxSize, it is renamed to <file>.1 (older ones shift to
+ *   <file>.2 ... <file>.<maxFiles>, the oldest is deleted)
+ * - daily: on the first write of a new day, the file is renamed to <file>.<yyyy-MM-dd> of the day it covers
+ *   and only the newest maxFiles of those are kept
+ */
+
+/**
+ * Rotation strategies
+ */
+const ROTATION_MODES = ["size", "daily"];
+
+/**
+ * Local date of a timestamp as yyyy-MM-dd
+ * @param {Date} date - Date
+ * @returns {string} - Day
+ */
+function toDay(date) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Open a rotating log file
+ * @param {string} file - Log file path
+ * @param {Object} options - Rotation options
+ * @param {string} options.rotate - 'size' or 'daily'
+ * @param {number} options.maxSize - Size limit in bytes (size rotation)
+ * @param {number} options.maxFiles - Rotated files to keep
+ * @returns {Object} - { write(text) }
+ */
+function createRotatingFile(file, { rotate = "size", maxSize = 10 * 1024 * 1024, maxFiles = 5 } = {}) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+    let day = fs.existsSync(file) ? toDay(fs.statSync(file).mtime) : toDay(new Date());
+
+    /**
+     * Shift numbered files up by one and move the current file to <file>.1
+     */
+    function rotateBySize() {
+        fs.rmSync(`${file}.${maxFiles}`, { force: true });
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(`${file}.${index}`)) {
+                fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+            }
+        }
+        fs.renameSync(file, `${file}.1`);
+    }
+
+    /**
+     * Move the current file to <file>.<day> and delete the oldest dated files
+     */
+    function rotateByDay() {
+        fs.renameSync(file, `${file}.${day}`);
+        const prefix = `${path.basename(file)}.`;
+        const dated = fs
+            .readdirSync(path.dirname(file))
+            .filter((name) => name.startsWith(prefix) && /^\d{4}-\d{2}-\d{2}$/.test(name.slice(prefix.length)))
+            .sort();
+        for (const name of dated.slice(0, Math.max(0, dated.length - maxFiles))) {
+            fs.rmSync(path.join(path.dirname(file), name), { force: true });
+        }
+    }
+
+    return {
+        /**
+         * Append text, rotating first if needed
+         * @param {string} text - Text to append
+         */
+        write(text) {
+            const bytes = Buffer.byteLength(text);
+            const today = toDay(new Date());
+            if (size > 0 && fs.existsSync(file)) {
+                if (rotate === "daily" && today !== day) {
+                    rotateByDay();
+                    size = 0;
+                } else if (rotate === "size" && size + bytes > maxSize) {
+                    rotateBySize();
+                    size = 0;
+                }
+            }
+            day = today;
+            fs.appendFileSync(file, text);
+            size += bytes;
+        },
+    };
+}
+
+module.exports = {
+    ROTATION_MODES,
+    createRotatingFile,
+};
@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+
+/**
+ * SAML 2.0 bearer assertions for the SuccessFactors OAuth token endpoint, signed locally
+ *
+ * The assertion is built directly in exclusive canonical form (no whitespace between elements,
+ * attributes in canonical order, explicit end tags), so the digest and signature can be computed
+ * over the generated text without an XML library. The signature is an enveloped RSA-SHA256
+ * XML signature placed after the Issuer, as the SAML schema requires.
+ */
+const SAML_NS = "urn:oasis:names:tc:SAML:2.0:assertion";
+const DSIG_NS = "http://www.w3.org/2000/09/xmldsig#";
+const EXC_C14N = "http://www.w3.org/2001/10/xml-exc-c14n#";
+const AUDIENCE = "www.successfactors.com";
+const VALIDITY_SECONDS = 600;
+
+/**
+ * Escape text content as canonical XML does
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeText(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/\r/g, "&#xD;");
+}
+
+/**
+ * Escape an attribute value as canonical XML does
+ * @param {string} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/"/g, "&quot;")
+        .replace(/\t/g, "&#x9;")
+        .replace(/\n/g, "&#xA;")
+        .replace(/\r/g, "&#xD;");
+}
+
+/**
+ * Render an element in canonical form
+ * @param {string} name - Qualified element name
+ * @param {Object} attributes - Attributes, in canonical order (namespace declarations first)
+ * @param {string} content - Rendered children or escaped text
+ * @returns {string} - Element
+ */
+function element(name, attributes, content = "") {
+    const rendered = Object.entries(attributes)
+        .map(([attribute, value]) => ` ${attribute}="${escapeAttribute(value)}"`)
+        .join("");
+    return `<${name}${rendered}>${content}</${name}>`;
+}
+
+/**
+ * Read the OAuth client private key
+ * Accepts a PEM (the downloaded key file, possibly followed by the certificate) or the base64 key body
+ * that /oauth/idp takes.
+ * @param {string} privateKey - Private key
+ * @returns {crypto.KeyObject} - Private key object
+ */
+function parsePrivateKey(privateKey) {
+    const pem = privateKey.match(/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]+?-----END [A-Z ]*PRIVATE KEY-----/);
+    if (pem) {
+        return crypto.createPrivateKey(pem[0]);
+    }
+    const der = Buffer.from(privateKey.split("###")[0].replace(/\s+/g, ""), "base64");
+    if (der.toString("latin1").includes("-----BEGIN")) {
+        return parsePrivateKey(der.toString("utf8"));
+    }
+    return crypto.createPrivateKey({ key: der, format: "der", type: "pkcs8" });
+}
+
+/**
+ * Build a signed SAML bearer assertion for the OAuth client
+ * @param {Object} options - Assertion options
+ * @param {string} options.clientId - API key of the OAuth client (issuer)
+ * @param {string} options.userId - User the assertion is issued for
+ * @param {string} options.tokenUrl - Token endpoint (recipient)
+ * @param {string} options.privateKey - Private key of the OAuth client, PEM or base64
+ * @param {Date} options.now - Issue time (optional)
+ * @returns {string} - Base64 encoded assertion
+ */
+function buildSignedAssertion({ clientId, userId, tokenUrl, privateKey, now = new Date() }) {
+    const id = `_${crypto.randomUUID()}`;
+    const issueInstant = now.toISOString();
+    const notOnOrAfter = new Date(now.getTime() + VALIDITY_SECONDS * 1000).toISOString();
+
+    const issuer = element("saml2:Issuer", {}, escapeText(clientId));
+    const body =
+        element(
+            "saml2:Subject",
+            {},
+            element(
+                "saml2:NameID",
+                { Format: "urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified" },
+                escapeText(userId),
+            ) +
+                element(
+                    "saml2:SubjectConfirmation",
+                    { Method: "urn:oasis:names:tc:SAML:2.0:cm:bearer" },
+                    element("saml2:SubjectConfirmationData", { NotOnOrAfter: notOnOrAfter, Recipient: tokenUrl }),
+                ),
+        ) +
+        element(
+            "saml2:Conditions",
+            { NotBefore: issueInstant, NotOnOrAfter: notOnOrAfter },
+            element("saml2:AudienceRestriction", {}, element("saml2:Audience", {}, AUDIENCE)),
+        ) +
+        element(
+            "saml2:AuthnStatement",
+            { AuthnInstant: issueInstant, SessionIndex: id },
+            element(
+                "saml2:AuthnContext",
+                {},
+                element(
+                    "saml2:AuthnContextClassRef",
+                    {},
+                    "urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport",
+                ),
+            ),
+        ) +
+        element(
+            "saml2:AttributeStatement",
+            {},
+            element("saml2:Attribute", { Name: "api_key" }, element("saml2:AttributeValue", {}, escapeText(clientId))),
+        );
+    const assertion = (content) =>
+        element(
+            "saml2:Assertion",
+            { "xmlns:saml2": SAML_NS, ID: id, IssueInstant: issueInstant, Version: "2.0" },
+            content,
+        );
+
+    // Enveloped signature: the digest covers the assertion without the Signature element
+    const digest = crypto
+        .createHash("sha256")
+        .update(assertion(issuer + body))
+        .digest("base64");
+    const signedInfo = (attributes) =>
+        element(
+            "ds:SignedInfo",
+            attributes,
+            element("ds:CanonicalizationMethod", { Algorithm: EXC_C14N }) +
+                element("ds:SignatureMethod", { Algorithm: "http://www.w3.org/2001/04/xmldsig-more#rsa-sha256" }) +
+                element(
+                    "ds:Reference",
+                    { URI: `#${id}` },
+                    element(
+                        "ds:Transforms",
+                        {},
+                        element("ds:Transform", { Algorithm: `${DSIG_NS}enveloped-signature` }) +
+                            element("ds:Transform", { Algorithm: EXC_C14N }),
+                    ) +
+                        element("ds:DigestMethod", { Algorithm: "http://www.w3.org/2001/04/xmlenc#sha256" }) +
+                        element("ds:DigestValue", {}, digest),
+                ),
+        );
+    // Canonicalized on its own, SignedInfo carries the ds namespace declared on Signature
+    const signatureValue = crypto
+        .sign("sha256", Buffer.from(signedInfo({ "xmlns:ds": DSIG_NS })), parsePrivateKey(privateKey))
+        .toString("base64");
+    const signature = element(
+        "ds:Signature",
+        { "xmlns:ds": DSIG_NS },
+        signedInfo({}) + element("ds:SignatureValue", {}, signatureValue),
+    );
+
+    return Buffer.from(assertion(issuer + signature + body), "utf8").toString("base64");
+}
+
+module.exports = {
+    buildSignedAssertion,
+};
@@ -0,0 +1,59 @@
+const { createTempFileWriter } = require("./fileWriter");
+
+/**
+ * Incremental SQL file writer
+ *
+ * Statements are appended page by page, so a sync never holds the whole result set in memory.
+ * The file only appears under its final name once finish() has written the footer.
+ */
+
+/**
+ * Open a SQL output file for writing
+ * @param {string} outputFile - Final output file path
+ * @param {string} header - SQL header, written immediately
+ * @returns {Object} - Writer { outputFile, tempFile, statementCount, write, finish, abort }
+ */
+function createSqlFileWriter(outputFile, header) {
+    const file = createTempFileWriter(outputFile);
+    file.append(header);
+
+    const writer = {
+        outputFile,
+        tempFile: file.tempFile,
+        statementCount: 0,
+
+        /**
+         * Append statements to the file
+         * @param {Array<string>} statements - SQL statements
+         */
+        write(statements) {
+            if (statements.length === 0) return;
+            const separator = writer.statementCount > 0 ? "\n\n" : "";
+            file.append(separator + statements.join("\n\n"));
+            writer.statementCount += statements.length;
+        },
+
+        /**
+         * Write the footer, close the file and move it to its final name
+         * @param {string} footer - SQL footer
+         * @returns {string} - Final output file path
+         */
+        finish(footer) {
+            file.append(footer);
+            return file.commit();
+        },
+
+        /**
+         * Close and delete the temp file without producing output
+         */
+        abort() {
+            file.abort();
+        },
+    };
+
+    return writer;
+}
+
+module.exports = {
+    createSqlFileWriter,
+};
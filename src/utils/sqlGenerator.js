@@ -1,9 +1,13 @@
 const { config } = require("../config");
+const { getDialect, listHistoryDialects } = require("./dialects");
+const { getEntity } = require("../entities");
+const { escapeSqlString } = require("./dialects/base");
+const { applyTransforms, toNumber, toBoolean } = require("../entities/fieldMapping");
 
 /**
- * Parse SuccessFactors date format /Date(timestamp)/ to PostgreSQL timestamp
+ * Parse SuccessFactors date format /Date(timestamp)/ to a 'YYYY-MM-DD HH:MI:SS.mmm' timestamp
  * @param {string} sfDate - SuccessFactors date string like /Date(1234567890000)/
- * @returns {string|null} - PostgreSQL timestamp string or null
+ * @returns {string|null} - Timestamp string or null
  */
 function parseSFDate(sfDate) {
     if (!sfDate) return null;
@@ -24,141 +28,285 @@ function parseSFDate(sfDate) {
     return null;
 }
 
-/**
- * Escape single quotes in SQL string values
- * @param {string} value - String value to escape
- * @returns {string} - Escaped string
- */
-function escapeSqlString(value) {
-    if (value === null || value === undefined) return null;
-    return String(value).replace(/'/g, "''");
-}
-
 /**
  * Format value for SQL INSERT statement
  * @param {any} value - Value to format
- * @param {string} columnName - Column name for type inference
- * @param {string} dbType - Database type ('oracle' or 'postgres')
+ * @param {string} columnName - Column name, looked up in the entity's field mapping for its type
+ * @param {string} dbType - Database type (registered dialect name)
+ * @param {Object} entity - Entity definition (defaults to Position)
  * @returns {string} - SQL formatted value
  */
-function formatSqlValue(value, columnName, dbType = "oracle") {
+function formatSqlValue(value, columnName, dbType = "oracle", entity = getEntity("position")) {
     if (value === null || value === undefined) {
         return "NULL";
     }
 
-    // Date columns
-    const dateColumns = ["effective_start_date", "last_modified_date_time", "effective_end_date"];
+    const dialect = getDialect(dbType);
+    const field = entity.fieldsByColumn[columnName];
+    const type = field ? field.type : "string";
 
-    if (dateColumns.includes(columnName)) {
+    if (type === "date") {
         const parsedDate = parseSFDate(value);
-        if (parsedDate) {
-            if (dbType === "oracle") {
-                // Oracle format: TO_TIMESTAMP('2024-01-01 00:00:00', 'YYYY-MM-DD HH24:MI:SS.FF3')
-                return `TO_TIMESTAMP('${parsedDate}', 'YYYY-MM-DD HH24:MI:SS.FF3')`;
-            } else {
-                // PostgreSQL format: '2024-01-01 00:00:00'::timestamp
-                return `'${parsedDate}'::timestamp`;
-            }
-        }
-        return "NULL";
+        return parsedDate ? dialect.formatTimestamp(parsedDate) : "NULL";
+    }
+    if (type === "number") {
+        const number = toNumber(value);
+        return number === null ? "NULL" : String(number);
+    }
+    if (type === "boolean") {
+        const bool = toBoolean(value);
+        return bool === null ? "NULL" : dialect.formatBoolean(bool);
     }
 
     // String values
-    return `'${escapeSqlString(value)}'`;
+    return dialect.quoteString(value);
 }
 
 /**
- * Transform API record to DB record using field mapping
+ * Transform API record to DB record using the field mapping, applying each field's transforms
  * @param {Object} apiRecord - Record from SuccessFactors API
+ * @param {Object} entity - Entity definition (defaults to Position)
  * @returns {Object} - Record with DB column names
  */
-function transformRecord(apiRecord) {
+function transformRecord(apiRecord, entity = getEntity("position")) {
     const dbRecord = {};
 
-    for (const [apiField, dbColumn] of Object.entries(config.fieldMapping)) {
-        dbRecord[dbColumn] = apiRecord[apiField] !== undefined ? apiRecord[apiField] : null;
+    for (const field of entity.fields) {
+        const value = apiRecord[field.sf] !== undefined ? apiRecord[field.sf] : null;
+        dbRecord[field.column] = applyTransforms(value, field);
     }
 
     return dbRecord;
 }
 
 /**
- * Generate INSERT IF NOT EXISTS SQL statement for Oracle database
- * Uses MERGE statement for Oracle compatibility
- * @param {Object} record - Position record from API
- * @returns {string} - SQL MERGE statement
+ * Supported write modes
+ * - insert: only insert records that do not exist yet
+ * - upsert: insert new records and update existing ones
+ * - update: only update records that already exist
+ */
+const WRITE_MODES = ["insert", "upsert", "update"];
+
+/**
+ * Check whether a write mode is supported
+ * @param {string} writeMode - Write mode to check
+ * @returns {boolean} - True if supported
+ */
+function isValidWriteMode(writeMode) {
+    return WRITE_MODES.includes(writeMode);
+}
+
+/**
+ * Get the date a record stopped being active
+ * Inactive means a status in the entity's inactiveValues or an effective end date in the past.
+ * @param {Object} record - Record from API
+ * @param {Object} entity - Entity definition
+ * @param {number} now - Reference time in epoch milliseconds
+ * @returns {string|null} - The end date if it has passed, otherwise the last-modified date if the status is inactive,
+ *     otherwise null (active)
+ */
+function getDeactivationDate(record, entity, now = Date.now()) {
+    const dbRecord = transformRecord(record, entity);
+    if (entity.endDateColumn) {
+        const endDate = parseSFDate(dbRecord[entity.endDateColumn]);
+        if (endDate && Date.parse(`${endDate.replace(" ", "T")}Z`) < now) {
+            return dbRecord[entity.endDateColumn];
+        }
+    }
+    if (entity.statusColumn && entity.inactiveValues.includes(dbRecord[entity.statusColumn])) {
+        return dbRecord[entity.lastModifiedColumn];
+    }
+    return null;
+}
+
+/**
+ * Check whether a record is inactive or end-dated
+ * @param {Object} record - Record from API
+ * @param {Object} entity - Entity definition
+ * @param {number} now - Reference time in epoch milliseconds
+ * @returns {boolean} - True if inactive
  */
-function generateOracleInsert(record) {
-    const dbRecord = transformRecord(record);
-    const columns = Object.keys(config.fieldMapping).map((k) => config.fieldMapping[k]);
-    const values = columns.map((col) => formatSqlValue(dbRecord[col], col, "oracle"));
-    const code = escapeSqlString(dbRecord.code);
-
-    // Build column-value pairs for INSERT
-    const insertColumns = columns.join(", ");
-    const insertValues = values.join(", ");
-
-    // Oracle MERGE statement for INSERT IF NOT EXISTS
-    return `MERGE INTO job_sf_position target
-USING (SELECT '${code}' AS code FROM dual) source
-ON (target.code = source.code)
-WHEN NOT MATCHED THEN
-    INSERT (${insertColumns})
-    VALUES (${insertValues});`;
+function isRecordInactive(record, entity, now = Date.now()) {
+    return getDeactivationDate(record, entity, now) !== null;
 }
 
 /**
- * Generate INSERT IF NOT EXISTS SQL statement for PostgreSQL database
- * Uses INSERT ... ON CONFLICT DO NOTHING
- * @param {Object} record - Position record from API
- * @returns {string} - SQL INSERT statement
+ * Build the context a dialect needs to generate a statement
+ * @param {Object} record - Record from API
+ * @param {string} dbType - Database type (registered dialect name)
+ * @param {Object} entity - Entity definition
+ * @param {boolean} softDelete - Also write the active flag and deactivation timestamp columns
+ * @returns {Object} - Statement context { table, keyColumns, lastModifiedColumn, columns, values }
  */
-function generatePostgresInsert(record) {
-    const dbRecord = transformRecord(record);
-    const columns = Object.keys(config.fieldMapping).map((k) => config.fieldMapping[k]);
-    const values = columns.map((col) => formatSqlValue(dbRecord[col], col, "postgres"));
-
-    const insertColumns = columns.join(", ");
-    const insertValues = values.join(", ");
-
-    // PostgreSQL INSERT with ON CONFLICT
-    return `INSERT INTO job_sf_position (${insertColumns})
-VALUES (${insertValues})
-ON CONFLICT (code) DO NOTHING;`;
+function buildStatementContext(record, dbType, entity, softDelete = false) {
+    const dbRecord = transformRecord(record, entity);
+    const columns = Object.values(entity.fieldMapping);
+    const values = {};
+
+    for (const col of columns) {
+        values[col] = formatSqlValue(dbRecord[col], col, dbType, entity);
+    }
+
+    // Inactive records keep their data but are stored inactive; active ones are (re)activated
+    if (softDelete) {
+        const { activeColumn, deactivatedAtColumn } = config.softDelete;
+        const deactivationDate = getDeactivationDate(record, entity);
+        const parsedDate = parseSFDate(deactivationDate);
+        columns.push(activeColumn, deactivatedAtColumn);
+        values[activeColumn] = getDialect(dbType).formatBoolean(deactivationDate === null);
+        values[deactivatedAtColumn] = parsedDate ? getDialect(dbType).formatTimestamp(parsedDate) : "NULL";
+    }
+
+    return {
+        table: entity.table,
+        keyColumns: entity.keyColumns,
+        lastModifiedColumn: entity.lastModifiedColumn,
+        columns,
+        values,
+    };
 }
 
 /**
- * Generate INSERT IF NOT EXISTS SQL statement
- * @param {Object} record - Position record from API
- * @param {string} dbType - Database type ('oracle' or 'postgres')
+ * Generate INSERT / UPSERT / UPDATE SQL statement
+ * @param {Object} record - Record from API
+ * @param {string} dbType - Database type (registered dialect name)
+ * @param {string} writeMode - Write mode ('insert', 'upsert' or 'update')
+ * @param {Object} entity - Entity definition (defaults to Position)
+ * @param {Object} options - Statement options
+ * @param {boolean} options.softDelete - Also write the active flag and deactivation timestamp columns
  * @returns {string} - SQL statement
  */
-function generateInsertIfNotExists(record, dbType = "oracle") {
-    if (dbType === "postgres") {
-        return generatePostgresInsert(record);
-    } else {
-        return generateOracleInsert(record);
+function generateInsertIfNotExists(
+    record,
+    dbType = "oracle",
+    writeMode = "insert",
+    entity = getEntity("position"),
+    options = {},
+) {
+    const dialect = getDialect(dbType);
+    return dialect.generateStatement(buildStatementContext(record, dbType, entity, options.softDelete), writeMode);
+}
+
+/**
+ * Write modes of history syncs: versions are inserted, or also overwritten by newer changes
+ */
+const HISTORY_WRITE_MODES = ["insert", "upsert"];
+
+/**
+ * Generate the statements writing one effective-dated version to a type 2 history table:
+ * the UPDATE closing the version before it, then the insert / upsert of the version itself
+ * @param {Object} record - Record from API
+ * @param {string} dbType - Database type (a dialect listed by listHistoryDialects)
+ * @param {string} writeMode - Write mode ('insert' or 'upsert')
+ * @param {Object} entity - History entity definition (see getHistoryEntity)
+ * @returns {Array<string>} - SQL statements
+ */
+function generateHistoryStatements(record, dbType, writeMode, entity) {
+    const dialect = getDialect(dbType);
+    if (!dialect.generateHistoryStatements) {
+        throw new Error(
+            `${dialect.label} does not support history tables. Use one of: ${listHistoryDialects().join(", ")}`,
+        );
     }
+    const { validFromColumn, validToColumn, currentColumn } = config.scd2;
+    return dialect.generateHistoryStatements(
+        {
+            ...buildStatementContext(record, dbType, entity),
+            businessKeyColumns: entity.businessKeyColumns,
+            effectiveStartColumn: entity.effectiveStartColumn,
+            validFromColumn,
+            validToColumn,
+            currentColumn,
+        },
+        writeMode,
+    );
+}
+
+/**
+ * Generate the soft-delete UPDATE for a record that is inactive, end-dated or no longer matches the filter
+ * @param {Object} record - Record from API
+ * @param {string} dbType - Database type (registered dialect name)
+ * @param {Object} entity - Entity definition (defaults to Position)
+ * @returns {string} - SQL statement
+ */
+function generateSoftDelete(record, dbType = "oracle", entity = getEntity("position")) {
+    const dialect = getDialect(dbType);
+    const dbRecord = transformRecord(record, entity);
+    const { activeColumn, deactivatedAtColumn } = config.softDelete;
+    // Records moved out of the filter may still be active in SuccessFactors: they left with their last change
+    const deactivatedAt = parseSFDate(getDeactivationDate(record, entity) || dbRecord[entity.lastModifiedColumn]);
+
+    const values = {
+        [activeColumn]: dialect.formatBoolean(false),
+        [deactivatedAtColumn]: deactivatedAt ? dialect.formatTimestamp(deactivatedAt) : "CURRENT_TIMESTAMP",
+    };
+    for (const col of entity.keyColumns) {
+        values[col] = formatSqlValue(dbRecord[col], col, dbType, entity);
+    }
+
+    return dialect.generateSoftDelete({
+        table: entity.table,
+        keyColumns: entity.keyColumns,
+        activeColumn,
+        deactivatedAtColumn,
+        values,
+    });
 }
 
 /**
  * Generate SQL file header with metadata
  * @param {string} startDate - Start date filter
  * @param {string} endDate - End date filter
- * @param {string} dbType - Database type ('oracle' or 'postgres')
+ * @param {string} dbType - Database type (registered dialect name)
+ * @param {Object} options - Header options
+ * @param {string} options.writeMode - Write mode ('insert', 'upsert' or 'update')
+ * @param {string|Array<string>} options.departmentFilter - Department prefix filter(s)
+ * @param {Array<string>} options.excludeDepartments - Excluded department prefixes
+ * @param {Object} options.entity - Entity definition (defaults to Position)
+ * @param {boolean} options.softDelete - Soft-delete statements are included
+ * @param {Object} options.effectiveDates - Effective-dated view requested: { fromDate, toDate } or { asOfDate }
  * @returns {string} - SQL header comment
  */
-function generateSqlHeader(startDate, endDate, dbType = "oracle") {
+function generateSqlHeader(startDate, endDate, dbType = "oracle", options = {}) {
+    const {
+        writeMode = "insert",
+        departmentFilter = config.sync.departmentFilter,
+        excludeDepartments = [],
+        entity = getEntity("position"),
+        softDelete = false,
+        effectiveDates = null,
+    } = options;
+    const prefixes = Array.isArray(departmentFilter) ? departmentFilter : [departmentFilter];
+    let departmentDescription = entity.departmentField
+        ? prefixes.map((prefix) => `${prefix}*`).join(", ") || "*"
+        : "N/A";
+    if (entity.departmentField && excludeDepartments.length > 0) {
+        departmentDescription += ` (excluding ${excludeDepartments.map((prefix) => `${prefix}*`).join(", ")})`;
+    }
+    const softDeleteLine = softDelete
+        ? `-- Soft Delete: ${config.softDelete.activeColumn} / ${config.softDelete.deactivatedAtColumn}\n`
+        : "";
+    const historyLine = entity.history
+        ? `-- History (SCD2): ${config.scd2.validFromColumn} / ${config.scd2.validToColumn} / ${config.scd2.currentColumn}\n`
+        : "";
+    let effectiveDatesLine = "";
+    if (effectiveDates && effectiveDates.asOfDate) {
+        effectiveDatesLine = `-- Effective Dates: as of ${effectiveDates.asOfDate}\n`;
+    } else if (effectiveDates) {
+        effectiveDatesLine = `-- Effective Dates: ${effectiveDates.fromDate} to ${effectiveDates.toDate}\n`;
+    }
     const now = new Date().toISOString();
     const dateRange = startDate || endDate ? `${startDate || "N/A"} to ${endDate || "N/A"}` : "Yesterday";
     const dbTypeUpper = dbType.toUpperCase();
     return `-- ============================================
--- SF Position Sync SQL (${dbTypeUpper})
+-- SF ${entity.label} Sync SQL (${dbTypeUpper})
 -- Generated: ${now}
 -- Date Range: ${dateRange}
--- Department Filter: ${config.sync.departmentFilter}*
+-- Table: ${entity.table}
+-- Department Filter: ${departmentDescription}
 -- Database: ${dbTypeUpper}
--- ============================================
+-- Write Mode: ${writeMode}
+${softDeleteLine}${historyLine}${effectiveDatesLine}-- ============================================
 
 `;
 }
@@ -182,7 +330,13 @@ module.exports = {
     escapeSqlString,
     formatSqlValue,
     transformRecord,
+    WRITE_MODES,
+    isValidWriteMode,
+    isRecordInactive,
     generateInsertIfNotExists,
+    HISTORY_WRITE_MODES,
+    generateHistoryStatements,
+    generateSoftDelete,
     generateSqlHeader,
     generateSqlFooter,
 };
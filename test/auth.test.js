@@ -0,0 +1,305 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./support/testEnv");
+const { createMockSfServer } = require("./support/mockSfServer");
+
+const JWT_SECRET = "test-jwt-secret";
+const KEYS = { viewer: "viewer-key", operator: "operator-key", admin: "admin-key" };
+const SYNC_LIMIT = 3;
+
+const mock = createMockSfServer();
+const signingKey = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+const rsaKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+let dir;
+let server;
+let apiUrl;
+
+test.before(async () => {
+    const baseUrl = await mock.start();
+    dir = setupTestEnv({
+        SF_BASE_URL: baseUrl,
+        AUTH_ENABLED: "true",
+        JWT_SECRET,
+        JWT_ISSUER: "https://idp.example.com",
+        RATE_LIMIT_SYNC_MAX: String(SYNC_LIMIT),
+    });
+
+    const apiKeysFile = path.join(dir, "api-keys.json");
+    fs.writeFileSync(
+        apiKeysFile,
+        JSON.stringify([
+            { client: "dashboard", key: KEYS.viewer, roles: ["viewer"] },
+            {
+                client: "hr-portal",
+                keyHash: crypto.createHash("sha256").update(KEYS.operator).digest("hex"),
+                roles: ["operator"],
+            },
+            { client: "ops", key: KEYS.admin, roles: ["admin"] },
+        ]),
+    );
+    const jwksFile = path.join(dir, "jwks.json");
+    const jwk = { ...signingKey.publicKey.export({ format: "jwk" }), kid: "idp-1", alg: "ES256", use: "sig" };
+    const rsaJwk = { ...rsaKey.publicKey.export({ format: "jwk" }), kid: "idp-rsa" };
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [jwk, rsaJwk] }));
+    Object.assign(process.env, { API_KEYS_FILE: apiKeysFile, JWT_JWKS_FILE: jwksFile });
+
+    const { app } = require("../src");
+    require("../src/services/auth").validateAuthConfig();
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await mock.stop();
+});
+
+/**
+ * Sign a JWT
+ * @param {Object} claims - Claims (exp defaults to an hour from now, iss to the configured issuer)
+ * @param {Object} options - { alg: 'HS256' | 'RS256' | 'PS256' | 'ES256', kid, secret, key (private key) }
+ * @returns {string} - Token
+ */
+function signToken(claims, { alg = "HS256", kid, secret = JWT_SECRET, key } = {}) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+    const payload = { iss: "https://idp.example.com", exp: Math.floor(Date.now() / 1000) + 3600, ...claims };
+    const signingInput = `${encode({ alg, typ: "JWT", ...(kid ? { kid } : {}) })}.${encode(payload)}`;
+    let signature;
+    if (alg === "HS256") {
+        signature = crypto.createHmac("sha256", secret).update(signingInput).digest();
+    } else if (alg === "PS256") {
+        signature = crypto.sign("sha256", Buffer.from(signingInput), {
+            key: key || rsaKey.privateKey,
+            padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+            saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST,
+        });
+    } else {
+        signature = crypto.sign("sha256", Buffer.from(signingInput), {
+            key: key || (alg === "RS256" ? rsaKey.privateKey : signingKey.privateKey),
+            dsaEncoding: "ieee-p1363",
+        });
+    }
+    return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Call the API
+ * @param {string} route - Path and query
+ * @param {Object} options - { method, headers, body }
+ * @returns {Promise<{status: number, headers: Headers, body: Object}>} - Response
+ */
+async function call(route, { method = "GET", headers = {}, body } = {}) {
+    const response = await fetch(`${apiUrl}${route}`, {
+        method,
+        headers: { "Content-Type": "application/json", ...headers },
+        body: body && JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+/**
+ * Read the audit log entries
+ * @returns {Array<Object>} - Entries, oldest first
+ */
+function readAudit() {
+    return fs
+        .readFileSync(path.join(dir, "data", "audit.log"), "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+}
+
+test("API requests need credentials, health checks do not", async () => {
+    const { status, headers, body } = await call("/api/jobs");
+    assert.equal(status, 401);
+    assert.equal(body.success, false);
+    assert.match(headers.get("www-authenticate"), /Bearer/);
+
+    assert.equal((await call("/health/live")).status, 200);
+});
+
+test("API keys", async (t) => {
+    await t.test("accept a known key, stored plain or hashed", async () => {
+        assert.equal((await call("/api/jobs", { headers: { "X-API-Key": KEYS.viewer } })).status, 200);
+        assert.equal((await call("/api/jobs", { headers: { "X-API-Key": KEYS.operator } })).status, 200);
+    });
+
+    await t.test("reject an unknown key", async () => {
+        const { status, body } = await call("/api/jobs", { headers: { "X-API-Key": "guess" } });
+        assert.equal(status, 401);
+        assert.equal(body.error, "Invalid API key");
+    });
+});
+
+test("JWT bearer tokens", async (t) => {
+    const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+    await t.test("accept HS256 tokens signed with the secret", async () => {
+        const token = signToken({ sub: "etl", roles: ["viewer"] });
+        assert.equal((await call("/api/jobs", bearer(token))).status, 200);
+    });
+
+    await t.test("accept ES256 tokens signed with a JWKS key", async () => {
+        const token = signToken({ sub: "etl", roles: "viewer offline_access" }, { alg: "ES256", kid: "idp-1" });
+        assert.equal((await call("/api/jobs", bearer(token))).status, 200);
+    });
+
+    await t.test("accept RS256 and PS256 tokens signed with an RSA JWKS key", async () => {
+        for (const alg of ["RS256", "PS256"]) {
+            const token = signToken({ sub: "etl", roles: ["viewer"] }, { alg, kid: "idp-rsa" });
+            assert.equal((await call("/api/jobs", bearer(token))).status, 200, alg);
+        }
+    });
+
+    await t.test("reject invalid tokens", async () => {
+        const now = Math.floor(Date.now() / 1000);
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+        const rejected = {
+            "Invalid token signature": signToken({ sub: "etl" }, { secret: "other-secret" }),
+            "Token expired": signToken({ sub: "etl", exp: now - 3600 }),
+            "Token has no expiry (exp)": signToken({ sub: "etl", exp: undefined }),
+            "Token issuer not accepted": signToken({ sub: "etl", iss: "https://evil.example.com" }),
+            "Unknown token key: idp-2": signToken({ sub: "etl" }, { alg: "ES256", kid: "idp-2" }),
+            "Unsupported token algorithm: none": `${encode({ alg: "none" })}.${encode({ sub: "etl", exp: now + 60 })}.`,
+            "Malformed token": "not-a-token",
+            "Token algorithm ES256 does not match key idp-rsa": signToken(
+                { sub: "etl" },
+                { alg: "ES256", kid: "idp-rsa" },
+            ),
+            "Token algorithm RS256 does not match key idp-1": signToken(
+                { sub: "etl" },
+                { alg: "RS256", kid: "idp-1", key: rsaKey.privateKey },
+            ),
+            "Unsupported token algorithm: HS512x": `${encode({ alg: "HS512x" })}.${encode({ sub: "etl" })}.c2ln`,
+        };
+        for (const [error, token] of Object.entries(rejected)) {
+            const { status, body } = await call("/api/jobs", bearer(token));
+            assert.equal(status, 401, error);
+            assert.equal(body.error, error);
+        }
+    });
+
+    await t.test("reject a tampered payload", async () => {
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+        const exp = Math.floor(Date.now() / 1000) + 3600;
+        const forged = encode({ sub: "etl", roles: ["admin"], iss: "https://idp.example.com", exp });
+        for (const options of [
+            {},
+            { alg: "RS256", kid: "idp-rsa" },
+            { alg: "PS256", kid: "idp-rsa" },
+            { alg: "ES256", kid: "idp-1" },
+        ]) {
+            const [header, , signature] = signToken({ sub: "etl", roles: ["viewer"] }, options).split(".");
+            const { status, body } = await call("/api/jobs", bearer(`${header}.${forged}.${signature}`));
+            assert.equal(status, 401, options.alg);
+            assert.equal(body.error, "Invalid token signature");
+        }
+    });
+
+    await t.test("reject an HS256 token signed with a JWKS public key as the secret", async () => {
+        const secret = rsaKey.publicKey.export({ type: "spki", format: "pem" });
+        const token = signToken({ sub: "etl", roles: ["admin"] }, { kid: "idp-rsa", secret });
+        const { status, body } = await call("/api/jobs", bearer(token));
+        assert.equal(status, 401);
+        assert.equal(body.error, "Invalid token signature");
+    });
+});
+
+test("roles", async (t) => {
+    await t.test("viewers cannot trigger syncs", async () => {
+        const { status, body } = await call("/api/sync?startDate=2024-01-01", {
+            headers: { "X-API-Key": KEYS.viewer },
+        });
+        assert.equal(status, 403);
+        assert.equal(body.error, "Forbidden: requires role operator");
+        assert.equal(mock.requests.length, 0);
+    });
+
+    await t.test("operators can trigger syncs but not change watermarks", async () => {
+        const headers = { "X-API-Key": KEYS.operator };
+        const { status, body } = await call("/api/sync", {
+            method: "POST",
+            headers,
+            body: { startDate: "2024-01-01", dialects: ["postgres"], wait: true },
+        });
+        assert.equal(status, 200);
+        assert.equal(body.totalFetched, 25);
+
+        const run = await call(`/api/syncs/${body.jobId}`, { headers });
+        assert.equal(run.body.sync.params.triggeredBy, "hr-portal");
+
+        assert.equal((await call("/api/watermark", { method: "DELETE", headers })).status, 403);
+    });
+
+    await t.test("admins can change watermarks", async () => {
+        const { status } = await call("/api/watermark", { method: "DELETE", headers: { "X-API-Key": KEYS.admin } });
+        assert.equal(status, 200);
+    });
+});
+
+test("sync triggers are rate limited per client", async () => {
+    const trigger = (key) => call("/api/sync?startDate=invalid", { headers: { "X-API-Key": key } });
+
+    for (let attempt = 1; attempt <= SYNC_LIMIT; attempt++) {
+        const { status, headers } = await trigger(KEYS.admin);
+        assert.equal(status, 400);
+        assert.equal(headers.get("ratelimit-remaining"), String(SYNC_LIMIT - attempt));
+    }
+    const limited = await trigger(KEYS.admin);
+    assert.equal(limited.status, 429);
+    assert.ok(parseInt(limited.headers.get("retry-after"), 10) > 0);
+
+    // Other clients have their own counter
+    assert.equal((await trigger(KEYS.operator)).status, 400);
+});
+
+test("the audit log records who did what", () => {
+    const entries = readAudit();
+
+    const sync = entries.find((entry) => entry.action === "sync.trigger" && entry.outcome === "success");
+    assert.equal(sync.client, "hr-portal");
+    assert.equal(sync.authMethod, "apiKey");
+    assert.equal(sync.method, "POST");
+    assert.equal(sync.path, "/api/sync");
+    assert.equal(sync.params.startDate, "2024-01-01");
+    assert.deepEqual(sync.params.dialects, ["postgres"]);
+    assert.ok(sync.jobId);
+    assert.ok(sync.correlationId);
+
+    const actions = new Set(entries.map((entry) => `${entry.action}:${entry.outcome}`));
+    for (const expected of [
+        "auth.failed:denied",
+        "access.denied:denied",
+        "sync.trigger:rejected",
+        "watermark.reset:success",
+        "rate_limit.exceeded:denied",
+    ]) {
+        assert.ok(actions.has(expected), expected);
+    }
+    assert.ok(!JSON.stringify(entries).includes(KEYS.operator), "keys are not logged");
+});
+
+test("the server does not start without authentication settings by default", async () => {
+    const env = { ...process.env, PORT: "0" };
+    for (const name of ["AUTH_ENABLED", "API_KEYS_FILE", "JWT_SECRET", "JWT_JWKS_FILE"]) {
+        delete env[name];
+    }
+    const { code, output } = await new Promise((resolve) => {
+        execFile(
+            process.execPath,
+            [path.join(__dirname, "..", "src", "index.js")],
+            { env, timeout: 30000 },
+            (error, stdout, stderr) => resolve({ code: error ? error.code : 0, output: stdout + stderr }),
+        );
+    });
+
+    assert.equal(code, 1);
+    assert.match(output, /API authentication needs one of API_KEYS_FILE, JWT_SECRET or JWT_JWKS_FILE/);
+    assert.match(output, /AUTH_ENABLED=false/);
+});
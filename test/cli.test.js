@@ -0,0 +1,83 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { execFile } = require("child_process");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./support/testEnv");
+const { createMockSfServer } = require("./support/mockSfServer");
+
+const BIN = path.join(__dirname, "..", "bin", "sf-sync.js");
+
+const dir = setupTestEnv();
+const mock = createMockSfServer();
+const notifications = [];
+const webhook = http.createServer((req, res) => {
+    notifications.push(req.url);
+    res.end();
+});
+let sfEnv;
+
+test.before(async () => {
+    webhook.listen(0, "127.0.0.1");
+    await new Promise((resolve) => webhook.once("listening", resolve));
+    sfEnv = {
+        SF_BASE_URL: await mock.start(),
+        NOTIFY_EVENTS: "success,failure,anomaly",
+        NOTIFY_WEBHOOK_URL: `http://127.0.0.1:${webhook.address().port}/hook`,
+    };
+});
+
+test.after(async () => {
+    await new Promise((resolve) => webhook.close(resolve));
+    await mock.stop();
+});
+
+/**
+ * Run the sf-sync executable outside the repository
+ * @param {Array<string>} args - Arguments
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} - Exit code and output
+ */
+function runCli(args, env = {}) {
+    return new Promise((resolve) => {
+        execFile(
+            process.execPath,
+            [BIN, ...args],
+            { cwd: dir, env: { ...process.env, ...env }, timeout: 30000 },
+            (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }),
+        );
+    });
+}
+
+test("runs from any working directory", async () => {
+    const { code, stdout } = await runCli(["sync", "--help"]);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Entity to sync: position, department/);
+});
+
+test("a missing field mapping is a configuration error", async () => {
+    const mappingsDir = path.join(dir, "mappings");
+    fs.mkdirSync(mappingsDir);
+    const { code, stdout, stderr } = await runCli(["sync", "--start", "2024-01-01"], { MAPPINGS_DIR: mappingsDir });
+
+    assert.equal(code, 2);
+    assert.equal(stdout, "");
+    assert.equal(stderr, `Configuration error: No field mapping found for entity 'position' in ${mappingsDir}\n`);
+});
+
+test("a dry run is neither recorded in the sync history nor notified", async () => {
+    const { code, stdout } = await runCli(["sync", "--dry-run"], sfEnv);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Dry run: +nothing written/);
+    assert.equal(fs.existsSync(process.env.HISTORY_FILE), false);
+    assert.deepEqual(notifications, []);
+
+    const run = await runCli(["sync", "--dialect", "postgres"], sfEnv);
+
+    assert.equal(run.code, 0);
+    assert.equal(JSON.parse(fs.readFileSync(process.env.HISTORY_FILE, "utf8")).runs.length, 1);
+    assert.deepEqual(notifications, ["/hook"]);
+});
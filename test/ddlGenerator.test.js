@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./support/testEnv");
+
+setupTestEnv();
+const { generateCreateTable, generateDdlScript } = require("../src/utils/ddlGenerator");
+const { getEntity, getHistoryEntity } = require("../src/entities");
+const { listDialects } = require("../src/utils/dialects");
+
+const position = getEntity("position");
+
+test("generateCreateTable", async (t) => {
+    await t.test("creates a table for every dialect with the mapped columns and key", () => {
+        for (const dialect of listDialects()) {
+            const ddl = generateCreateTable(position, dialect);
+            assert.match(ddl, /CREATE TABLE job_sf_position \(\n/, dialect);
+            assert.match(ddl, /\n {4}PRIMARY KEY \(code\)\n\);$/, dialect);
+            for (const column of Object.values(position.fieldMapping)) {
+                assert.match(ddl, new RegExp(`\\n {4}${column} `), `${dialect}: ${column}`);
+            }
+        }
+    });
+
+    await t.test("maps types and nullability per dialect", () => {
+        const postgres = generateCreateTable(position, "postgres");
+        assert.match(postgres, /\n {4}code VARCHAR\(128\) NOT NULL,\n/);
+        assert.match(postgres, /\n {4}last_modified_date_time TIMESTAMP\(3\) NOT NULL,\n/);
+        assert.match(postgres, /\n {4}job_title VARCHAR\(255\),\n/);
+
+        const oracle = generateCreateTable(position, "oracle");
+        assert.match(oracle, /\n {4}code VARCHAR2\(128 CHAR\) NOT NULL,\n/);
+    });
+
+    await t.test("adds the soft delete columns on request", () => {
+        assert.doesNotMatch(generateCreateTable(position, "postgres"), /is_active/);
+        const ddl = generateCreateTable(position, "oracle", { softDelete: true });
+        assert.match(ddl, /\n {4}is_active NUMBER\(1\),\n {4}deactivated_at TIMESTAMP\(3\),\n/);
+    });
+
+    await t.test("creates type 2 history tables keyed by the effective start date", () => {
+        const ddl = generateCreateTable(getHistoryEntity("position"), "postgres", { softDelete: true });
+        assert.match(ddl, /^CREATE TABLE job_sf_position_history \(\n/);
+        assert.match(ddl, /\n {4}effective_start_date TIMESTAMP\(3\) NOT NULL,\n/);
+        assert.match(
+            ddl,
+            /\n {4}valid_from TIMESTAMP\(3\) NOT NULL,\n {4}valid_to TIMESTAMP\(3\),\n {4}is_current BOOLEAN NOT NULL,\n/,
+        );
+        assert.match(ddl, /\n {4}PRIMARY KEY \(code, effective_start_date\)\n\);$/);
+        assert.doesNotMatch(ddl, /is_active/);
+    });
+});
+
+test("generateDdlScript", () => {
+    const script = generateDdlScript([position, getEntity("department")], ["postgres", "mysql"]);
+    assert.equal(script.match(/CREATE TABLE /g).length, 4);
+    assert.match(script, /CREATE TABLE job_sf_position/);
+    assert.match(script, new RegExp(`CREATE TABLE ${getEntity("department").table}`));
+});
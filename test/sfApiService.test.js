@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./support/testEnv");
+const { createMockSfServer } = require("./support/mockSfServer");
+
+const mock = createMockSfServer();
+let sfApiService;
+
+test.before(async () => {
+    const baseUrl = await mock.start();
+    setupTestEnv({ SF_BASE_URL: baseUrl, REQUEST_TIMEOUT: "200", REQUEST_RETRY_ATTEMPTS: "3" });
+    sfApiService = require("../src/services/sfApiService");
+});
+
+test.after(() => mock.stop());
+
+test.beforeEach(() => mock.reset());
+
+test("buildDateFilter", async (t) => {
+    const { buildDateFilter } = require("../src/services/sfApiService");
+
+    await t.test("filters a date range, extending bare dates to midnight", () => {
+        assert.equal(
+            buildDateFilter("2024-01-01", "2024-01-31T23:59:59"),
+            "lastModifiedDateTime ge datetime'2024-01-01T00:00:00' and " +
+                "lastModifiedDateTime le datetime'2024-01-31T23:59:59'",
+        );
+    });
+
+    await t.test("filters an open-ended range", () => {
+        assert.equal(buildDateFilter("2024-01-01", null), "lastModifiedDateTime ge datetime'2024-01-01T00:00:00'");
+        assert.equal(buildDateFilter(null, "2024-01-31"), "lastModifiedDateTime le datetime'2024-01-31T00:00:00'");
+    });
+
+    await t.test("defaults to the last 24 hours", () => {
+        const match = buildDateFilter(null, null).match(/^lastModifiedDateTime ge datetime'(.+)'$/);
+        assert.ok(match);
+        const ageMs = Date.now() - Date.parse(`${match[1]}Z`);
+        assert.ok(ageMs >= 24 * 60 * 60 * 1000 - 5000 && ageMs < 24 * 60 * 60 * 1000 + 5000, `age ${ageMs}ms`);
+    });
+
+    await t.test("uses the given field", () => {
+        assert.equal(
+            buildDateFilter("2024-01-01", null, "lastModified"),
+            "lastModified ge datetime'2024-01-01T00:00:00'",
+        );
+    });
+});
+
+test("buildQueryFilter formats field filters by the mapped field type", () => {
+    const { buildQueryFilter } = require("../src/services/sfApiService");
+    const { getEntity } = require("../src/entities");
+    const clauses = (entity, fieldFilters) =>
+        buildQueryFilter(getEntity(entity), "2024-01-01", null, { fieldFilters }).split(" and ").slice(1);
+
+    assert.deepEqual(clauses("empJob", { seqNumber: "3", costCenter: 123 }), ["seqNumber eq 3", "costCenter eq '123'"]);
+    assert.deepEqual(clauses("jobCode", { isFulltimeEmployee: ["true", false] }), [
+        "(isFulltimeEmployee eq true or isFulltimeEmployee eq false)",
+    ]);
+});
+
+test("fetchPositions", async (t) => {
+    await t.test("pages with $top/$skip and $select", async () => {
+        const first = await sfApiService.fetchPositions(10, 0, "2024-01-01");
+        const last = await sfApiService.fetchPositions(10, 20, "2024-01-01");
+        assert.equal(first.length, 10);
+        assert.equal(first[0].code, "POS0001");
+        assert.equal(last.length, 5);
+        assert.equal(last[4].code, "POS0025");
+
+        const { query } = mock.requests[0];
+        assert.equal(query.$top, "10");
+        assert.equal(query.$skip, "0");
+        assert.match(query.$select, /^code,/);
+        assert.equal(query.$filter, "lastModifiedDateTime ge datetime'2024-01-01T00:00:00'");
+    });
+
+    await t.test("applies the date filter to /Date(...)/ values", async () => {
+        const records = await sfApiService.fetchPositions(100, 0, "2024-01-10", "2024-01-12T23:59:59");
+        assert.deepEqual(
+            records.map((record) => record.code),
+            ["POS0010", "POS0011", "POS0012"],
+        );
+    });
+
+    await t.test("retries server errors", async () => {
+        mock.fail({ status: 500, times: 2 });
+        const records = await sfApiService.fetchPositions(5, 0, "2024-01-01");
+        assert.equal(records.length, 5);
+        assert.equal(mock.requests.length, 3);
+    });
+
+    await t.test("retries 429 after Retry-After", async () => {
+        mock.fail({ status: 429, retryAfter: 0 });
+        const records = await sfApiService.fetchPositions(5, 0, "2024-01-01");
+        assert.equal(records.length, 5);
+        assert.equal(mock.requests.length, 2);
+    });
+
+    await t.test("retries timeouts", async () => {
+        mock.fail({ delay: 400 });
+        const records = await sfApiService.fetchPositions(5, 0, "2024-01-01");
+        assert.equal(records.length, 5);
+        assert.equal(mock.requests.length, 2);
+    });
+
+    await t.test("fails after the last attempt", async () => {
+        mock.fail({ status: 503, times: 3 });
+        await assert.rejects(sfApiService.fetchPositions(5, 0, "2024-01-01"), {
+            code: "SF_API_ERROR",
+            status: 503,
+        });
+        assert.equal(mock.requests.length, 3);
+    });
+
+    await t.test("does not retry client errors", async () => {
+        mock.fail({ status: 400 });
+        await assert.rejects(sfApiService.fetchPositions(5, 0, "2024-01-01"), { status: 400 });
+        assert.equal(mock.requests.length, 1);
+    });
+});
+
+test("fetchEntitySnapshotPage follows __next until the last page", async () => {
+    const { getEntity } = require("../src/entities");
+    const entity = getEntity("position");
+    const codes = [];
+    let nextUrl = null;
+    let pages = 0;
+    do {
+        const page = await sfApiService.fetchEntitySnapshotPage(entity, nextUrl, 10, "2024-01-01");
+        codes.push(...page.results.map((record) => record.code));
+        nextUrl = page.nextUrl;
+        pages++;
+    } while (nextUrl);
+
+    assert.equal(pages, 3);
+    assert.equal(codes.length, 25);
+    assert.equal(new Set(codes).size, 25);
+    assert.equal(mock.requests[0].query.paging, "snapshot");
+});
+
+test("fetchEntityCount counts matching records", async () => {
+    const { getEntity } = require("../src/entities");
+    assert.equal(await sfApiService.fetchEntityCount(getEntity("position"), "2024-01-21"), 5);
+});
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const http = require("http");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./support/testEnv");
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const tokenRequests = [];
+let tokenResponse = {};
+const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+        tokenRequests.push({ url: req.url, form: new URLSearchParams(body) });
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ access_token: `token-${tokenRequests.length}`, ...tokenResponse }));
+    });
+});
+let sfAuthService;
+
+test.before(async () => {
+    server.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    setupTestEnv({
+        SF_BASE_URL: `${baseUrl}/odata/v2`,
+        SF_AUTH_MODE: "oauth",
+        SF_CLIENT_ID: "client&1",
+        SF_COMPANY_ID: "company",
+        SF_USER_ID: "sync-user",
+        SF_PRIVATE_KEY: privateKey.export({ type: "pkcs8", format: "pem" }),
+        SF_TOKEN_REFRESH_MARGIN: "300",
+    });
+    sfAuthService = require("../src/services/sfAuthService");
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test.beforeEach(() => {
+    tokenRequests.length = 0;
+    tokenResponse = {};
+    sfAuthService.invalidateAccessToken();
+});
+
+test("signs the SAML assertion locally instead of sending the private key to /oauth/idp", async () => {
+    assert.equal(await sfAuthService.getAccessToken(), "token-1");
+
+    assert.deepEqual(
+        tokenRequests.map(({ url }) => url),
+        ["/oauth/token"],
+    );
+    const xml = Buffer.from(tokenRequests[0].form.get("assertion"), "base64").toString("utf8");
+    assert.match(xml, /<saml2:Issuer>client&amp;1<\/saml2:Issuer>/);
+    assert.match(xml, /<saml2:NameID [^>]*>sync-user<\/saml2:NameID>/);
+    assert.match(xml, /Recipient="http:\/\/127\.0\.0\.1:\d+\/oauth\/token"/);
+
+    const signature = xml.match(/<ds:Signature [^>]*>.*<\/ds:Signature>/)[0];
+    const digest = crypto.createHash("sha256").update(xml.replace(signature, "")).digest("base64");
+    assert.equal(signature.match(/<ds:DigestValue>(.*)<\/ds:DigestValue>/)[1], digest);
+    const signedInfo = signature
+        .match(/<ds:SignedInfo>.*<\/ds:SignedInfo>/)[0]
+        .replace("<ds:SignedInfo>", '<ds:SignedInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#">');
+    const signatureValue = signature.match(/<ds:SignatureValue>(.*)<\/ds:SignatureValue>/)[1];
+    assert.ok(crypto.verify("sha256", Buffer.from(signedInfo), publicKey, Buffer.from(signatureValue, "base64")));
+});
+
+test("reuses a token that lives shorter than the refresh margin", async () => {
+    tokenResponse = { expires_in: 60 };
+
+    assert.equal(await sfAuthService.getAccessToken(), "token-1");
+    assert.equal(await sfAuthService.getAccessToken(), "token-1");
+    assert.equal(tokenRequests.length, 1);
+});
+
+test("reuses a token without expires_in until it is invalidated", async () => {
+    assert.equal(await sfAuthService.getAccessToken(), "token-1");
+    assert.equal(await sfAuthService.getAccessToken(), "token-1");
+
+    sfAuthService.invalidateAccessToken();
+    assert.equal(await sfAuthService.getAccessToken(), "token-2");
+});
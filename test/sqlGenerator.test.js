@@ -0,0 +1,203 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./support/testEnv");
+
+setupTestEnv();
+const {
+    parseSFDate,
+    generateInsertIfNotExists,
+    generateHistoryStatements,
+    generateSoftDelete,
+    generateSqlHeader,
+    generateSqlFooter,
+    isRecordInactive,
+} = require("../src/utils/sqlGenerator");
+const { escapeSqlString } = require("../src/utils/dialects/base");
+const { listDialects } = require("../src/utils/dialects");
+const { getEntity, getHistoryEntity } = require("../src/entities");
+const positions = require("./fixtures/Position.json");
+
+const record = positions.find((position) => position.code === "POS0004"); // jobTitle with a quote
+
+test("parseSFDate", async (t) => {
+    await t.test("converts /Date(ms)/ to a UTC timestamp", () => {
+        assert.equal(parseSFDate("/Date(1704096000000)/"), "2024-01-01 08:00:00.000");
+    });
+
+    await t.test("ignores the offset suffix", () => {
+        assert.equal(parseSFDate("/Date(1704096000000+0000)/"), "2024-01-01 08:00:00.000");
+    });
+
+    await t.test("accepts negative timestamps", () => {
+        assert.equal(parseSFDate("/Date(-86400000)/"), "1969-12-31 00:00:00.000");
+    });
+
+    await t.test("accepts ISO date strings", () => {
+        assert.equal(parseSFDate("2024-01-31T10:15:00Z"), "2024-01-31 10:15:00.000");
+    });
+
+    await t.test("returns null for empty and invalid values", () => {
+        assert.equal(parseSFDate(null), null);
+        assert.equal(parseSFDate(""), null);
+        assert.equal(parseSFDate("not a date"), null);
+    });
+});
+
+test("escapeSqlString", async (t) => {
+    await t.test("doubles single quotes", () => {
+        assert.equal(escapeSqlString("Director's Assistant"), "Director''s Assistant");
+        assert.equal(escapeSqlString("''"), "''''");
+    });
+
+    await t.test("converts non-strings and keeps null", () => {
+        assert.equal(escapeSqlString(42), "42");
+        assert.equal(escapeSqlString(null), null);
+        assert.equal(escapeSqlString(undefined), null);
+    });
+});
+
+test("generateInsertIfNotExists", async (t) => {
+    await t.test("produces an insert-if-missing statement for every dialect", () => {
+        const expected = {
+            oracle: /^MERGE INTO job_sf_position target\n[\s\S]*WHEN NOT MATCHED THEN/,
+            postgres: /^INSERT INTO job_sf_position [\s\S]*ON CONFLICT \(code\) DO NOTHING;$/,
+            mysql: /^INSERT IGNORE INTO job_sf_position /,
+            sqlserver: /^MERGE INTO job_sf_position AS target\n/,
+            sqlite: /^INSERT OR IGNORE INTO job_sf_position /,
+        };
+        assert.deepEqual(listDialects().sort(), Object.keys(expected).sort());
+        for (const [dialect, pattern] of Object.entries(expected)) {
+            const sql = generateInsertIfNotExists(record, dialect, "insert");
+            assert.match(sql, pattern, dialect);
+            assert.ok(sql.trimEnd().endsWith(";"), `${dialect} statement is terminated`);
+        }
+    });
+
+    await t.test("escapes quotes and converts dates and nulls", () => {
+        const sql = generateInsertIfNotExists(record, "postgres", "insert");
+        assert.match(sql, /'Director''s Assistant'/);
+        assert.match(sql, /'2024-01-04 08:00:00.000'::timestamp/);
+        assert.match(sql, /'CC1003', 'Position 4', 'A', NULL,/);
+    });
+
+    await t.test("uses the dialect's date and string literals", () => {
+        assert.match(
+            generateInsertIfNotExists(record, "oracle"),
+            /TO_TIMESTAMP\('2024-01-04 08:00:00.000', 'YYYY-MM-DD HH24:MI:SS.FF3'\)/,
+        );
+        assert.match(generateInsertIfNotExists(record, "sqlserver"), /N'Director''s Assistant'/);
+        assert.match(generateInsertIfNotExists(record, "mysql"), /TIMESTAMP\('2024-01-04 08:00:00.000'\)/);
+    });
+
+    await t.test("upsert only overwrites older rows", () => {
+        const sql = generateInsertIfNotExists(record, "postgres", "upsert");
+        assert.match(sql, /ON CONFLICT \(code\) DO UPDATE SET\n/);
+        assert.match(sql, /job_title = EXCLUDED.job_title,/);
+        assert.doesNotMatch(sql, /code = EXCLUDED.code/);
+        assert.match(sql, /WHERE job_sf_position.last_modified_date_time IS NULL OR .* < EXCLUDED/);
+    });
+
+    await t.test("update mode updates by key", () => {
+        const sql = generateInsertIfNotExists(record, "postgres", "update");
+        assert.match(sql, /^UPDATE job_sf_position SET\n/);
+        assert.match(sql, /WHERE code = 'POS0004'\n/);
+    });
+
+    await t.test("soft delete adds the active flag columns", () => {
+        const sql = generateInsertIfNotExists(record, "postgres", "insert", undefined, { softDelete: true });
+        assert.match(sql, /is_active, deactivated_at\)/);
+        assert.match(sql, /TRUE, NULL\)/);
+    });
+});
+
+test("generateSoftDelete", async (t) => {
+    await t.test("deactivates rows that are still active", () => {
+        const sql = generateSoftDelete(record, "postgres");
+        assert.match(sql, /^UPDATE job_sf_position SET\n {4}is_active = FALSE,/);
+        assert.match(sql, /WHERE code = 'POS0004'\n {2}AND \(is_active IS NULL OR is_active <> FALSE\);$/);
+    });
+
+    await t.test("treats inactive and end-dated records as inactive", () => {
+        const entity = getEntity("position");
+        assert.equal(isRecordInactive(record, entity), false);
+        assert.equal(
+            isRecordInactive(
+                positions.find((position) => position.effectiveStatus === "I"),
+                entity,
+            ),
+            true,
+        );
+        assert.equal(isRecordInactive(positions[12], entity), true); // ended 2023-12-31
+    });
+});
+
+test("generateHistoryStatements", async (t) => {
+    const history = getHistoryEntity("position");
+    const version = positions.find((position) => position.jobTitle === "Senior Engineer 25"); // from 2024-07-01
+
+    await t.test("keys history rows by code and effective start date", () => {
+        assert.equal(history.table, "job_sf_position_history");
+        assert.deepEqual(history.keyColumns, ["code", "effective_start_date"]);
+        assert.deepEqual(history.businessKeyColumns, ["code"]);
+    });
+
+    await t.test("closes the previous version where this one starts", () => {
+        const [close] = generateHistoryStatements(version, "postgres", "insert", history);
+        const start = "'2024-07-01 00:00:00.000'::timestamp";
+        assert.equal(
+            close,
+            `UPDATE job_sf_position_history SET\n    valid_to = ${start},\n    is_current = FALSE\n` +
+                `WHERE code = 'POS0025' AND effective_start_date < ${start}\n` +
+                `  AND (valid_to IS NULL OR valid_to > ${start});`,
+        );
+    });
+
+    await t.test("postgres inserts the version valid until the next stored one", () => {
+        const [, insert] = generateHistoryStatements(version, "postgres", "insert", history);
+        const nextStart =
+            "(SELECT MIN(effective_start_date) FROM job_sf_position_history WHERE code = 'POS0025' " +
+            "AND effective_start_date > '2024-07-01 00:00:00.000'::timestamp)";
+        assert.match(insert, /^INSERT INTO job_sf_position_history \(.*, valid_from, valid_to, is_current\)\n/);
+        assert.ok(
+            insert.includes(`'2024-07-01 00:00:00.000'::timestamp, ${nextStart}, CASE WHEN ${nextStart} IS NULL`),
+        );
+        assert.match(insert, /\nON CONFLICT \(code, effective_start_date\) DO NOTHING;$/);
+
+        const upsert = generateHistoryStatements(version, "postgres", "upsert", history)[1];
+        assert.match(upsert, /\n {4}valid_to = EXCLUDED\.valid_to,\n {4}is_current = EXCLUDED\.is_current\n/);
+        assert.match(upsert, /WHERE job_sf_position_history\.last_modified_date_time IS NULL OR /);
+    });
+
+    await t.test("oracle merges the version, looking up the next one in the source row", () => {
+        const [close, merge] = generateHistoryStatements(version, "oracle", "upsert", history);
+        assert.match(close, /\n {4}is_current = 0\n/);
+        assert.match(merge, /^MERGE INTO job_sf_position_history target\n/);
+        assert.match(
+            merge,
+            /, \(SELECT MIN\(effective_start_date\) FROM job_sf_position_history WHERE .*\) AS next_start/,
+        );
+        assert.match(
+            merge,
+            /ON \(target\.code = source\.code AND target\.effective_start_date = source\.effective_start_date\)/,
+        );
+        assert.match(merge, /\n {8}target\.valid_to = source\.next_start,\n/);
+        assert.match(merge, /source\.next_start, CASE WHEN source\.next_start IS NULL THEN 1 ELSE 0 END\);$/);
+
+        const insertOnly = generateHistoryStatements(version, "oracle", "insert", history)[1];
+        assert.doesNotMatch(insertOnly, /WHEN MATCHED/);
+    });
+
+    await t.test("is only available in dialects that support it", () => {
+        assert.throws(
+            () => generateHistoryStatements(version, "mysql", "insert", history),
+            /MySQL does not support history tables. Use one of: oracle, postgres/,
+        );
+    });
+});
+
+test("generateSqlHeader and generateSqlFooter", () => {
+    const header = generateSqlHeader("2024-01-01", "2024-01-31", "postgres", { writeMode: "upsert" });
+    assert.match(header, /-- Date Range: 2024-01-01 to 2024-01-31\n/);
+    assert.match(header, /-- Write Mode: upsert\n/);
+    assert.match(generateSqlFooter(3), /-- Total Records: 3\n/);
+});
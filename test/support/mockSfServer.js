@@ -0,0 +1,384 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+/**
+ * Offline mock of the SuccessFactors OData v2 API, serving entity sets from fixture files
+ *
+ * Supported:
+ * - GET /odata/v2/<EntitySet> and /odata/v2/<EntitySet>/$count
+ * - $select, $top/$skip, $inlinecount=allpages, snapshot paging (paging=snapshot, customPageSize, d.__next)
+ * - $filter clauses joined by 'and' / 'or': datetime comparisons (lastModifiedDateTime ge datetime'...'),
+ *   string equality (field eq 'A') and startswith(field,'X') eq true|false; anything else is a 400
+ * - /Date(ms)/ values in the fixtures, compared as timestamps
+ * - effective dating of the entity sets in EFFECTIVE_DATED: the latest version of each record starting on or
+ *   before asOfDate (default today), or every version overlapping fromDate..toDate
+ * - injected faults: HTTP errors (500, 429 with Retry-After, ...) and slow responses for timeouts
+ *
+ * Used by the test suite, or standalone for manual runs:
+ *   node test/support/mockSfServer.js   (MOCK_SF_PORT, default 4010; fixtures from test/fixtures)
+ */
+
+const BASE_PATH = "/odata/v2";
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "..", "fixtures");
+
+/**
+ * Effective-dated entity sets: the fields identifying a record and holding a version's start and end
+ */
+const EFFECTIVE_DATED = {
+    Position: { key: "code", start: "effectiveStartDate", end: "effectiveEndDate" },
+};
+
+/**
+ * Load fixture files: <EntitySet>.json holding an array of records
+ * @param {string} dir - Fixtures directory
+ * @returns {Object} - Records by entity set
+ */
+function loadFixtures(dir = DEFAULT_FIXTURES_DIR) {
+    const fixtures = {};
+    for (const file of fs.readdirSync(dir).filter((name) => name.endsWith(".json"))) {
+        fixtures[path.basename(file, ".json")] = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    }
+    return fixtures;
+}
+
+/**
+ * Convert an OData value to something comparable: /Date(ms)/ and datetime'...' become epoch milliseconds
+ * @param {any} value - Record value or literal
+ * @returns {any} - Comparable value
+ */
+function toComparable(value) {
+    if (typeof value !== "string") return value;
+    const date = value.match(/^\/Date\((-?\d+)([+-]\d+)?\)\/$/);
+    if (date) return parseInt(date[1], 10);
+    return value;
+}
+
+/**
+ * Split an expression on a keyword outside parentheses and string literals
+ * @param {string} expression - Filter expression
+ * @param {string} keyword - 'and' or 'or'
+ * @returns {Array<string>} - Parts
+ */
+function splitTopLevel(expression, keyword) {
+    const parts = [];
+    const separator = ` ${keyword} `;
+    let depth = 0;
+    let inString = false;
+    let start = 0;
+    for (let i = 0; i < expression.length; i++) {
+        const char = expression[i];
+        if (char === "'") inString = !inString;
+        if (inString) continue;
+        if (char === "(") depth++;
+        if (char === ")") depth--;
+        if (depth === 0 && expression.startsWith(separator, i)) {
+            parts.push(expression.slice(start, i));
+            start = i + separator.length;
+            i += separator.length - 1;
+        }
+    }
+    parts.push(expression.slice(start));
+    return parts.map((part) => part.trim());
+}
+
+/**
+ * Find the parenthesis closing the one an expression starts with
+ * @param {string} expression - Filter expression starting with '('
+ * @returns {number} - Index of the closing parenthesis, or -1
+ */
+function findClosingParenthesis(expression) {
+    let depth = 0;
+    let inString = false;
+    for (let i = 0; i < expression.length; i++) {
+        const char = expression[i];
+        if (char === "'") inString = !inString;
+        if (inString) continue;
+        if (char === "(") depth++;
+        if (char === ")" && --depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Strip parentheses wrapping a whole expression
+ * @param {string} expression - Filter expression
+ * @returns {string} - Unwrapped expression
+ */
+function unwrap(expression) {
+    let result = expression.trim();
+    while (result.startsWith("(") && findClosingParenthesis(result) === result.length - 1) {
+        result = result.slice(1, -1).trim();
+    }
+    return result;
+}
+
+const COMPARISONS = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    gt: (a, b) => a > b,
+    ge: (a, b) => a >= b,
+    lt: (a, b) => a < b,
+    le: (a, b) => a <= b,
+};
+
+/**
+ * Compile a $filter expression into a record predicate
+ * @param {string} expression - $filter value
+ * @returns {Function} - (record) => boolean; throws on unsupported syntax
+ */
+function compileFilter(expression) {
+    const andParts = splitTopLevel(unwrap(expression), "and");
+    if (andParts.length > 1) {
+        const predicates = andParts.map(compileFilter);
+        return (record) => predicates.every((predicate) => predicate(record));
+    }
+    const orParts = splitTopLevel(unwrap(expression), "or");
+    if (orParts.length > 1) {
+        const predicates = orParts.map(compileFilter);
+        return (record) => predicates.some((predicate) => predicate(record));
+    }
+
+    const clause = unwrap(expression);
+    if (clause.startsWith("not (") && findClosingParenthesis(clause.slice(4)) === clause.length - 5) {
+        const predicate = compileFilter(clause.slice(4));
+        return (record) => !predicate(record);
+    }
+    const startsWith = clause.match(/^startswith\((\w+),'((?:[^']|'')*)'\) eq (true|false)$/);
+    if (startsWith) {
+        const [, field, prefix, expected] = startsWith;
+        const literal = prefix.replace(/''/g, "'");
+        return (record) => String(record[field] || "").startsWith(literal) === (expected === "true");
+    }
+    const dateComparison = clause.match(/^(\w+) (eq|ne|gt|ge|lt|le) datetime'([^']+)'$/);
+    if (dateComparison) {
+        const [, field, operator, literal] = dateComparison;
+        const bound = Date.parse(`${literal}Z`);
+        return (record) => {
+            const value = toComparable(record[field]);
+            return value !== null && value !== undefined && COMPARISONS[operator](value, bound);
+        };
+    }
+    const stringComparison = clause.match(/^(\w+) (eq|ne) '((?:[^']|'')*)'$/);
+    if (stringComparison) {
+        const [, field, operator, literal] = stringComparison;
+        return (record) => COMPARISONS[operator](record[field], literal.replace(/''/g, "'"));
+    }
+    throw new Error(`Unsupported filter clause: ${clause}`);
+}
+
+/**
+ * Keep the effective-dated versions a query asks for
+ * @param {Array<Object>} records - Every version, in fixture order
+ * @param {Object} dating - Key, start and end fields (see EFFECTIVE_DATED)
+ * @param {Object} query - Query parameters: fromDate and toDate, or asOfDate (yyyy-MM-dd)
+ * @returns {Array<Object>} - Matching versions, in fixture order
+ */
+function applyEffectiveDating(records, dating, query) {
+    const dayStart = (date) => Date.parse(`${date}T00:00:00Z`);
+    if (query.fromDate || query.toDate) {
+        const from = query.fromDate ? dayStart(query.fromDate) : -Infinity;
+        const to = query.toDate ? dayStart(query.toDate) : Infinity;
+        return records.filter((record) => {
+            const end = toComparable(record[dating.end]);
+            return toComparable(record[dating.start]) <= to && (end === null || end === undefined || end >= from);
+        });
+    }
+
+    // Latest version started by the as-of date; end-dated records stay visible with their last version
+    const asOf = dayStart(query.asOfDate || new Date().toISOString().slice(0, 10));
+    const latest = new Map();
+    for (const record of records) {
+        const start = toComparable(record[dating.start]);
+        const current = latest.get(record[dating.key]);
+        if (start <= asOf && (!current || start > toComparable(current[dating.start]))) {
+            latest.set(record[dating.key], record);
+        }
+    }
+    const visible = new Set(latest.values());
+    return records.filter((record) => visible.has(record));
+}
+
+/**
+ * Keep only the selected fields of a record
+ * @param {Object} record - Fixture record
+ * @param {Array<string>|null} fields - $select fields, or null for all
+ * @returns {Object} - Selected record
+ */
+function selectFields(record, fields) {
+    if (!fields) return { ...record };
+    return Object.fromEntries(fields.map((field) => [field, record[field] === undefined ? null : record[field]]));
+}
+
+/**
+ * Create a mock SuccessFactors server
+ * @param {Object} options - Options
+ * @param {Object} options.fixtures - Records by entity set (default: test/fixtures/*.json)
+ * @returns {Object} - Mock server { start(port), stop(), fail(fault), reset(), requests, baseUrl }
+ */
+function createMockSfServer({ fixtures = loadFixtures() } = {}) {
+    const faults = [];
+    const requests = [];
+    let server = null;
+
+    /**
+     * Take the next injected fault, if any and if it applies to the request
+     * @param {Object} query - Request query parameters
+     * @returns {Object|null} - Fault
+     */
+    function takeFault(query) {
+        const fault = faults[0];
+        if (!fault || (fault.filter && !fault.filter.test(query.$filter || ""))) return null;
+        fault.times--;
+        if (fault.times <= 0) faults.shift();
+        return fault;
+    }
+
+    /**
+     * Write an OData error response
+     * @param {Object} res - HTTP response
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @param {Object} headers - Extra headers
+     */
+    function sendError(res, status, message, headers = {}) {
+        res.writeHead(status, { "Content-Type": "application/json", ...headers });
+        res.end(JSON.stringify({ error: { code: String(status), message: { lang: "en-US", value: message } } }));
+    }
+
+    /**
+     * Handle one request
+     * @param {Object} req - HTTP request
+     * @param {Object} res - HTTP response
+     */
+    async function handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const query = Object.fromEntries(url.searchParams);
+        requests.push({ method: req.method, path: url.pathname, query, headers: req.headers });
+
+        const fault = takeFault(query);
+        if (fault && fault.delay) {
+            await new Promise((resolve) => setTimeout(resolve, fault.delay));
+        }
+        if (fault && fault.status) {
+            const headers = fault.retryAfter !== undefined ? { "Retry-After": String(fault.retryAfter) } : {};
+            return sendError(res, fault.status, fault.message || `Injected ${fault.status}`, headers);
+        }
+
+        const match = url.pathname.match(new RegExp(`^${BASE_PATH}/(\\w+)(/\\$count)?$`));
+        if (req.method !== "GET" || !match) {
+            return sendError(res, 404, `Resource not found: ${url.pathname}`);
+        }
+        const [, entitySet, isCount] = match;
+        if (!fixtures[entitySet]) {
+            return sendError(res, 404, `Entity set not found: ${entitySet}`);
+        }
+
+        let records = fixtures[entitySet];
+        if (EFFECTIVE_DATED[entitySet]) {
+            records = applyEffectiveDating(records, EFFECTIVE_DATED[entitySet], query);
+        }
+        if (query.$filter) {
+            try {
+                records = records.filter(compileFilter(query.$filter));
+            } catch (error) {
+                return sendError(res, 400, error.message);
+            }
+        }
+
+        if (isCount) {
+            res.writeHead(200, { "Content-Type": "text/plain" });
+            return res.end(String(records.length));
+        }
+
+        // Snapshot paging continues from $skiptoken; offset paging uses $top/$skip
+        const snapshot = query.paging === "snapshot" || query.$skiptoken !== undefined;
+        const top = parseInt(snapshot ? query.customPageSize : query.$top, 10) || 1000;
+        const skip = parseInt(snapshot ? query.$skiptoken : query.$skip, 10) || 0;
+        const fields = query.$select ? query.$select.split(",") : null;
+
+        const body = { d: { results: records.slice(skip, skip + top).map((record) => selectFields(record, fields)) } };
+        if (query.$inlinecount === "allpages") {
+            body.d.__count = String(records.length);
+        }
+        if (snapshot && skip + top < records.length) {
+            const next = new URL(url);
+            next.searchParams.delete("paging");
+            next.searchParams.set("customPageSize", String(top));
+            next.searchParams.set("$skiptoken", String(skip + top));
+            body.d.__next = next.toString();
+        }
+
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+    }
+
+    const mock = {
+        requests,
+        baseUrl: null,
+
+        /**
+         * Start listening
+         * @param {number} port - Port (default: a free one)
+         * @returns {Promise<string>} - OData base URL, e.g. http://127.0.0.1:4010/odata/v2
+         */
+        start(port = 0) {
+            server = http.createServer((req, res) => {
+                handle(req, res).catch((error) => sendError(res, 500, error.message));
+            });
+            return new Promise((resolve) => {
+                server.listen(port, "127.0.0.1", () => {
+                    mock.baseUrl = `http://127.0.0.1:${server.address().port}${BASE_PATH}`;
+                    resolve(mock.baseUrl);
+                });
+            });
+        },
+
+        /**
+         * Stop listening
+         * @returns {Promise<void>}
+         */
+        stop() {
+            return new Promise((resolve) => {
+                if (!server) return resolve();
+                server.closeAllConnections();
+                server.close(() => resolve());
+            });
+        },
+
+        /**
+         * Inject a fault for the next requests
+         * @param {Object} fault - Fault
+         * @param {number} fault.status - HTTP status to answer with (e.g. 500, 429)
+         * @param {number} fault.retryAfter - Retry-After header value in seconds (optional)
+         * @param {number} fault.delay - Delay before answering in milliseconds, to trigger client timeouts (optional)
+         * @param {number} fault.times - Number of requests affected (default 1)
+         * @param {RegExp} fault.filter - Only affect requests whose $filter matches (optional)
+         */
+        fail({ times = 1, ...fault }) {
+            faults.push({ times, ...fault });
+        },
+
+        /**
+         * Clear injected faults and recorded requests
+         */
+        reset() {
+            faults.length = 0;
+            requests.length = 0;
+        },
+    };
+    return mock;
+}
+
+module.exports = {
+    createMockSfServer,
+    loadFixtures,
+    compileFilter,
+};
+
+if (require.main === module) {
+    const mock = createMockSfServer();
+    mock.start(parseInt(process.env.MOCK_SF_PORT, 10) || 4010).then((baseUrl) => {
+        console.log(`Mock SuccessFactors OData server listening on ${baseUrl}`);
+    });
+}
@@ -0,0 +1,38 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Point the configuration at a fresh temporary directory and quiet defaults
+ *
+ * Configuration is read from process.env when src/config is first required, so call this before
+ * requiring anything from src/. Every test file runs in its own process (node --test).
+ * @param {Object} overrides - Extra environment variables
+ * @returns {string} - Temporary directory holding output and state files
+ */
+function setupTestEnv(overrides = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sf-sync-test-"));
+    Object.assign(process.env, {
+        SF_AUTH_MODE: "basic",
+        SF_USERNAME: "test-user",
+        SF_PASSWORD: "test-password",
+        OUTPUT_FILE: path.join(dir, "output", "positions.sql"),
+        STATE_FILE: path.join(dir, "data", "sync-state.json"),
+        HISTORY_FILE: path.join(dir, "data", "sync-history.json"),
+        SNAPSHOT_DIR: path.join(dir, "data", "snapshots"),
+        REPORTS_DIR: path.join(dir, "data", "reports"),
+        AUDIT_LOG_FILE: path.join(dir, "data", "audit.log"),
+        AUTH_ENABLED: "false", // auth.test.js turns it back on
+        SCHEDULER_ENABLED: "false",
+        LOG_LEVEL: "error",
+        REQUEST_RETRY_DELAY: "10",
+        REQUEST_RETRY_MAX_DELAY: "100",
+        CIRCUIT_BREAKER_THRESHOLD: "1000",
+        ...overrides,
+    });
+    return dir;
+}
+
+module.exports = {
+    setupTestEnv,
+};
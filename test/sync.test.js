@@ -0,0 +1,353 @@
+const fs = require("fs");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setupTestEnv } = require("./support/testEnv");
+const { createMockSfServer, loadFixtures } = require("./support/mockSfServer");
+
+const PAGE_SIZE = 10;
+
+const fixtures = loadFixtures();
+const mock = createMockSfServer({ fixtures });
+let server;
+let apiUrl;
+
+test.before(async () => {
+    const baseUrl = await mock.start();
+    setupTestEnv({
+        SF_BASE_URL: baseUrl,
+        PAGE_SIZE: String(PAGE_SIZE),
+        REQUEST_RETRY_ATTEMPTS: "3",
+        RATE_LIMIT_ENABLED: "false", // many syncs from one client
+    });
+    const { app } = require("../src");
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await mock.stop();
+});
+
+test.beforeEach(() => mock.reset());
+
+/**
+ * Run a sync through the API and wait for it to finish
+ * @param {Object} params - Query parameters
+ * @param {string} entity - Entity to sync (default: position)
+ * @returns {Promise<{status: number, body: Object}>} - HTTP status and response body
+ */
+async function runSync(params, entity) {
+    const query = new URLSearchParams({ wait: "true", ...params });
+    const response = await fetch(`${apiUrl}/sync${entity ? `/${entity}` : ""}?${query}`);
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Count the statements in a generated SQL file
+ * @param {string} file - SQL file
+ * @returns {number} - Number of statements
+ */
+function countStatements(file) {
+    return (fs.readFileSync(file, "utf8").match(/^(INSERT|MERGE|UPDATE) /gm) || []).length;
+}
+
+test("GET /api/sync writes one statement per record for every dialect", async () => {
+    const { status, body } = await runSync({
+        startDate: "2024-01-01",
+        endDate: "2024-01-31",
+        dialects: "postgres,oracle",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.totalFetched, 25);
+    assert.equal(body.totalFiltered, 25);
+    assert.equal(body.sqlStatementsGenerated, 25); // per dialect
+    assert.deepEqual(Object.keys(body.outputFiles).sort(), ["oracle", "postgres"]);
+    assert.equal(countStatements(body.outputFiles.postgres), 25);
+    assert.equal(countStatements(body.outputFiles.oracle), 25);
+    assert.match(fs.readFileSync(body.outputFiles.postgres, "utf8"), /'Director''s Assistant'/);
+});
+
+test("GET /api/sync only syncs records modified in the date range", async () => {
+    const { body } = await runSync({ startDate: "2024-01-10", endDate: "2024-01-12T23:59:59", dialects: "postgres" });
+
+    assert.equal(body.totalFetched, 3);
+    const sql = fs.readFileSync(body.outputFiles.postgres, "utf8");
+    assert.deepEqual(sql.match(/POS\d{4}/g), ["POS0010", "POS0011", "POS0012"]);
+    assert.equal(
+        mock.requests[0].query.$filter,
+        "lastModifiedDateTime ge datetime'2024-01-10T00:00:00' and lastModifiedDateTime le datetime'2024-01-12T23:59:59'",
+    );
+});
+
+test("GET /api/sync filters departments", async () => {
+    const { body } = await runSync({
+        startDate: "2024-01-01",
+        dialects: "postgres",
+        departmentFilter: "CTEL",
+        excludeDepartments: "CTEL1",
+    });
+
+    assert.equal(body.filterPushdown, "server");
+    assert.equal(body.totalFiltered, 10);
+    assert.doesNotMatch(fs.readFileSync(body.outputFiles.postgres, "utf8"), /'(CTEL10|HR01|FIN01)'/);
+});
+
+test("GET /api/sync only passes field comparisons to $filter", async () => {
+    const { status, body } = await runSync({
+        startDate: "2024-01-01",
+        dialects: "postgres",
+        filter: "jobLevel ne 'L3'",
+    });
+
+    assert.equal(status, 200);
+    assert.ok(body.success);
+    assert.match(mock.requests[0].query.$filter, / and \(jobLevel ne 'L3'\)$/);
+    const requests = mock.requests.length;
+
+    for (const filter of [
+        "jobLevel eq 'L3' or 1 eq 1",
+        "jobLevel eq 'L3') or (code ne ''",
+        "salary eq '1'",
+        "startswith(department,'CTEL') eq true",
+        "jobLevel eq L3",
+    ]) {
+        const rejected = await runSync({ startDate: "2024-01-01", filter });
+        assert.equal(rejected.status, 400, filter);
+        assert.match(rejected.body.error, /^Invalid filter: /);
+    }
+    assert.equal(mock.requests.length, requests);
+});
+
+test("GET /api/sync rejects fieldFilters on unknown fields or with values of the wrong type", async () => {
+    const requests = mock.requests.length;
+
+    for (const [fieldFilters, error] of [
+        [{ salary: "1" }, /^Invalid fieldFilters\. salary is not a field of position$/],
+        [{ "code eq 'x' or 1": "1" }, /^Invalid fieldFilters\./],
+    ]) {
+        const rejected = await runSync({ startDate: "2024-01-01", fieldFilters: JSON.stringify(fieldFilters) });
+        assert.equal(rejected.status, 400);
+        assert.match(rejected.body.error, error);
+    }
+    const rejected = await runSync(
+        { startDate: "2024-01-01", fieldFilters: JSON.stringify({ seqNumber: "first" }) },
+        "empJob",
+    );
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.error, "Invalid fieldFilters. seqNumber takes number values, not first");
+    assert.equal(mock.requests.length, requests);
+});
+
+test("soft delete keeps the department filter in the query and deactivates the rest with a second query", async () => {
+    const params = { startDate: "2024-01-01", dialects: "postgres", departmentFilter: "CTEL", softDelete: "true" };
+    const client = await runSync({ ...params, filterPushdown: "client" });
+    mock.reset();
+    const { body } = await runSync(params);
+
+    assert.equal(body.filterPushdown, "server");
+    assert.equal(body.totalFetched, client.body.totalFiltered);
+    assert.ok(body.deactivated.outOfFilter > 0);
+    assert.deepEqual(body.deactivated, client.body.deactivated);
+    const readStatements = (file) =>
+        fs
+            .readFileSync(file, "utf8")
+            .match(/^(INSERT|UPDATE) [^;]*;/gms)
+            .sort();
+    assert.deepEqual(readStatements(body.outputFiles.postgres), readStatements(client.body.outputFiles.postgres));
+
+    const softDeleteQuery = mock.requests.find((request) => request.query.$filter.includes("not ("));
+    assert.match(softDeleteQuery.query.$filter, / and not \(startswith\(department,'CTEL'\) eq true\)$/);
+    assert.doesNotMatch(softDeleteQuery.query.$select, /jobTitle/);
+    assert.equal(softDeleteQuery.query.paging, "snapshot");
+
+    // A tenant rejecting not(...): the second query asks for every department and filters client-side
+    mock.reset();
+    mock.fail({ status: 400, filter: /not \(/ });
+    const fallback = await runSync(params);
+
+    assert.equal(fallback.status, 200);
+    assert.equal(mock.requests.filter((request) => request.query.$filter.includes("not (")).length, 1);
+    assert.equal(fallback.body.filterPushdown, "server");
+    assert.deepEqual(fallback.body.deactivated, client.body.deactivated);
+    assert.deepEqual(
+        readStatements(fallback.body.outputFiles.postgres),
+        readStatements(client.body.outputFiles.postgres),
+    );
+});
+
+test("pagination stops after the last page", async (t) => {
+    const cases = [
+        // 25 records: two full pages and a short one
+        { pagingMode: "snapshot", startDate: "2024-01-01", records: 25, pages: 3, requests: 3 },
+        { pagingMode: "offset", startDate: "2024-01-01", records: 25, pages: 3, requests: 3 },
+        // 20 records: offset paging needs an empty page to know it is done, snapshot paging has no __next
+        { pagingMode: "snapshot", startDate: "2024-01-06", records: 20, pages: 2, requests: 2 },
+        { pagingMode: "offset", startDate: "2024-01-06", records: 20, pages: 3, requests: 3 },
+        { pagingMode: "offset", startDate: "2025-01-01", records: 0, pages: 1, requests: 1 },
+    ];
+    for (const { pagingMode, startDate, records, pages, requests } of cases) {
+        await t.test(`${pagingMode} paging, ${records} records`, async () => {
+            mock.reset();
+            const { status, body } = await runSync({ startDate, pagingMode, dialects: "postgres" });
+
+            assert.equal(status, 200);
+            assert.equal(body.pagingMode, pagingMode);
+            assert.equal(body.totalFetched, records);
+            assert.equal(body.pages, pages);
+            assert.equal(mock.requests.length, requests);
+        });
+    }
+});
+
+test("a record returned on two pages is skipped, unless it changed in between", async () => {
+    const jobCode = (code, name, day) => ({
+        externalCode: code,
+        startDate: "/Date(1672531200000)/",
+        name,
+        status: "A",
+        lastModifiedDateTime: `/Date(${Date.UTC(2024, 0, day)})/`,
+    });
+    // JC01 changed while paging and shifted onto the second page; JC02 shifted unchanged
+    fixtures.FOJobCode = [
+        ...Array.from({ length: 11 }, (value, index) => jobCode(`JC${String(index + 1).padStart(2, "0")}`, "Job", 2)),
+        jobCode("JC01", "Renamed job", 3),
+        jobCode("JC02", "Job", 2),
+    ];
+    try {
+        const { status, body } = await runSync(
+            { startDate: "2024-01-01", pagingMode: "offset", dialects: "postgres" },
+            "jobCode",
+        );
+
+        assert.equal(status, 200);
+        assert.equal(body.totalFetched, 13);
+        assert.equal(body.duplicatesSkipped, 1);
+        assert.equal(body.totalFiltered, 11);
+        assert.equal(body.sqlStatementsGenerated, 12);
+        const statementsOf = (code) =>
+            fs
+                .readFileSync(body.outputFiles.postgres, "utf8")
+                .split(/;\n/)
+                .filter((sql) => sql.includes(`'${code}'`));
+        assert.equal(statementsOf("JC02").length, 1);
+        // Written page by page: the first copy is inserted, the newer one upserted over it
+        const [inserted, upserted] = statementsOf("JC01");
+        assert.doesNotMatch(inserted, /Renamed job/);
+        assert.match(upserted, /'Renamed job'/);
+        assert.match(upserted, /ON CONFLICT .* DO UPDATE/s);
+        assert.match(upserted, /'2024-01-03 00:00:00\.000'::timestamp/);
+    } finally {
+        delete fixtures.FOJobCode;
+    }
+});
+
+test("GET /api/sync recovers from transient SuccessFactors errors", async () => {
+    mock.fail({ status: 500 });
+    mock.fail({ status: 429, retryAfter: 0 });
+    const { status, body } = await runSync({ startDate: "2024-01-01", dialects: "postgres" });
+
+    assert.equal(status, 200);
+    assert.equal(body.totalFetched, 25);
+    assert.equal(mock.requests.length, 5);
+});
+
+test("GET /api/sync fails when SuccessFactors keeps failing", async () => {
+    mock.fail({ status: 500, times: 3, message: "Internal error" });
+    const { status, body } = await runSync({ startDate: "2024-01-01", dialects: "postgres" });
+
+    assert.equal(status, 500);
+    assert.equal(body.success, false);
+    assert.match(body.error, /500/);
+    assert.equal(mock.requests.length, 3);
+});
+
+test("GET /api/sync rejects invalid parameters", async () => {
+    for (const params of [{ startDate: "2024-13-45" }, { dialects: "access" }, { mode: "sometimes" }]) {
+        const { status, body } = await runSync(params);
+        assert.equal(status, 400, JSON.stringify(params));
+        assert.equal(body.success, false);
+    }
+    assert.equal(mock.requests.length, 0);
+});
+
+test("finished syncs are recorded in the history", async () => {
+    const response = await fetch(`${apiUrl}/syncs?status=completed`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.ok(body.total >= 1);
+    const [latest] = body.syncs;
+    assert.equal(latest.entity, "position");
+    assert.equal(latest.counts.fetched, 25);
+    assert.ok(fs.existsSync(latest.outputFiles.postgres));
+});
+
+test("history syncs write every effective-dated version to the type 2 history table", async () => {
+    const { status, body } = await runSync({ startDate: "2024-01-01", history: "true", dialects: "postgres,oracle" });
+
+    assert.equal(status, 200);
+    assert.equal(body.history, true);
+    assert.deepEqual(body.effectiveDates, { fromDate: "1900-01-01", toDate: "9999-12-31" });
+    assert.equal(mock.requests[0].query.fromDate, "1900-01-01");
+    assert.equal(mock.requests[0].query.toDate, "9999-12-31");
+    // 25 positions, one with a later version and one with a future version
+    assert.equal(body.totalFetched, 27);
+    assert.equal(body.sqlStatementsGenerated, 54); // closing update and insert per version
+
+    const sql = fs.readFileSync(body.outputFiles.postgres, "utf8");
+    assert.match(body.outputFiles.postgres, /_history_.*_postgres\.sql$/);
+    assert.match(sql, /-- Table: job_sf_position_history\n/);
+    assert.equal(sql.match(/^UPDATE job_sf_position_history SET/gm).length, 27);
+    assert.equal(sql.match(/^INSERT INTO job_sf_position_history /gm).length, 27);
+    assert.equal(countStatements(body.outputFiles.oracle), 54);
+});
+
+test("effective dates select the versions to sync", async (t) => {
+    await t.test("fromDate and toDate limit history syncs to the versions overlapping them", async () => {
+        const { body } = await runSync({
+            startDate: "2024-01-01",
+            history: "true",
+            fromDate: "2024-07-01",
+            toDate: "2024-12-31",
+            dialects: "postgres",
+        });
+
+        // Ended versions (POS0013, the first POS0025) and the future POS0024 are left out
+        assert.equal(body.totalFetched, 24);
+        const sql = fs.readFileSync(body.outputFiles.postgres, "utf8");
+        assert.match(sql, /'Senior Engineer 25'/);
+        assert.doesNotMatch(sql, /'Engineer 25'|'Lead Engineer 24'|'POS0013'/);
+    });
+
+    await t.test("asOfDate returns the version effective on that day", async () => {
+        const { body } = await runSync({ startDate: "2024-01-01", asOfDate: "2024-03-01", dialects: "postgres" });
+
+        assert.equal(mock.requests[0].query.asOfDate, "2024-03-01");
+        assert.equal(body.history, false);
+        assert.equal(body.totalFetched, 25);
+        const sql = fs.readFileSync(body.outputFiles.postgres, "utf8");
+        assert.match(sql, /INSERT INTO job_sf_position \(/);
+        assert.match(sql, /'Engineer 25'/);
+    });
+
+    await t.test("invalid combinations are rejected", async () => {
+        for (const params of [
+            { entity: "empJob", history: "true" },
+            { history: "true", dialects: "mysql" },
+            { history: "true", softDelete: "true" },
+            { history: "true", writeMode: "update" },
+            { fromDate: "2024-01-01" },
+            { history: "true", asOfDate: "2024-01-01", toDate: "2024-12-31" },
+            { history: "true", fromDate: "2024-01-01T00:00:00" },
+        ]) {
+            const { status, body } = await runSync(params);
+            assert.equal(status, 400, JSON.stringify(params));
+            assert.equal(body.success, false);
+        }
+        assert.equal(mock.requests.length, 0);
+    });
+});